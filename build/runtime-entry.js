@@ -0,0 +1,3 @@
+// Exposes the runtime-only Vue as the `Vue` global or as
+// the export of the bundle, see webpack.runtime.conf.js
+module.exports = require('../src/vue/src/runtime').default
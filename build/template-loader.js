@@ -0,0 +1,10 @@
+// Precompiles *.tpl.html templates into modules that can be
+// used as the `template` option of a component, see
+// src/vue/src/server/precompile.js
+require('babel-register')
+var precompile = require('../src/vue/src/server/precompile').precompile
+
+module.exports = function (source) {
+  this.cacheable && this.cacheable()
+  return precompile(source)
+}
@@ -40,8 +40,13 @@ module.exports = {
         test: /\.json$/,
         loader: 'json'
       },
+      {
+        test: /\.tpl\.html$/,
+        loader: path.join(__dirname, 'template-loader')
+      },
       {
         test: /\.html$/,
+        exclude: /\.tpl\.html$/,
         loader: 'vue-html'
       },
       {
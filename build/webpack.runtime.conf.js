@@ -0,0 +1,52 @@
+var fs = require('fs')
+var path = require('path')
+var config = require('../config')
+var webpack = require('webpack')
+var projectRoot = path.resolve(__dirname, '../')
+
+// Builds dist/vue.runtime.js, the runtime-only Vue that links
+// templates precompiled by *.tpl.html imports. Modules with a
+// `.runtime.js` file next to them are swapped for it, see
+// src/vue/src/runtime.js
+module.exports = {
+  entry: {
+    'vue.runtime': './build/runtime-entry.js'
+  },
+  output: {
+    path: config.build.assetsRoot,
+    filename: '[name].js',
+    library: 'Vue',
+    libraryTarget: 'umd'
+  },
+  resolveLoader: {
+    fallback: [path.join(__dirname, '../node_modules')]
+  },
+  module: {
+    loaders: [
+      {
+        test: /\.js$/,
+        loader: 'babel',
+        include: projectRoot,
+        exclude: /node_modules/
+      }
+    ]
+  },
+  devtool: config.build.productionSourceMap ? '#source-map' : false,
+  plugins: [
+    new webpack.NormalModuleReplacementPlugin(/^\./, function (result) {
+      var request = result.request + '.runtime'
+      if (fs.existsSync(path.resolve(result.context, request + '.js'))) {
+        result.request = request
+      }
+    }),
+    new webpack.DefinePlugin({
+      'process.env': config.build.env
+    }),
+    new webpack.optimize.UglifyJsPlugin({
+      compress: {
+        warnings: false
+      }
+    }),
+    new webpack.optimize.OccurenceOrderPlugin()
+  ]
+}
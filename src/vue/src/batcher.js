@@ -1,83 +1,414 @@
 import config from './config'
+import Dep from './observer/dep'
 import {
   warn,
   nextTick,
-  devtools
+  devtools,
+  formatComponentPath,
+  handleError
 } from './util/index'
 
-// we have two separate queues: one for directive updates
-// and one for user watcher registered via $watch().
-// we want to guarantee directive updates to be called
-// before user watchers so that when user watchers are
-// triggered, the DOM would have already been in updated
-// state.
+// we have three separate queues, flushed in order:
+// - watchers that asked for `flush: 'pre'`, which need to
+//   see the new state before the DOM is updated;
+// - directive updates (and other internal watchers);
+// - user watchers registered via $watch(), which default
+//   to `flush: 'post'` so that when they are triggered,
+//   the DOM would have already been in updated state.
+//
+// each queue is sorted by the component owning the watchers,
+// then in watcher id order. components are created after
+// their parents, so a parent component always updates
+// before its children: props it passes down are settled
+// before the child re-renders, and a child that the parent
+// destroys never updates for nothing.
+//
+// components whose DOM gets patched in a flush, i.e. whose
+// directives run, get their `beforeUpdate` hook called
+// before the first one runs, and their `updated` hook once
+// the flush is done. Watchers run synchronously do the same
+// on their own.
 
+var preQueue = []
 var queue = []
 var userQueue = []
+var afterFlushCallbacks = []
+var updatedVms = []
+var updating = {}
 var has = {}
+var hasRun = {}
 var circular = {}
 var waiting = false
+var flushing = false
+var syncDepth = 0
+var currentQueue = null
+var currentIndex = 0
+// in dev mode, what queued each watcher during the flush:
+// { by: Watcher, dep: Dep }
+var triggers = {}
+var running = null
+// profile of the current flush in performance mode
+var profile = null
+var flushCount = 0
+
+/* istanbul ignore next */
+const timing = typeof performance !== 'undefined' &&
+  performance.mark && performance.measure
+  ? performance
+  : null
 
 /**
  * Reset the batcher's state.
  */
 
 function resetBatcherState () {
+  preQueue.length = 0
   queue.length = 0
   userQueue.length = 0
+  updatedVms.length = 0
+  updating = {}
   has = {}
+  hasRun = {}
   circular = {}
+  triggers = {}
   waiting = false
+  flushing = false
+  currentQueue = null
 }
 
 /**
- * Flush both queues and run the watchers.
+ * Flush all queues and run the watchers.
  */
 
 function flushBatcherQueue () {
-  runBatcherQueue(queue)
-  runBatcherQueue(userQueue)
-  // user watchers triggered more watchers,
-  // keep flushing until it depletes
-  if (queue.length) {
-    return flushBatcherQueue()
+  if (config.performance) {
+    startProfile()
+  }
+  flushing = true
+  var q
+  while ((q = nextQueue())) {
+    runBatcherQueue(q)
+  }
+  if (profile) {
+    endProfile()
   }
   // dev tool hook
   /* istanbul ignore if */
   if (devtools && config.devtools) {
     devtools.emit('flush')
   }
+  var updated = updatedVms.slice()
+  var callbacks = afterFlushCallbacks.slice()
+  afterFlushCallbacks.length = 0
   resetBatcherState()
+  // called once the batcher is idle again, so that changes
+  // made in these hooks and callbacks are flushed separately.
+  callUpdatedHooks(updated)
+  for (var i = 0; i < callbacks.length; i++) {
+    callbacks[i]()
+  }
 }
 
 /**
- * Run the watchers in a single queue.
+ * Get the earliest queue with pending watchers.
+ *
+ * @return {Array|null}
+ */
+
+function nextQueue () {
+  return preQueue.length
+    ? preQueue
+    : queue.length
+      ? queue
+      : userQueue.length
+        ? userQueue
+        : null
+}
+
+/**
+ * Run the watchers in a single queue. If watchers of an
+ * earlier phase get triggered meanwhile, the rest of the
+ * queue is left for after they have run.
  *
  * @param {Array} queue
  */
 
 function runBatcherQueue (queue) {
+  queue.sort(byOwner)
+  currentQueue = queue
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
-  for (let i = 0; i < queue.length; i++) {
-    var watcher = queue[i]
+  for (currentIndex = 0; currentIndex < queue.length; currentIndex++) {
+    var watcher = queue[currentIndex]
     var id = watcher.id
     has[id] = null
-    watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > config._maxUpdateCount) {
-        warn(
-          'You may have an infinite update loop for watcher ' +
-          'with expression "' + watcher.expression + '"',
-          watcher.vm
-        )
-        break
+    // a watcher running again in the same flush has been
+    // triggered by itself, or by watchers it triggered.
+    if (hasRun[id]) {
+      if (profile) {
+        profile.reruns++
+        profile.watchers[id].reruns++
+      }
+      // in dev build, check and stop circular updates.
+      if (process.env.NODE_ENV !== 'production') {
+        circular[id] = (circular[id] || 0) + 1
+        if (circular[id] > config._maxUpdateCount) {
+          reportUpdateLoop(watcher)
+          abortFlush()
+          return
+        }
       }
     }
+    hasRun[id] = true
+    if (watcher.patch && watcher.active) {
+      callBeforeUpdateHook(watcher.vm)
+    }
+    running = watcher
+    if (profile) {
+      runProfiled(watcher)
+    } else {
+      watcher.run()
+    }
+    running = null
+    if (nextQueue() !== queue) {
+      currentIndex++
+      break
+    }
   }
+  queue.splice(0, currentIndex)
+  currentQueue = null
+}
+
+/**
+ * Call the beforeUpdate hook of a component the first time
+ * one of its directives runs in a flush.
+ *
+ * @param {Vue} vm
+ */
+
+function callBeforeUpdateHook (vm) {
+  if (!updating[vm._uid] && vm._isCompiled && !vm._isBeingDestroyed) {
+    updating[vm._uid] = true
+    updatedVms.push(vm)
+    vm._callHook('beforeUpdate')
+  }
+}
+
+/**
+ * Call the updated hooks of the components updated in a
+ * flush, children before their parents.
+ *
+ * @param {Array<Vue>} vms
+ */
+
+function callUpdatedHooks (vms) {
+  // children are created after their parents
+  vms.sort(function (a, b) {
+    return a._uid - b._uid
+  })
+  var i = vms.length
+  while (i--) {
+    if (!vms[i]._isBeingDestroyed) {
+      vms[i]._callHook('updated')
+    }
+  }
+}
+
+/**
+ * Drop all pending watchers of the current flush.
+ */
+
+function abortFlush () {
+  preQueue.length = 0
   queue.length = 0
+  userQueue.length = 0
+  currentQueue = running = null
+}
+
+/**
+ * Order watchers by owner, then by creation.
+ *
+ * @param {Watcher} a
+ * @param {Watcher} b
+ * @return {Number}
+ */
+
+function byOwner (a, b) {
+  return ownerId(a) - ownerId(b) || a.id - b.id
+}
+
+// torn down watchers have lost their vm, they do not run
+function ownerId (watcher) {
+  return watcher.vm ? watcher.vm._uid : -1
+}
+
+/**
+ * Start profiling a flush.
+ */
+
+function startProfile () {
+  profile = {
+    name: 'vue flush #' + (++flushCount),
+    start: now(),
+    reruns: 0,
+    watchers: {}
+  }
+  mark(profile.name)
+}
+
+/**
+ * Run a watcher and record how long it took.
+ *
+ * @param {Watcher} watcher
+ */
+
+function runProfiled (watcher) {
+  var entry = profile.watchers[watcher.id]
+  if (!entry) {
+    entry = profile.watchers[watcher.id] = {
+      expression: watcher.expression,
+      vm: watcher.vm,
+      runs: 0,
+      reruns: 0,
+      time: 0
+    }
+  }
+  var name = 'vue watcher "' + describe(watcher.expression) + '"' +
+    (watcher.vm && watcher.vm.$options.name
+      ? ' <' + watcher.vm.$options.name + '>'
+      : '')
+  var start = now()
+  mark(name)
+  try {
+    watcher.run()
+  } finally {
+    entry.runs++
+    entry.time += now() - start
+    measure(name)
+  }
+}
+
+/**
+ * Finish the profile of a flush and report it.
+ */
+
+function endProfile () {
+  var report = {
+    duration: now() - profile.start,
+    reruns: profile.reruns,
+    watchers: Object.keys(profile.watchers).map(function (id) {
+      return profile.watchers[id]
+    }).sort(function (a, b) {
+      return b.time - a.time
+    })
+  }
+  measure(profile.name)
+  profile = null
+  if (typeof config.performance === 'function') {
+    config.performance(report)
+  }
+}
+
+function now () {
+  return timing && timing.now ? timing.now() : Date.now()
+}
+
+function mark (name) {
+  if (timing) {
+    timing.mark(name + ' start')
+  }
+}
+
+function measure (name) {
+  if (timing) {
+    timing.mark(name + ' end')
+    timing.measure(name, name + ' start', name + ' end')
+    timing.clearMarks(name + ' start')
+    timing.clearMarks(name + ' end')
+  }
+}
+
+/**
+ * Report an infinite update loop, with the cycle of
+ * watchers that kept triggering each other and the
+ * reactive properties they wrote to. The stopped watcher is
+ * not necessarily part of the cycle, it may only be fed by
+ * it.
+ *
+ * The error is passed to `errorCaptured` hooks and
+ * `Vue.config.errorHandler`, and carries the same
+ * information in a structured form:
+ * - {Watcher} watcher - the watcher that was stopped
+ * - {String} component - its component tree path
+ * - {Array} cycle - [{ expression, component, key }], each
+ *   step writing `key` triggers the next one
+ *
+ * @param {Watcher} watcher
+ */
+
+function reportUpdateLoop (watcher) {
+  // walk back from the stopped watcher to what triggered
+  // it, until a watcher comes up again.
+  var visited = []
+  var steps = []
+  var w = watcher
+  var trigger, loopStart
+  while ((trigger = triggers[w.id])) {
+    visited.push(w)
+    steps.push({
+      expression: trigger.by.expression,
+      component: formatComponentPath(trigger.by.vm),
+      key: trigger.dep ? trigger.dep.key : undefined,
+      dep: trigger.dep
+    })
+    w = trigger.by
+    loopStart = visited.indexOf(w)
+    if (loopStart > -1) {
+      steps = steps.slice(loopStart)
+      break
+    }
+  }
+  // the watcher triggered by the last step of the cycle
+  var last = loopStart > -1 ? w : watcher
+  var cycle = steps.reverse()
+  var lines = cycle.map(function (step) {
+    return describeWatcher(step.expression, step.component) +
+      ' wrote ' + (
+        step.key != null
+          ? '"' + step.key + '"'
+          : step.dep
+            ? 'to an Array, Map/Set or added/deleted key'
+            : 'state outside of a reactive property'
+      )
+  })
+  var component = formatComponentPath(watcher.vm)
+  var err = new Error(
+    'You may have an infinite update loop for ' +
+    describeWatcher(watcher.expression, component) +
+    ', it ran more than ' + config._maxUpdateCount +
+    ' times in a single flush.' +
+    (lines.length
+      ? '\nUpdate cycle:\n  ' + lines.join('\n  -> ') +
+        '\n  -> ' + describeWatcher(last.expression, formatComponentPath(last.vm))
+      : '')
+  )
+  err.name = 'InfiniteUpdateLoopError'
+  err.watcher = watcher
+  err.component = component
+  err.cycle = cycle
+  handleError(err, watcher.vm, 'infinite update loop', function () {
+    warn(err.message, watcher.vm)
+  })
+}
+
+function describeWatcher (expression, component) {
+  return 'watcher "' + describe(expression) + '" in ' + component
+}
+
+function describe (expression) {
+  return typeof expression === 'function'
+    ? expression.name || 'anonymous function'
+    : expression
 }
 
 /**
@@ -89,17 +420,34 @@ function runBatcherQueue (queue) {
  *   properties:
  *   - {Number} id
  *   - {Function} run
+ *   - {String} [flush] - 'pre' or 'post'
+ *   - {Boolean} [user] - defaults to 'post' when true
  */
 
 export function pushWatcher (watcher) {
   const id = watcher.id
   if (has[id] == null) {
     // push watcher into appropriate queue
-    const q = watcher.user
-      ? userQueue
-      : queue
-    has[id] = q.length
-    q.push(watcher)
+    const q = watcher.flush === 'pre'
+      ? preQueue
+      : watcher.flush === 'post' || (watcher.user && !watcher.flush)
+        ? userQueue
+        : queue
+    has[id] = true
+    if (process.env.NODE_ENV !== 'production' && running) {
+      triggers[id] = { by: running, dep: Dep.notifying }
+    }
+    if (q === currentQueue) {
+      // the queue is being run: keep it sorted, but never
+      // before the watcher currently running.
+      var i = q.length - 1
+      while (i > currentIndex && byOwner(q[i], watcher) > 0) {
+        i--
+      }
+      q.splice(i + 1, 0, watcher)
+    } else {
+      q.push(watcher)
+    }
     // queue the flush
     if (!waiting) {
       waiting = true
@@ -107,3 +455,52 @@ export function pushWatcher (watcher) {
     }
   }
 }
+
+/**
+ * Run a watcher right away, outside of the queues. The
+ * components it patches get their beforeUpdate/updated
+ * hooks around the run, unless it happens during a flush
+ * or another synchronous run, which call them instead.
+ *
+ * @param {Watcher} watcher
+ */
+
+export function runSync (watcher) {
+  if (!watcher.patch || !watcher.active) {
+    watcher.run()
+    return
+  }
+  callBeforeUpdateHook(watcher.vm)
+  if (flushing || syncDepth) {
+    watcher.run()
+    return
+  }
+  syncDepth++
+  try {
+    watcher.run()
+  } finally {
+    syncDepth--
+  }
+  var updated = updatedVms.slice()
+  updatedVms.length = 0
+  updating = {}
+  callUpdatedHooks(updated)
+}
+
+/**
+ * Defer a callback until the pending watcher flush is done,
+ * i.e. once all triggered watchers have run and the DOM is
+ * up to date. If nothing is queued yet, the callback waits
+ * for the flush of the current tick's changes.
+ *
+ * @param {Function} cb
+ * @param {Object} [ctx]
+ */
+
+export function afterFlush (cb, ctx) {
+  afterFlushCallbacks.push(ctx ? function () { cb.call(ctx) } : cb)
+  if (!waiting) {
+    waiting = true
+    nextTick(flushBatcherQueue)
+  }
+}
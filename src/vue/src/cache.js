@@ -90,7 +90,11 @@ p.shift = function () {
   // 并将取出的块的指向都置为空，并将缓存整个长度减去1
   if (entry) {
     this.head = this.head.newer
-    this.head.older = undefined
+    if (this.head) {
+      this.head.older = undefined
+    } else {
+      this.tail = undefined
+    }
     entry.newer = entry.older = undefined
     this._keymap[entry.key] = undefined
     this.size--
@@ -140,3 +144,16 @@ p.get = function (key, returnEntry) {
     ? entry
     : entry.value
 }
+
+/**
+ * Get the value associated with <key> without registering
+ * a recent use. Returns undefined if not in cache.
+ *
+ * @param {String} key
+ * @return {*}
+ */
+
+p.peek = function (key) {
+  var entry = this._keymap[key]
+  return entry && entry.value
+}
@@ -1,6 +1,7 @@
 import config from '../config'
 import { parseDirective } from '../parsers/directive'
 import { isSimplePath } from '../parsers/expression'
+import { getLocation } from '../parsers/template'
 import { defineReactive, withoutConversion } from '../observer/index'
 import propDef from '../directives/internal/prop'
 import {
@@ -47,7 +48,7 @@ export function compileProps (el, propOptions, vm) {
     options = propOptions[name] || empty
 
     if (process.env.NODE_ENV !== 'production' && name === '$data') {
-      warn('Do not use $data as prop.', vm)
+      warn('Do not use $data as prop.', vm, getPropLocation(el, name))
       continue
     }
 
@@ -59,7 +60,8 @@ export function compileProps (el, propOptions, vm) {
       process.env.NODE_ENV !== 'production' && warn(
         'Invalid prop key: "' + name + '". Prop keys ' +
         'must be valid identifiers.',
-        vm
+        vm,
+        getPropLocation(el, name)
       )
       continue
     }
@@ -73,6 +75,9 @@ export function compileProps (el, propOptions, vm) {
     }
 
     attr = hyphenate(name)
+    if (process.env.NODE_ENV !== 'production') {
+      prop.loc = getPropLocation(el, attr)
+    }
     // first check dynamic version
     if ((value = getBindAttr(el, attr)) === null) {
       if ((value = getBindAttr(el, attr + '.sync')) !== null) {
@@ -103,7 +108,8 @@ export function compileProps (el, propOptions, vm) {
           warn(
             'Cannot bind two-way prop with non-settable ' +
             'parent path: ' + value,
-            vm
+            vm,
+            prop.loc
           )
         }
       }
@@ -117,7 +123,8 @@ export function compileProps (el, propOptions, vm) {
       ) {
         warn(
           'Prop "' + name + '" expects a two-way binding type.',
-          vm
+          vm,
+          prop.loc
         )
       }
     } else if ((value = getAttr(el, attr)) !== null) {
@@ -143,7 +150,8 @@ export function compileProps (el, propOptions, vm) {
           'Possible usage error for prop `' + lowerCaseName + '` - ' +
           'did you mean `' + attr + '`? HTML is case-insensitive, remember to use ' +
           'kebab-case for props in templates.',
-          vm
+          vm,
+          getPropLocation(el, lowerCaseName)
         )
       } else if (options.required && (
         !propsData || (
@@ -152,7 +160,7 @@ export function compileProps (el, propOptions, vm) {
         )
       )) {
         // warn missing required
-        warn('Missing required prop: ' + name, vm)
+        warn('Missing required prop: ' + name, vm, prop.loc)
       }
     }
     // push prop
@@ -161,6 +169,29 @@ export function compileProps (el, propOptions, vm) {
   return makePropsLinkFn(props)
 }
 
+/**
+ * Find where a prop is passed in the template, falling back
+ * to the element for absent props. Used for warnings.
+ *
+ * @param {Element} el
+ * @param {String} attr - the hyphenated prop name
+ * @return {Object|null}
+ */
+
+function getPropLocation (el, attr) {
+  var prefixes = ['', ':', 'v-bind:']
+  var suffixes = ['', '.sync', '.once']
+  for (var i = 0; i < prefixes.length; i++) {
+    for (var j = 0; j < suffixes.length; j++) {
+      var loc = getLocation(el, prefixes[i] + attr + suffixes[j])
+      if (loc) {
+        return loc
+      }
+    }
+  }
+  return getLocation(el)
+}
+
 /**
  * Build a function that applies props to a vm.
  *
@@ -311,7 +342,8 @@ function getPropDefaultValue (vm, prop) {
       'Invalid default value for prop "' + prop.name + '": ' +
       'Props with type Object/Array must use a factory function ' +
       'to return the default value.',
-      vm
+      vm,
+      prop.loc
     )
   }
   // call factory function for non-Function types
@@ -357,7 +389,8 @@ function assertProp (prop, value, vm) {
         'Invalid prop: type check failed for prop "' + prop.name + '".' +
         ' Expected ' + expectedTypes.map(formatType).join(', ') +
         ', got ' + formatValue(value) + '.',
-        vm
+        vm,
+        prop.loc
       )
     }
     return false
@@ -367,7 +400,8 @@ function assertProp (prop, value, vm) {
     if (!validator(value)) {
       process.env.NODE_ENV !== 'production' && warn(
         'Invalid prop: custom validator check failed for prop "' + prop.name + '".',
-        vm
+        vm,
+        prop.loc
       )
       return false
     }
@@ -393,7 +427,8 @@ function coerceProp (prop, value, vm) {
   } else {
     process.env.NODE_ENV !== 'production' && warn(
       'Invalid coerce for prop "' + prop.name + '": expected function, got ' + typeof coerce + '.',
-      vm
+      vm,
+      prop.loc
     )
     return value
   }
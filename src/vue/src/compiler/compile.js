@@ -1,21 +1,28 @@
+import config from '../config'
 import publicDirectives from '../directives/public/index'
 import internalDirectives from '../directives/internal/index'
 import { compileProps } from './compile-props'
 import { parseText, tokensToExp } from '../parsers/text'
 import { parseDirective } from '../parsers/directive'
-import { parseTemplate } from '../parsers/template'
+import { parseTemplate, isPrecompiled, getLocation } from '../parsers/template'
+import { registerGetters } from '../parsers/expression'
+import { markBlock, takeServerNodes, removeNodes } from './hydrate'
 import {
   _toString,
   resolveAsset,
   toArray,
+  extend,
+  isFragment,
   warn,
+  setWarnLocation,
   remove,
   replace,
   commonTagRE,
   checkComponentAttr,
   findRef,
   defineReactive,
-  getAttr
+  getAttr,
+  isConditionalBranch
 } from '../util/index'
 
 // special binding prefixes
@@ -40,6 +47,11 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
  * return an unlink function that tearsdown all directives
  * created during the linking phase.
  *
+ * Every link function carries a `spec` describing what it
+ * links, which is what the template precompiler serializes.
+ * Instances with a precompiled template get their linker
+ * rebuilt from that spec instead of compiling the DOM.
+ *
  * @param {Element|DocumentFragment} el
  * @param {Object} options
  * @param {Boolean} partial
@@ -47,6 +59,9 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
  */
 
  export function compile (el, options, partial) {
+  if (!partial && isPrecompiled(options.template)) {
+    return compilePrecompiled(el, options)
+  }
   // link function for the node itself.
   var nodeLinkFn = partial || !options._asComponent
   ? compileNode(el, options)
@@ -59,6 +74,19 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
   ? compileNodeList(el.childNodes, options)
   : null
 
+  return makeCompositeLinkFn(nodeLinkFn, childLinkFn)
+}
+
+/**
+ * Build the composite link function for a node and its
+ * childNodes.
+ *
+ * @param {Function|null} nodeLinkFn
+ * @param {Function|null} childLinkFn
+ * @return {Function}
+ */
+
+ function makeCompositeLinkFn (nodeLinkFn, childLinkFn) {
   /**
    * A composite linker function to be called on a already
    * compiled piece of DOM, which instantiates all directive
@@ -72,9 +100,9 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
    * @return {Function|undefined}
    */
 
-   return function compositeLinkFn (vm, el, host, scope, frag) {
+  function compositeLinkFn (vm, el, host, scope, frag) {
     // cache childNodes before linking parent, fix #657
-    var childNodes = toArray(el.childNodes)
+    var childNodes = getChildNodes(el)
     // link
     var dirs = linkAndCapture(function compositeLinkCapturer () {
       if (nodeLinkFn) nodeLinkFn(vm, el, host, scope, frag)
@@ -82,6 +110,41 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
       }, vm)
     return makeUnlinkFn(vm, dirs)
   }
+  compositeLinkFn.spec = {
+    node: getSpec(nodeLinkFn),
+    children: getSpec(childLinkFn)
+  }
+  return compositeLinkFn
+}
+
+/**
+ * Get the child nodes of a node to link. Server-rendered
+ * nodes being hydrated have the list prepared by hydrate(),
+ * which lines up with the template while the content of
+ * blocks is still in the DOM.
+ *
+ * @param {Node|Object} node
+ * @return {Array}
+ */
+
+function getChildNodes (node) {
+  var nodes = node.__v_children
+  if (nodes) {
+    node.__v_children = null
+    return nodes
+  }
+  return toArray(node.childNodes)
+}
+
+/**
+ * Get the spec recorded on a link function.
+ *
+ * @param {Function|null} linkFn
+ * @return {Object|Array|null}
+ */
+
+function getSpec (linkFn) {
+  return linkFn ? linkFn.spec : null
 }
 
 /**
@@ -254,19 +317,19 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
     if (options._asComponent) {
       // 2. container attributes
       if (containerAttrs && contextOptions) {
-        contextLinkFn = compileDirectives(containerAttrs, contextOptions)
+        contextLinkFn = compileDirectives(containerAttrs, contextOptions, options.el)
       }
       if (replacerAttrs) {
         // 3. replacer attributes
-        replacerLinkFn = compileDirectives(replacerAttrs, options)
+        replacerLinkFn = compileDirectives(replacerAttrs, options, el)
       }
     } else {
       // non-component, just compile as a normal element.
-      replacerLinkFn = compileDirectives(el.attributes, options)
+      replacerLinkFn = compileDirectives(el.attributes, options, el)
     }
   } else if (process.env.NODE_ENV !== 'production' && containerAttrs) {
     // warn container directives for fragment instances
-    var names = containerAttrs
+    var ignored = containerAttrs
     .filter(function (attr) {
         // allow vue-loader/vueify scoped css attributes
         return attr.name.indexOf('_v-') < 0 &&
@@ -275,7 +338,7 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
           // allow slots
           attr.name !== 'slot'
         })
-    .map(function (attr) {
+    var names = ignored.map(function (attr) {
       return '"' + attr.name + '"'
     })
     if (names.length) {
@@ -291,7 +354,9 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
         (plural ? ' are' : ' is') + ' ignored on component ' +
         '<' + componentName + '> because ' +
         'the component is a fragment instance: ' +
-        'http://vuejs.org/guide/components.html#Fragment-Instance'
+        'http://vuejs.org/guide/components.html#Fragment-Instance',
+        options,
+        getLocation(options.el, ignored[0].name)
         )
     }
   }
@@ -388,7 +453,7 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
   }
   // normal directives
   if (!linkFn && hasAttrs) {
-    linkFn = compileDirectives(attrs, options)
+    linkFn = compileDirectives(attrs, options, el)
   }
   return linkFn
 }
@@ -450,6 +515,7 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
  function removeText (vm, node) {
   remove(node)
 }
+removeText.spec = { removeText: true }
 
 /**
  * Process a single text token.
@@ -500,7 +566,15 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
  */
 
  function makeTextNodeLinkFn (tokens, frag) {
-  return function textNodeLinkFn (vm, el, host, scope) {
+  var hasHtml = tokens.some(function (token) {
+    return token.html
+  })
+  var fn = function textNodeLinkFn (vm, el, host, scope) {
+    var serverNodes = takeServerNodes(el)
+    if (serverNodes) {
+      // raw html is not hydrated, it is simply rendered again.
+      removeNodes(serverNodes)
+    }
     var fragClone = frag.cloneNode(true)
     var childNodes = toArray(fragClone.childNodes)
     var token, value, node
@@ -521,8 +595,13 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
         }
       }
     }
+    if (config._isServer && hasHtml) {
+      markBlock(el)
+    }
     replace(el, fragClone)
   }
+  fn.spec = { text: tokens }
+  return fn
 }
 
 /**
@@ -564,14 +643,14 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
  */
 
  function makeChildLinkFn (linkFns) {
-  return function childLinkFn (vm, nodes, host, scope, frag) {
+  var fn = function childLinkFn (vm, nodes, host, scope, frag) {
     var node, nodeLinkFn, childrenLinkFn
     for (var i = 0, n = 0, l = linkFns.length; i < l; n++) {
       node = nodes[n]
       nodeLinkFn = linkFns[i++]
       childrenLinkFn = linkFns[i++]
       // cache childNodes before linking parent, fix #657
-      var childNodes = toArray(node.childNodes)
+      var childNodes = getChildNodes(node)
       if (nodeLinkFn) {
         nodeLinkFn(vm, node, host, scope, frag)
       }
@@ -580,6 +659,8 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
       }
     }
   }
+  fn.spec = linkFns.map(getSpec)
+  return fn
 }
 
 /**
@@ -625,14 +706,7 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
         literal: !component.dynamic
       }
     }
-    var componentLinkFn = function (vm, el, host, scope, frag) {
-      if (ref) {
-        defineReactive((scope || vm).$refs, ref, null)
-      }
-      vm._bindDir(descriptor, el, host, scope, frag)
-    }
-    componentLinkFn.terminal = true
-    return componentLinkFn
+    return makeTerminalLinkFn(descriptor)
   }
 }
 
@@ -651,12 +725,13 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
   if (getAttr(el, 'v-pre') !== null) {
     return skip
   }
-  // skip v-else block, but only if following v-if
-  if (el.hasAttribute('v-else')) {
-    var prev = el.previousElementSibling
-    if (prev && prev.hasAttribute('v-if')) {
-      return skip
-    }
+  // skip v-else-if and v-else blocks, but only if following
+  // v-if (or v-for for v-else): that directive renders them.
+  if (isConditionalBranch(el)) {
+    return skip
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    checkOrphanBranch(el, options)
   }
 
   var attr, name, value, modifiers, matched, dirName, rawName, arg, def, termDef
@@ -691,8 +766,41 @@ const DEFAULT_TERMINAL_PRIORITY = 2000
   }
 }
 
+/**
+ * Warn about a v-else-if or v-else that does not follow a
+ * v-if, which is then rendered as a plain element. v-else
+ * can also follow v-for and v-show.
+ *
+ * @param {Element} el
+ * @param {Object} options
+ */
+
+function checkOrphanBranch (el, options) {
+  var attr = el.hasAttribute('v-else-if')
+    ? 'v-else-if'
+    : el.hasAttribute('v-else') ? 'v-else' : null
+  if (!attr) {
+    return
+  }
+  var prev = el.previousElementSibling
+  if (attr === 'v-else' && prev && prev.hasAttribute('v-show')) {
+    return
+  }
+  warn(
+    attr + ' used on element <' + el.tagName.toLowerCase() + '> ' +
+    'without a corresponding ' +
+    (attr === 'v-else'
+      ? 'v-if, v-else-if, v-for or v-show'
+      : 'v-if or v-else-if') +
+    ' right before it.',
+    options,
+    getLocation(el, attr)
+  )
+}
+
 function skip () {}
 skip.terminal = true
+skip.spec = { skip: true }
 
 /**
  * Build a node link function for a terminal directive.
@@ -729,13 +837,29 @@ skip.terminal = true
     //是否是v-ref
     descriptor.ref = findRef(el)
   }
+  return makeTerminalLinkFn(descriptor)
+}
+
+/**
+ * Build the link function binding a single terminal
+ * directive (including components) to a node.
+ *
+ * @param {Object} descriptor
+ * @return {Function} terminalLinkFn
+ */
+
+function makeTerminalLinkFn (descriptor) {
   var fn = function terminalNodeLinkFn (vm, el, host, scope, frag) {
     if (descriptor.ref) {
       defineReactive((scope || vm).$refs, descriptor.ref, null)
     }
+    if (config._isServer) {
+      markBlock(el)
+    }
     vm._bindDir(descriptor, el, host, scope, frag)
   }
   fn.terminal = true
+  fn.spec = { terminal: descriptor }
   return fn
 }
 
@@ -744,10 +868,12 @@ skip.terminal = true
  *
  * @param {Array|NamedNodeMap} attrs
  * @param {Object} options
+ * @param {Element} [el] - the element the attributes were
+ *                         found on, for warnings
  * @return {Function}
  */
 
- function compileDirectives (attrs, options) {
+ function compileDirectives (attrs, options, el) {
   var i = attrs.length
   var dirs = []
   var attr, name, value, rawName, rawValue, dirName, arg, modifiers, dirDef, tokens, matched
@@ -782,7 +908,8 @@ skip.terminal = true
           warn(
             'class="' + rawValue + '": Do not mix mustache interpolation ' +
             'and v-bind for "class" on the same element. Use one or the other.',
-            options
+            options,
+            getLocation(el, 'class')
             )
         }
       }
@@ -823,12 +950,21 @@ skip.terminal = true
       dirName = matched[1]
       arg = matched[2]
 
-      // skip v-else (when used with v-show)
-      if (dirName === 'else') {
+      // skip v-else (when used with v-show) and misplaced
+      // v-else-if, which have been warned about
+      if (dirName === 'else' || dirName === 'else-if') {
         continue
       }
 
+      // a directive that cannot be resolved is warned about
+      // at its attribute
+      if (process.env.NODE_ENV !== 'production') {
+        var prevLoc = setWarnLocation(getLocation(el, rawName))
+      }
       dirDef = resolveAsset(options, 'directives', dirName, true)
+      if (process.env.NODE_ENV !== 'production') {
+        setWarnLocation(prevLoc)
+      }
       if (dirDef) {
         pushDir(dirName, dirDef)
       }
@@ -915,13 +1051,15 @@ skip.terminal = true
  */
 
  function makeNodeLinkFn (directives) {
-  return function nodeLinkFn (vm, el, host, scope, frag) {
+  var fn = function nodeLinkFn (vm, el, host, scope, frag) {
     // reverse apply because it's sorted low to high
     var i = directives.length
     while (i--) {
       vm._bindDir(directives[i], el, host, scope, frag)
     }
   }
+  fn.spec = { dirs: directives }
+  return fn
 }
 
 /**
@@ -944,3 +1082,146 @@ function isScript (el) {
     el.getAttribute('type') === 'text/javascript'
     )
 }
+
+/**
+ * Build the linker of an instance whose template has been
+ * precompiled. The precompiled linker covers the top-level
+ * nodes of the template, so it is lined up with how
+ * transclude() inserted them: as the children of the
+ * container, as the replacer root, or between the anchors
+ * of a fragment instance.
+ *
+ * @param {Element|DocumentFragment} el
+ * @param {Object} options
+ * @return {Function}
+ */
+
+function compilePrecompiled (el, options) {
+  var template = options.template
+  registerGetters(template.expressions)
+  var specs = template.linker.children || []
+  var nodeLinkFn = options._asComponent
+    ? null
+    : compileNode(el, options)
+  var childLinkFn
+  if (isFragment(el)) {
+    childLinkFn = restoreChildLinkFn(
+      [null, null].concat(specs, [null, null]),
+      options
+    )
+  } else if (options.replace) {
+    childLinkFn = restoreChildLinkFn(specs[1], options)
+  } else {
+    childLinkFn = restoreChildLinkFn(specs, options)
+  }
+  return makeCompositeLinkFn(nodeLinkFn, childLinkFn)
+}
+
+/**
+ * Rebuild a composite linker from its serialized spec.
+ *
+ * @param {Object} spec
+ * @param {Object} options
+ * @return {Function}
+ */
+
+function restoreLinker (spec, options) {
+  return makeCompositeLinkFn(
+    restoreNodeLinkFn(spec.node, options),
+    restoreChildLinkFn(spec.children, options)
+  )
+}
+
+/**
+ * Rebuild a childLinkFn from its serialized spec.
+ *
+ * @param {Array|null} specs
+ * @param {Object} options
+ * @return {Function|null}
+ */
+
+function restoreChildLinkFn (specs, options) {
+  if (!specs) {
+    return null
+  }
+  var linkFns = []
+  for (var i = 0, l = specs.length; i < l; i += 2) {
+    linkFns.push(
+      restoreNodeLinkFn(specs[i], options),
+      restoreChildLinkFn(specs[i + 1], options)
+    )
+  }
+  return makeChildLinkFn(linkFns)
+}
+
+/**
+ * Rebuild a nodeLinkFn from its serialized spec.
+ *
+ * @param {Object|null} spec
+ * @param {Object} options
+ * @return {Function|null}
+ */
+
+function restoreNodeLinkFn (spec, options) {
+  if (!spec) {
+    return null
+  }
+  if (spec.skip) {
+    return skip
+  }
+  if (spec.removeText) {
+    return removeText
+  }
+  if (spec.terminal) {
+    return makeTerminalLinkFn(restoreDescriptor(spec.terminal, options))
+  }
+  if (spec.text) {
+    var frag = document.createDocumentFragment()
+    var tokens = spec.text.map(function (token) {
+      token = extend({}, token)
+      if (token.descriptor) {
+        token.descriptor = restoreDescriptor(token.descriptor, options)
+      }
+      frag.appendChild(token.tag
+        ? processTextToken(token, options)
+        : document.createTextNode(token.value))
+      return token
+    })
+    return makeTextNodeLinkFn(tokens, frag)
+  }
+  return makeNodeLinkFn(spec.dirs.map(function (dir) {
+    return restoreDescriptor(dir, options)
+  }))
+}
+
+/**
+ * Rebuild a directive descriptor. Directive definitions are
+ * serialized as where to find them: "public", "internal" or
+ * the asset type to resolve them from.
+ *
+ * @param {Object} spec
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function restoreDescriptor (spec, options) {
+  var descriptor = extend({}, spec)
+  var name = spec.name
+  descriptor.def = spec.def === 'public'
+    ? publicDirectives[name]
+    : spec.def === 'internal'
+      ? internalDirectives[name]
+      : resolveAsset(options, spec.def, name)
+  if (spec.linker) {
+    descriptor.linker = restoreLinker(spec.linker, options)
+  }
+  if (spec.elseIfLinkers) {
+    descriptor.elseIfLinkers = spec.elseIfLinkers.map(function (linker) {
+      return restoreLinker(linker, options)
+    })
+  }
+  if (spec.elseLinker) {
+    descriptor.elseLinker = restoreLinker(spec.elseLinker, options)
+  }
+  return descriptor
+}
@@ -0,0 +1,354 @@
+import { cloneNode } from '../parsers/template'
+import {
+  warn,
+  toArray,
+  before,
+  after,
+  remove,
+  createAnchor,
+  isConditionalBranch
+} from '../util/index'
+
+const BLOCK_START = '['
+const BLOCK_END = ']'
+
+/**
+ * Wrap a structural node (v-if, v-for, components, slots,
+ * partials and unsafe html interpolations) in block
+ * markers. This is done during server rendering, before the
+ * node is linked, so that whatever the directive renders in
+ * its place ends up between the two markers and the client
+ * can find it again when hydrating.
+ *
+ * @param {Node} node
+ */
+
+export function markBlock (node) {
+  before(document.createComment(BLOCK_START), node)
+  after(document.createComment(BLOCK_END), node)
+}
+
+/**
+ * Prepare server-rendered markup for hydration.
+ *
+ * The template and the existing nodes are walked in
+ * parallel. Every server-rendered block is left in place
+ * and handed to a clone of the template node it was
+ * rendered from, as its `__v_server` nodes: the directive
+ * linked onto the clone then reuses them instead of
+ * rendering its content again. Since these nodes are still
+ * in the DOM, each prepared element also gets the list of
+ * children its template lines up with, which is what the
+ * link functions walk.
+ *
+ * Returns false and leaves a warning if the markup does
+ * not match the template, in which case the caller should
+ * fall back to a full client-side render.
+ *
+ * @param {Element} template - transcluded, uncompiled root
+ * @param {Element} el - server-rendered root
+ * @param {Vue} vm
+ * @return {Boolean}
+ */
+
+export function hydrate (template, el, vm) {
+  if (template.nodeType !== 1) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Fragment instances cannot be hydrated, falling back ' +
+      'to client-side rendering.',
+      vm
+    )
+    return false
+  }
+  var error = checkNode(template, el)
+  if (!error) {
+    // checked first so that a mismatch deep down the tree
+    // does not leave the markup half-prepared.
+    prepareElement(template, el)
+    el.removeAttribute('server-rendered')
+    return true
+  }
+  template.removeAttribute('server-rendered')
+  process.env.NODE_ENV !== 'production' && warn(
+    'The server-rendered markup does not match the compiled ' +
+    'template: ' + error + '. Falling back to client-side ' +
+    'rendering.',
+    vm
+  )
+  return false
+}
+
+/**
+ * Find how many of the server-rendered nodes of a block,
+ * starting at the given index, were rendered from a
+ * fragment template. This is how v-for tells its items
+ * apart.
+ *
+ * @param {DocumentFragment} template
+ * @param {Array} nodes
+ * @param {Number} start
+ * @return {Number} - index after the last matched node, or
+ *                    -1 if the nodes do not match
+ */
+
+export function matchNodes (template, nodes, start) {
+  var res = checkList(toArray(template.childNodes), nodes, start)
+  return res.error ? -1 : res.end
+}
+
+/**
+ * Prepare the server-rendered nodes of a block, which must
+ * have been checked with matchNodes(), for being linked
+ * with the template of a fragment. The nodes are wrapped in
+ * fragment anchors and stay where they are.
+ *
+ * @param {DocumentFragment} template
+ * @param {Array} nodes
+ * @param {Node} ref - the node following the block
+ * @return {Object} - to pass to the fragment linker, with
+ *                    the `start` and `end` anchors
+ */
+
+export function hydrateNodes (template, nodes, ref) {
+  var parent = ref.parentNode
+  var start = createAnchor('fragment-start')
+  var end = createAnchor('fragment-end')
+  parent.insertBefore(start, nodes.length ? nodes[0] : ref)
+  parent.insertBefore(end, ref)
+  var children = prepareList(toArray(template.childNodes), nodes, parent, end)
+  return {
+    start: start,
+    end: end,
+    childNodes: children,
+    __v_children: children
+  }
+}
+
+/**
+ * Take the server-rendered nodes a block was given by
+ * hydrate(), if any.
+ *
+ * @param {Node} el
+ * @return {Array|null}
+ */
+
+export function takeServerNodes (el) {
+  var nodes = el.__v_server || null
+  el.__v_server = null
+  return nodes
+}
+
+/**
+ * Remove server-rendered nodes that could not be reused.
+ *
+ * @param {Array} nodes
+ */
+
+export function removeNodes (nodes) {
+  for (var i = 0, l = nodes.length; i < l; i++) {
+    if (nodes[i].parentNode) {
+      remove(nodes[i])
+    }
+  }
+}
+
+/**
+ * Check that a server node matches its template node.
+ *
+ * @param {Node} tpl
+ * @param {Node} node
+ * @return {String|undefined} - mismatch description
+ */
+
+function checkNode (tpl, node) {
+  if (tpl.nodeType === 3) {
+    // text content is interpolated and may be empty, in
+    // which case there's no server node to compare against.
+    return
+  }
+  if (!node || tpl.nodeType !== node.nodeType) {
+    return 'expected ' + describe(tpl) + ', got ' + describe(node)
+  }
+  if (tpl.nodeType === 1) {
+    if (tpl.tagName !== node.tagName) {
+      return 'expected ' + describe(tpl) + ', got ' + describe(node)
+    }
+    if (hasOwnContent(tpl)) {
+      return
+    }
+    var nodes = node.childNodes
+    var res = checkList(tpl.childNodes, nodes, 0)
+    if (res.error) {
+      return res.error + ' inside ' + describe(node)
+    }
+    if (res.end < nodes.length) {
+      return 'unexpected ' + describe(nodes[res.end]) +
+        ' inside ' + describe(node)
+    }
+  }
+}
+
+/**
+ * Check a list of template nodes against the server nodes
+ * starting at the given index.
+ *
+ * @param {Array|NodeList} tplNodes
+ * @param {Array|NodeList} nodes
+ * @param {Number} start
+ * @return {Object} - the index after the last matched
+ *                    node as `end`, or an `error`
+ */
+
+function checkList (tplNodes, nodes, start) {
+  var j = start
+  var t, node, error
+  for (var i = 0, l = tplNodes.length; i < l; i++) {
+    t = tplNodes[i]
+    node = nodes[j]
+    if (isConditionalBranch(t)) {
+      continue
+    }
+    if (isBlockStart(node)) {
+      j = findBlockEnd(nodes, j) + 1
+      continue
+    }
+    if (t.nodeType === 3 && (!node || node.nodeType !== 3)) {
+      continue
+    }
+    error = checkNode(t, node)
+    if (error) {
+      return { error: error }
+    }
+    j++
+  }
+  return { end: j }
+}
+
+/**
+ * Line already checked server nodes up with the template.
+ *
+ * @param {Element} tpl
+ * @param {Element} el
+ */
+
+function prepareElement (tpl, el) {
+  if (!hasOwnContent(tpl) && tpl.hasChildNodes()) {
+    el.__v_children = prepareList(
+      toArray(tpl.childNodes), toArray(el.childNodes), el, null
+    )
+  }
+}
+
+/**
+ * Line already checked server nodes up with a list of
+ * template nodes. Blocks are replaced by template clones
+ * holding the nodes rendered between their markers, and
+ * empty text nodes are created for interpolations that
+ * rendered nothing.
+ *
+ * @param {Array} tplNodes
+ * @param {Array} nodes
+ * @param {Node} parent
+ * @param {Node|null} ref - the node following the list
+ * @return {Array} - the nodes lined up with tplNodes
+ */
+
+function prepareList (tplNodes, nodes, parent, ref) {
+  var children = []
+  var j = 0
+  var t, node, end, clone
+  for (var i = 0, l = tplNodes.length; i < l; i++) {
+    t = tplNodes[i]
+    node = nodes[j]
+    if (isConditionalBranch(t)) {
+      // the v-if block picks up the else branches from its
+      // next siblings, so they have to be present as well.
+      clone = cloneNode(t)
+      insert(clone, parent, node || ref)
+      children.push(clone)
+      continue
+    }
+    if (isBlockStart(node)) {
+      end = findBlockEnd(nodes, j)
+      clone = cloneNode(t)
+      clone.__v_server = nodes.slice(j + 1, end)
+      insert(clone, parent, nodes[end])
+      remove(node)
+      remove(nodes[end])
+      children.push(clone)
+      j = end + 1
+      continue
+    }
+    if (t.nodeType === 3 && (!node || node.nodeType !== 3)) {
+      node = document.createTextNode('')
+      insert(node, parent, nodes[j] || ref)
+      children.push(node)
+      continue
+    }
+    if (t.nodeType === 1) {
+      prepareElement(t, node)
+    }
+    children.push(node)
+    j++
+  }
+  return children
+}
+
+/**
+ * Elements whose content is set by a directive can have
+ * any server-rendered children.
+ *
+ * @param {Element} tpl
+ * @return {Boolean}
+ */
+
+function hasOwnContent (tpl) {
+  return tpl.hasAttribute('v-html') || tpl.hasAttribute('v-text')
+}
+
+/**
+ * Find the index of the marker closing the block that
+ * starts at the given index.
+ *
+ * @param {Array|NodeList} nodes
+ * @param {Number} start
+ * @return {Number}
+ */
+
+function findBlockEnd (nodes, start) {
+  var depth = 0
+  for (var i = start, l = nodes.length; i < l; i++) {
+    if (isBlockStart(nodes[i])) {
+      depth++
+    } else if (isBlockEnd(nodes[i]) && --depth === 0) {
+      return i
+    }
+  }
+  return l - 1
+}
+
+function isBlockStart (node) {
+  return node && node.nodeType === 8 && node.data === BLOCK_START
+}
+
+function isBlockEnd (node) {
+  return node && node.nodeType === 8 && node.data === BLOCK_END
+}
+
+function insert (node, parent, ref) {
+  if (ref) {
+    parent.insertBefore(node, ref)
+  } else {
+    parent.appendChild(node)
+  }
+}
+
+function describe (node) {
+  return !node
+    ? 'nothing'
+    : node.nodeType === 1
+      ? '<' + node.tagName.toLowerCase() + '>'
+      : node.nodeType === 3
+        ? 'text "' + node.data.trim().slice(0, 20) + '"'
+        : 'comment "' + node.data + '"'
+}
@@ -1,3 +1,5 @@
 export * from './compile'
 export * from './transclude'
 export * from './resolve-slots'
+export * from './hydrate'
+export * from './validate'
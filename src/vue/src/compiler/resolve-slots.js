@@ -1,9 +1,13 @@
+import Watcher from '../watcher'
 import { parseTemplate } from '../parsers/template'
+import { parseDirective } from '../parsers/directive'
+import { withoutConversion } from '../observer/index'
 import {
   isTemplate,
   toArray,
   getBindAttr,
-  warn
+  remove,
+  defineReactive
 } from '../util/index'
 
 /**
@@ -12,62 +16,118 @@ import {
  * the distribution is decoupled from the compilation order of
  * the slots.
  *
- * @param {Element|DocumentFragment} template
- * @param {Element} content
+ * The resolved contents are exposed as `vm.$slots`, one
+ * fragment per slot name. A `slot` attribute can be bound to
+ * an expression, which is evaluated in the scope the content
+ * was written in; the content is distributed again when it
+ * changes.
+ *
  * @param {Vue} vm
+ * @param {Element} content
  */
 
 export function resolveSlots (vm, content) {
-  if (!content) {
-    return
-  }
-  var contents = vm._slotContents = Object.create(null)
-  var el, name
-  for (var i = 0, l = content.children.length; i < l; i++) {
-    el = content.children[i]
-    /* eslint-disable no-cond-assign */
-    if (name = el.getAttribute('slot')) {
-      (contents[name] || (contents[name] = [])).push(el)
+  var nodes = content ? toArray(content.childNodes) : []
+  var node, exp
+  for (var i = 0, l = nodes.length; i < l; i++) {
+    node = nodes[i]
+    if (node.nodeType === 1 && (exp = getBindAttr(node, 'slot')) !== null) {
+      watchSlotName(vm, node, exp)
+      // keep the nodes around to distribute them again
+      vm._slotNodes = nodes
     }
-    /* eslint-enable no-cond-assign */
-    if (process.env.NODE_ENV !== 'production' && getBindAttr(el, 'slot')) {
-      warn('The "slot" attribute must be static.', vm.$parent)
+  }
+  withoutConversion(() => {
+    defineReactive(vm, '$slots', distribute(nodes))
+  })
+}
+
+/**
+ * Evaluate a bound slot attribute and watch it.
+ *
+ * @param {Vue} vm
+ * @param {Element} el
+ * @param {String} exp
+ */
+
+function watchSlotName (vm, el, exp) {
+  var parsed = parseDirective(exp)
+  var watcher = new Watcher(vm, parsed.expression, function (name) {
+    el._slotName = name
+    withoutConversion(() => {
+      vm.$slots = distribute(vm._slotNodes)
+    })
+  }, {
+    filters: parsed.filters,
+    scope: vm._scope || vm._context
+  })
+  el._slotName = watcher.value
+}
+
+/**
+ * Group content nodes into a fragment per slot name.
+ * Nodes that do not name a slot go to the default slot,
+ * unless they are only whitespace.
+ *
+ * @param {Array<Node>} nodes
+ * @return {Object}
+ */
+
+function distribute (nodes) {
+  var contents = Object.create(null)
+  var rest = []
+  var node, name
+  for (var i = 0, l = nodes.length; i < l; i++) {
+    node = nodes[i]
+    name = node.nodeType === 1 && (
+      node._slotName !== undefined
+        ? node._slotName
+        : node.getAttribute('slot')
+    )
+    if (name) {
+      (contents[name] || (contents[name] = [])).push(node)
+    } else {
+      rest.push(node)
     }
   }
   for (name in contents) {
-    contents[name] = extractFragment(contents[name], content)
+    contents[name] = extractFragment(contents[name])
   }
-  if (content.hasChildNodes()) {
-    const nodes = content.childNodes
-    if (
-      nodes.length === 1 &&
-      nodes[0].nodeType === 3 &&
-      !nodes[0].data.trim()
-    ) {
-      return
-    }
-    contents['default'] = extractFragment(content.childNodes, content)
+  if (rest.some(isContent)) {
+    contents['default'] = extractFragment(rest)
   }
+  return contents
+}
+
+function isContent (node) {
+  return node.nodeType !== 3 || !!node.data.trim()
 }
 
 /**
  * Extract qualified content nodes from a node list.
+ * A <template scope="props"> makes the slot a scoped slot:
+ * the alias is kept on the fragment, and the slot compiles
+ * the content with its bindings exposed under it.
  *
- * @param {NodeList} nodes
+ * @param {Array<Node>} nodes
  * @return {DocumentFragment}
  */
 
-function extractFragment (nodes, parent) {
+function extractFragment (nodes) {
   var frag = document.createDocumentFragment()
-  nodes = toArray(nodes)
   for (var i = 0, l = nodes.length; i < l; i++) {
     var node = nodes[i]
+    if (isTemplate(node) && node.hasAttribute('scope')) {
+      frag._slotScope = node.getAttribute('scope')
+    }
     if (
       isTemplate(node) &&
       !node.hasAttribute('v-if') &&
       !node.hasAttribute('v-for')
     ) {
-      parent.removeChild(node)
+      if (node.parentNode) {
+        remove(node)
+      }
       node = parseTemplate(node, true)
     }
     frag.appendChild(node)
@@ -87,35 +87,17 @@ function transcludeTemplate (el, options) {
     if (!replacer) {
       return frag
     }
-    var tag = replacer.tagName && replacer.tagName.toLowerCase()
     if (options.replace) {
       /* istanbul ignore if */
       if (el === document.body) {
         process.env.NODE_ENV !== 'production' && warn(
           'You are mounting an instance with a template to ' +
           '<body>. This will replace <body> entirely. You ' +
-          'should probably use `replace: false` here.'
+          'should probably use `replace: false` here.',
+          options
         )
       }
-      // there are many cases where the instance must
-      // become a fragment instance: basically anything that
-      // can create more than 1 root nodes.
-      if (
-        // multi-children template
-        frag.childNodes.length > 1 ||
-        // non-element template
-        replacer.nodeType !== 1 ||
-        // single nested component
-        tag === 'component' ||
-        resolveAsset(options, 'components', tag) ||
-        hasBindAttr(replacer, 'is') ||
-        // element directive
-        resolveAsset(options, 'elementDirectives', tag) ||
-        // for block
-        replacer.hasAttribute('v-for') ||
-        // if block
-        replacer.hasAttribute('v-if')
-      ) {
+      if (isFragmentTemplate(frag, options)) {
         return frag
       } else {
         // 获取虚拟节点对应的真实html，如<hello></hello> 对应html: 
@@ -134,11 +116,45 @@ function transcludeTemplate (el, options) {
     }
   } else {
     process.env.NODE_ENV !== 'production' && warn(
-      'Invalid template option: ' + template
+      'Invalid template option: ' + template,
+      options
     )
   }
 }
 
+/**
+ * Check if a template would turn a `replace: true` instance
+ * into a fragment instance.
+ *
+ * @param {DocumentFragment} frag
+ * @param {Object} options
+ * @return {Boolean}
+ */
+
+export function isFragmentTemplate (frag, options) {
+  var replacer = frag.firstChild
+  var tag = replacer.tagName && replacer.tagName.toLowerCase()
+  // there are many cases where the instance must
+  // become a fragment instance: basically anything that
+  // can create more than 1 root nodes.
+  return !!(
+    // multi-children template
+    frag.childNodes.length > 1 ||
+    // non-element template
+    replacer.nodeType !== 1 ||
+    // single nested component
+    tag === 'component' ||
+    resolveAsset(options, 'components', tag) ||
+    hasBindAttr(replacer, 'is') ||
+    // element directive
+    resolveAsset(options, 'elementDirectives', tag) ||
+    // for block
+    replacer.hasAttribute('v-for') ||
+    // if block
+    replacer.hasAttribute('v-if')
+  )
+}
+
 /**
  * Helper to extract a component container's attributes
  * into a plain object array.
@@ -179,4 +195,29 @@ function mergeAttrs (from, to) {
       })
     }
   }
+  if (process.env.NODE_ENV !== 'production' && from.__v_loc) {
+    mergeLocations(from.__v_loc, to)
+  }
+}
+
+/**
+ * Give the replacer the source locations of the container
+ * attributes it does not have itself, since directives on
+ * the container end up bound to the replacer.
+ *
+ * @param {Object} loc - the container's location
+ * @param {Element} to
+ */
+
+function mergeLocations (loc, to) {
+  var own = to.__v_loc || loc
+  var attrs = {}
+  var key
+  for (key in loc.attrs) {
+    attrs[key] = loc.attrs[key]
+  }
+  for (key in own.attrs) {
+    attrs[key] = own.attrs[key]
+  }
+  to.__v_loc = { tag: own.tag, loc: own.loc, attrs: attrs }
 }
@@ -0,0 +1,316 @@
+import Vue from '../instance/vue'
+import Cache from '../cache'
+import { compile } from './compile'
+import { isFragmentTemplate } from './transclude'
+import { walkTemplate } from './walk'
+import { parseTemplate, getLocation, isPrecompiled } from '../parsers/template'
+import { parseDirective } from '../parsers/directive'
+import { checkExpression } from '../parsers/expression'
+import {
+  mergeOptions,
+  resolveAsset,
+  htmlTagRE,
+  reservedTagRE,
+  collectWarnings,
+  formatLocation
+} from '../util/index'
+
+// compiler warnings that checkNodes() reports on its own
+const reportedWarningRE = /^(?:Failed to resolve|Unknown custom element)/
+
+const validatedTemplates = new Cache(1000)
+
+/**
+ * Validate a template without rendering it, and return all
+ * the problems found in it. The template is compiled but not
+ * linked, so that anything that would only surface as a
+ * warning once rendered (or not at all until the broken part
+ * gets rendered) is reported at once.
+ *
+ * Each diagnostic is an object with:
+ * - {String} code - one of 'invalid-template',
+ *   'unknown-component', 'unknown-directive',
+ *   'unknown-filter', 'invalid-expression', 'invalid-v-for',
+ *   'if-with-for', 'fragment-instance' and 'compile-warning'
+ *   for other warnings issued by the compiler
+ * - {String} message
+ * - {Object|null} loc - { start, end, line, column } in the
+ *   template string, in dev mode
+ * - {String} frame - the code frame of the location
+ *
+ * @param {String|Node} template
+ * @param {Object|Function} [options] - component options or
+ *                                      constructor
+ * @return {Array<Object>}
+ * @public
+ */
+
+export function validate (template, options) {
+  options = typeof options === 'function'
+    ? options.options
+    : mergeOptions(Vue.options, options || {})
+  return diagnose(template, options)
+}
+
+/**
+ * Validate the template of an instance in strict mode, and
+ * throw an error listing the problems found, if any.
+ * Templates are only validated once per constructor.
+ *
+ * @param {Vue} vm
+ */
+
+export function assertValidTemplate (vm) {
+  var template = vm.$options.template
+  var key = typeof template === 'string' && vm.constructor.cid + template
+  if (!template || isPrecompiled(template) || (key && validatedTemplates.get(key))) {
+    return
+  }
+  var diagnostics = diagnose(template, vm.$options)
+  if (diagnostics.length) {
+    var err = new Error(
+      'Found ' + diagnostics.length + ' problem' +
+      (diagnostics.length > 1 ? 's' : '') + ' in template:\n\n' +
+      diagnostics.map(function (d) {
+        return d.message + (d.frame ? '\n' + d.frame : '')
+      }).join('\n\n')
+    )
+    err.name = 'TemplateError'
+    err.diagnostics = diagnostics
+    throw err
+  }
+  if (key) {
+    validatedTemplates.put(key, true)
+  }
+}
+
+/**
+ * Collect the diagnostics of a template.
+ *
+ * @param {String|Node} template
+ * @param {Object} options - resolved options
+ * @return {Array<Object>}
+ */
+
+function diagnose (template, options) {
+  var diagnostics = []
+  var warnings = []
+  var frag
+  var parseAndCompile = function () {
+    frag = parseTemplate(template, true)
+    if (frag) {
+      compile(frag, options, true)
+    }
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warnings = collectWarnings(parseAndCompile)
+  } else {
+    parseAndCompile()
+  }
+  if (!frag) {
+    report(diagnostics, 'invalid-template', 'Invalid template: ' + template)
+    return diagnostics
+  }
+  if (
+    options.replace && frag.firstChild &&
+    isFragmentTemplate(frag, options)
+  ) {
+    report(
+      diagnostics, 'fragment-instance',
+      'The template does not have a single root element, so the ' +
+      'component will be a fragment instance and attributes and ' +
+      'directives on its element will be ignored.',
+      frag.firstChild
+    )
+  }
+  checkNodes(frag, options, diagnostics)
+  warnings.forEach(function (warning) {
+    // already reported with more details
+    if (!reportedWarningRE.test(warning.message)) {
+      pushDiagnostic(diagnostics, 'compile-warning', warning.message, warning.loc)
+    }
+  })
+  return diagnostics
+}
+
+/**
+ * Check every element, directive and expression of a
+ * template.
+ *
+ * @param {Node} frag
+ * @param {Object} options
+ * @param {Array} diagnostics
+ */
+
+function checkNodes (frag, options, diagnostics) {
+  walkTemplate(frag, {
+    element: function (el) {
+      checkElement(el, options, diagnostics)
+    },
+    tokens: function (tokens, el, attr) {
+      checkTokens(tokens, el, attr, options, diagnostics)
+    },
+    forExp: function (exp, filters, el, attr) {
+      if (exp !== null) {
+        checkParsed(exp, filters, el, attr, options, diagnostics)
+      } else {
+        report(
+          diagnostics, 'invalid-v-for',
+          'Invalid v-for expression "' + el.getAttribute(attr) + '": ' +
+          'expected "alias in expression"',
+          el, attr
+        )
+      }
+    },
+    expression: function (value, el, attr) {
+      checkValue(value, el, attr, options, diagnostics)
+    },
+    directive: function (name, value, el, attr) {
+      if (!resolveAsset(options, 'directives', name)) {
+        report(
+          diagnostics, 'unknown-directive',
+          'Unknown directive: v-' + name,
+          el, attr
+        )
+      } else if (value !== null) {
+        checkValue(value, el, attr, options, diagnostics)
+      }
+    }
+  })
+}
+
+function checkElement (el, options, diagnostics) {
+  var tag = el.tagName.toLowerCase()
+  var is = el.getAttribute('is')
+  if (
+    !htmlTagRE.test(tag) &&
+    !reservedTagRE.test(tag) &&
+    !resolveAsset(options, 'components', tag) &&
+    !resolveAsset(options, 'elementDirectives', tag)
+  ) {
+    report(
+      diagnostics, 'unknown-component',
+      'Unknown custom element: <' + tag + '>',
+      el
+    )
+  } else if (is && !resolveAsset(options, 'components', is)) {
+    report(
+      diagnostics, 'unknown-component',
+      'Unknown component: ' + is,
+      el, 'is'
+    )
+  }
+  if (el.hasAttribute('v-if') && el.hasAttribute('v-for')) {
+    report(
+      diagnostics, 'if-with-for',
+      'v-if and v-for are used on the same element: v-for takes ' +
+      'priority, so v-if is evaluated for each item. Use a ' +
+      'filter or computed property, or wrap the element in a ' +
+      '<template v-if>.',
+      el, 'v-if'
+    )
+  }
+}
+
+function checkTokens (tokens, el, attr, options, diagnostics) {
+  for (var i = 0, l = tokens.length; i < l; i++) {
+    if (tokens[i].tag) {
+      checkValue(tokens[i].value, el, attr, options, diagnostics)
+    }
+  }
+}
+
+/**
+ * Check the expression and filters of a directive value.
+ *
+ * @param {String} value
+ * @param {Element} el
+ * @param {String|null} attr
+ * @param {Object} options
+ * @param {Array} diagnostics
+ */
+
+function checkValue (value, el, attr, options, diagnostics) {
+  var parsed = parseDirective(value)
+  checkParsed(parsed.expression, parsed.filters, el, attr, options, diagnostics)
+}
+
+function checkParsed (exp, filters, el, attr, options, diagnostics) {
+  checkExp(exp, el, attr, diagnostics)
+  if (!filters) {
+    return
+  }
+  for (var i = 0, l = filters.length; i < l; i++) {
+    if (!resolveAsset(options, 'filters', filters[i].name)) {
+      report(
+        diagnostics, 'unknown-filter',
+        'Unknown filter: ' + filters[i].name,
+        el, attr
+      )
+    }
+    var args = filters[i].args
+    if (args) {
+      for (var j = 0, k = args.length; j < k; j++) {
+        if (args[j].dynamic) {
+          checkExp(args[j].value, el, attr, diagnostics)
+        }
+      }
+    }
+  }
+}
+
+function checkExp (exp, el, attr, diagnostics) {
+  var error = exp && checkExpression(exp)
+  if (error) {
+    report(
+      diagnostics, 'invalid-expression',
+      'Invalid expression "' + exp + '": ' + error,
+      el, attr
+    )
+  }
+}
+
+/**
+ * Add a diagnostic about an element or one of its
+ * attributes.
+ *
+ * @param {Array} diagnostics
+ * @param {String} code
+ * @param {String} message
+ * @param {Element} [el]
+ * @param {String} [attr]
+ */
+
+function report (diagnostics, code, message, el, attr) {
+  var loc = el && ((attr && getLocation(el, attr)) || getLocation(el))
+  pushDiagnostic(diagnostics, code, message, loc)
+}
+
+function pushDiagnostic (diagnostics, code, message, loc) {
+  diagnostics.push({
+    code: code,
+    message: message,
+    loc: loc ? toPosition(loc) : null,
+    frame: loc && process.env.NODE_ENV !== 'production'
+      ? formatLocation(loc).slice(2)
+      : ''
+  })
+}
+
+/**
+ * Turn a location into line and column numbers, both
+ * starting from 1.
+ *
+ * @param {Object} loc - { source, start, end }
+ * @return {Object} - { start, end, line, column }
+ */
+
+function toPosition (loc) {
+  var before = loc.source.slice(0, loc.start).split('\n')
+  return {
+    start: loc.start,
+    end: loc.end,
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  }
+}
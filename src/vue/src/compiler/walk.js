@@ -0,0 +1,101 @@
+import { parseText } from '../parsers/text'
+import { parseDirective } from '../parsers/directive'
+import { toArray } from '../util/index'
+
+export const bindRE = /^v-bind:|^:/
+export const onRE = /^v-on:|^@/
+export const dirAttrRE = /^v-([^:]+)(?:$|:(.*)$)/
+export const modifierRE = /\.[^\.]+/g
+export const forAliasRE = /^\s*(?:[\w$]+|\(\s*[\w$]+\s*,\s*[\w$]+\s*\))\s+(?:in|of)\s+(.*)$/
+// directives whose value is never an expression
+export const literalDirRE = /^v-(?:pre|cloak|ref|el)$/
+
+/**
+ * Walk a template and report everything in it the compiler
+ * would evaluate, without compiling it. This is what the
+ * template validator and the precompiler look at, so that
+ * both read directives the same way.
+ *
+ * The visitor can implement:
+ * - element (el)
+ * - tokens (tokens, el, attr) - interpolation tokens of an
+ *   attribute, of the value of a textarea (attr is 'value')
+ *   or of a text node (attr is null, el is its parent)
+ * - forExp (exp, filters, el, attr) - the source expression
+ *   of a v-for, or null if it cannot be parsed
+ * - expression (value, el, attr) - the value of a binding,
+ *   a listener or a v-else-if
+ * - directive (name, value, el, attr) - any other v-
+ *   directive; value is null when it is taken literally
+ *
+ * @param {Node} node
+ * @param {Object} visitor
+ */
+
+export function walkTemplate (node, visitor) {
+  var tokens
+  if (node.nodeType === 3) {
+    tokens = parseText(node.data)
+    if (tokens && visitor.tokens) {
+      visitor.tokens(tokens, node.parentNode, null)
+    }
+    return
+  }
+  if (node.nodeType === 1) {
+    if (node.hasAttribute('v-pre')) {
+      return
+    }
+    if (visitor.element) {
+      visitor.element(node)
+    }
+    walkAttributes(node, visitor)
+    if (
+      node.tagName === 'TEXTAREA' &&
+      (tokens = parseText(node.value)) &&
+      visitor.tokens
+    ) {
+      visitor.tokens(tokens, node, 'value')
+    }
+  }
+  var children = node.content && node.content.nodeType === 11
+    ? node.content.childNodes
+    : node.childNodes
+  for (var i = 0, l = children.length; i < l; i++) {
+    walkTemplate(children[i], visitor)
+  }
+}
+
+/**
+ * Report the attributes of an element.
+ *
+ * @param {Element} el
+ * @param {Object} visitor
+ */
+
+function walkAttributes (el, visitor) {
+  var attrs = toArray(el.attributes)
+  var attr, name, value, tokens, matched, parsed, match
+  for (var i = 0, l = attrs.length; i < l; i++) {
+    attr = attrs[i]
+    value = attr.value
+    name = attr.name.replace(modifierRE, '')
+    if ((tokens = parseText(value))) {
+      visitor.tokens && visitor.tokens(tokens, el, attr.name)
+    } else if (name === 'v-for') {
+      parsed = parseDirective(value)
+      match = parsed.expression.match(forAliasRE)
+      visitor.forExp && visitor.forExp(
+        match ? match[1] : null, parsed.filters, el, attr.name
+      )
+    } else if (bindRE.test(name) || onRE.test(name) || name === 'v-else-if') {
+      visitor.expression && visitor.expression(value, el, attr.name)
+    } else if (name !== 'v-else' && (matched = name.match(dirAttrRE))) {
+      visitor.directive && visitor.directive(
+        matched[1],
+        literalDirRE.test(name) || /\.literal\b/.test(attr.name) ? null : value,
+        el,
+        attr.name
+      )
+    }
+  }
+}
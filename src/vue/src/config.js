@@ -42,6 +42,83 @@ const config = {
 
   devtools: process.env.NODE_ENV !== 'production',
 
+  /**
+   * Whether to evaluate expressions with an interpreter
+   * instead of generating functions for them, for pages
+   * whose Content Security Policy forbids `unsafe-eval`.
+   * Expressions are slower to evaluate in this mode.
+   *
+   * @type {Boolean}
+   */
+
+  csp: false,
+
+  /**
+   * Whether to observe data with ES2015 Proxies where they
+   * are available. In this mode adding and deleting
+   * properties, and setting array indices and length,
+   * trigger updates without Vue.set/Vue.delete/$set.
+   * Has to be set before any data is observed.
+   *
+   * @type {Boolean}
+   */
+
+  proxyObserver: false,
+
+  /**
+   * Whether to profile watcher flushes. When enabled, every
+   * flush and every watcher run is recorded as a
+   * performance.mark/measure pair, visible in the browser's
+   * performance timeline. Set it to a function to also get
+   * a report after each flush:
+   *
+   *   {
+   *     duration: Number, // ms spent in the flush
+   *     reruns: Number,   // runs of watchers that already
+   *                       // ran in the same flush
+   *     watchers: [{ expression, vm, runs, reruns, time }]
+   *   }
+   *
+   * with the watchers sorted by total run time.
+   *
+   * @type {Boolean|Function}
+   */
+
+  performance: false,
+
+  /**
+   * Handler for errors thrown by user code during
+   * rendering, in watchers, lifecycle hooks, event handlers
+   * and filters, called as `(err, vm, info)` when the error
+   * has not been handled by an `errorCaptured` hook. Errors
+   * are logged when there's no handler.
+   *
+   * @type {Function}
+   */
+
+  errorHandler: null,
+
+  /**
+   * Handler for warnings, called as `(msg, vm, trace)` in
+   * place of logging them to the console. `trace` is the
+   * component hierarchy the warning was found in.
+   *
+   * @type {Function}
+   */
+
+  warnHandler: null,
+
+  /**
+   * Whether to validate templates before they are compiled
+   * for the first time, and throw an error listing all the
+   * problems found instead of warning about them one by one
+   * as they are rendered. See Vue.compiler.validate().
+   *
+   * @type {Boolean}
+   */
+
+  strict: false,
+
   /**
    * Internal flag to indicate the delimiters have been
    * changed.
@@ -82,6 +159,16 @@ const config = {
 
   _maxUpdateCount: 100,
 
+  /**
+   * Internal flag set while an instance is being rendered
+   * on the server, so that structural blocks get marked
+   * for client-side hydration.
+   *
+   * @type {Boolean}
+   */
+
+  _isServer: false,
+
   /**
    * Interpolation delimiters. Changing these would trigger
    * the text parser to re-compile the regular expressions.
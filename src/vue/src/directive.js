@@ -8,10 +8,12 @@ import {
   camelize,
   hyphenate,
   nextTick,
-  warn
+  warn,
+  setWarnLocation
 } from './util/index'
 import Watcher from './watcher'
 import { parseExpression, isSimplePath } from './parsers/expression'
+import { getLocation } from './parsers/template'
 
 function noop () {}
 
@@ -145,6 +147,10 @@ Directive.prototype._bind = function () {
     var postProcess = this._postProcess
       ? bind(this._postProcess, this)
       : null
+    // warnings about the expression point at the directive
+    if (process.env.NODE_ENV !== 'production') {
+      var prevLoc = setWarnLocation(this._getLocation())
+    }
     var watcher = this._watcher = new Watcher(
       this.vm,
       this.expression,
@@ -155,9 +161,15 @@ Directive.prototype._bind = function () {
         deep: this.deep,
         preProcess: preProcess,
         postProcess: postProcess,
-        scope: this._scope
+        scope: this._scope,
+        // directives that do not render anything, e.g.
+        // listeners, opt out with `patch: false`
+        patch: this.patch !== false
       }
     )
+    if (process.env.NODE_ENV !== 'production') {
+      setWarnLocation(prevLoc)
+    }
     // v-model with inital inline value need to sync back to
     // model instead of update to DOM on init. They would
     // set the afterBind hook to indicate that.
@@ -249,7 +261,13 @@ Directive.prototype._checkStatement = function () {
     expression && this.acceptStatement &&
     !isSimplePath(expression)
   ) {
+    if (process.env.NODE_ENV !== 'production') {
+      var prevLoc = setWarnLocation(this._getLocation())
+    }
     var fn = parseExpression(expression).get
+    if (process.env.NODE_ENV !== 'production') {
+      setWarnLocation(prevLoc)
+    }
     var scope = this._scope || this.vm
     var handler = function (e) {
       scope.$event = e
@@ -264,6 +282,22 @@ Directive.prototype._checkStatement = function () {
   }
 }
 
+/**
+ * Get the location of the directive in the template it was
+ * compiled from, or of the element of a text interpolation.
+ * Only available in dev mode.
+ *
+ * @return {Object|null}
+ */
+
+Directive.prototype._getLocation = function () {
+  var el = this.el
+  if (el && el.nodeType === 3) {
+    el = el.parentNode
+  }
+  return getLocation(el, this.descriptor.attr) || getLocation(el)
+}
+
 /**
  * Set the corresponding value with the setter.
  * This should only be used in two-way directives
@@ -1,6 +1,6 @@
-import vIf from '../public/if'
 import FragmentFactory from '../../fragment/factory'
 import { PARTIAL } from '../priorities'
+import { takeServerNodes, removeNodes } from '../../compiler/index'
 import {
   createAnchor,
   replace,
@@ -16,7 +16,7 @@ export default {
   // watch changes to name for dynamic partials
   paramWatchers: {
     name (value) {
-      vIf.remove.call(this)
+      this.remove()
       if (value) {
         this.insert(value)
       }
@@ -25,15 +25,39 @@ export default {
 
   bind () {
     this.anchor = createAnchor('v-partial')
+    this.serverNodes = takeServerNodes(this.el)
     replace(this.el, this.anchor)
     this.insert(this.params.name)
+    if (this.serverNodes) {
+      removeNodes(this.serverNodes)
+      this.serverNodes = null
+    }
   },
 
   insert (id) {
     var partial = resolveAsset(this.vm.$options, 'partials', id, true)
     if (partial) {
       this.factory = new FragmentFactory(this.vm, partial)
-      vIf.insert.call(this)
+      var nodes = this.serverNodes
+      if (nodes) {
+        this.serverNodes = null
+        this.frag = this.factory.hydrate(
+          nodes, this.anchor, this._host, this._scope, this._frag
+        )
+        if (this.frag) {
+          return
+        }
+        removeNodes(nodes)
+      }
+      this.frag = this.factory.create(this._host, this._scope, this._frag)
+      this.frag.before(this.anchor)
+    }
+  },
+
+  remove () {
+    if (this.frag) {
+      this.frag.remove()
+      this.frag = null
     }
   },
 
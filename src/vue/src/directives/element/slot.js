@@ -1,27 +1,95 @@
 import { SLOT } from '../priorities'
+import Watcher from '../../watcher'
+import { parseDirective } from '../../parsers/directive'
+import { cloneNode } from '../../parsers/template'
+import {
+  compile,
+  matchNodes,
+  hydrateNodes,
+  takeServerNodes,
+  removeNodes
+} from '../../compiler/index'
 import {
   extractContent,
+  createAnchor,
   replace,
-  remove
+  before,
+  remove,
+  toArray,
+  mapNodeRange,
+  camelize,
+  defineReactive
 } from '../../util/index'
 
+const bindRE = /^v-bind:|^:/
+
 export default {
 
   priority: SLOT,
   params: ['name'],
 
+  // render other content when the name is dynamic
+  paramWatchers: {
+    name () {
+      this.render()
+    }
+  },
+
   bind () {
+    this.anchor = createAnchor('v-slot')
+    this.serverNodes = takeServerNodes(this.el)
+    replace(this.el, this.anchor)
+    this.render()
+    // the content is distributed again when a bound slot
+    // attribute changes
+    if (this.vm._slotNodes) {
+      var self = this
+      this.unwatch = this.vm.$watch('$slots', function () {
+        self.render()
+      })
+    }
+  },
+
+  render () {
+    this.clear()
     // this was resolved during component transclusion
     var name = this.params.name || 'default'
-    var content = this.vm._slotContents && this.vm._slotContents[name]
+    var content = this.vm.$slots[name]
     if (!content || !content.hasChildNodes()) {
       this.fallback()
     } else {
-      this.compile(content.cloneNode(true), this.vm._context, this.vm)
+      this.compile(content.cloneNode(true), this.vm._context, this.vm, content._slotScope)
+    }
+  },
+
+  /**
+   * Remove the rendered content.
+   */
+
+  clear () {
+    if (this.unlink) {
+      this.unlink()
+      this.unlink = null
+    }
+    var nodes = this.nodes
+    if (nodes) {
+      for (var i = 0, l = nodes.length; i < l; i++) {
+        if (nodes[i].parentNode) {
+          remove(nodes[i])
+        }
+      }
+      this.nodes = null
+    }
+    var watchers = this.propWatchers
+    if (watchers) {
+      for (i = 0, l = watchers.length; i < l; i++) {
+        watchers[i].teardown()
+      }
+      this.propWatchers = null
     }
   },
 
-  compile (content, context, host) {
+  compile (content, context, host, alias) {
     if (content && context) {
       if (
         this.el.hasChildNodes() &&
@@ -38,27 +106,128 @@ export default {
         elseBlock._context = this.vm
         content.appendChild(elseBlock)
       }
-      const scope = host
+      var scope = host
         ? host._scope
         : this._scope
+      if (alias) {
+        scope = this.createScope(scope || context, alias)
+      }
+      if (this.hydrate(content, context, host, scope)) {
+        return
+      }
       this.unlink = context.$compile(
         content, host, scope, this._frag
       )
     }
     if (content) {
-      replace(this.el, content)
-    } else {
-      remove(this.el)
+      this.nodes = toArray(content.childNodes)
+      before(content, this.anchor)
+    }
+  },
+
+  /**
+   * Link the content the server rendered for this slot in
+   * place, if it was rendered from the same content.
+   *
+   * @param {DocumentFragment} content
+   * @param {Vue} context
+   * @param {Vue} [host]
+   * @param {Object} [scope]
+   * @return {Boolean}
+   */
+
+  hydrate (content, context, host, scope) {
+    var nodes = this.serverNodes
+    if (!nodes) {
+      return false
     }
+    this.serverNodes = null
+    if (matchNodes(content, nodes, 0) !== nodes.length) {
+      removeNodes(nodes)
+      return false
+    }
+    var target = hydrateNodes(content, nodes, this.anchor)
+    this.unlink = compile(content, context.$options, true)(
+      context, target, host, scope, this._frag
+    )
+    var rendered = this.nodes = []
+    mapNodeRange(target.start, target.end, function (node) {
+      rendered.push(node)
+    })
+    return true
+  },
+
+  /**
+   * Create the scope the content of a scoped slot is
+   * compiled in: the scope it was written in, with the slot
+   * props exposed under the alias given by its `scope`
+   * attribute.
+   *
+   * @param {Object} parentScope
+   * @param {String} alias
+   * @return {Object}
+   */
+
+  createScope (parentScope, alias) {
+    var scope = Object.create(parentScope)
+    // ref holder for the scope
+    scope.$refs = Object.create(parentScope.$refs)
+    scope.$els = Object.create(parentScope.$els)
+    scope.$parent = parentScope
+    scope[alias] = this.getProps()
+    return scope
+  },
+
+  /**
+   * Build the props of a scoped slot from the attributes of
+   * the <slot> element. Bound attributes are evaluated in
+   * the scope of the slot, e.g. the v-for row of the child,
+   * and kept up to date.
+   *
+   * @return {Object}
+   */
+
+  getProps () {
+    var props = {}
+    var attrs = this.el.attributes
+    var name, key, parsed
+    this.propWatchers = []
+    for (var i = 0, l = attrs.length; i < l; i++) {
+      name = attrs[i].name
+      key = camelize(name.replace(bindRE, ''))
+      if (key === 'name') {
+        continue
+      }
+      if (bindRE.test(name)) {
+        parsed = parseDirective(attrs[i].value)
+        this.watchProp(props, key, parsed)
+      } else {
+        defineReactive(props, key, attrs[i].value)
+      }
+    }
+    return props
+  },
+
+  watchProp (props, key, parsed) {
+    var watcher = new Watcher(this.vm, parsed.expression, function (val) {
+      props[key] = val
+    }, {
+      filters: parsed.filters,
+      scope: this._scope
+    })
+    defineReactive(props, key, watcher.value)
+    this.propWatchers.push(watcher)
   },
 
   fallback () {
-    this.compile(extractContent(this.el, true), this.vm)
+    // the slot element is kept for later renders
+    this.compile(extractContent(cloneNode(this.el), true), this.vm)
   },
 
   unbind () {
-    if (this.unlink) {
-      this.unlink()
+    this.clear()
+    if (this.unwatch) {
+      this.unwatch()
     }
   }
 }
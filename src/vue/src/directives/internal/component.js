@@ -1,4 +1,14 @@
-import { cloneNode } from '../../parsers/template'
+import { cloneNode, parseTemplate } from '../../parsers/template'
+import {
+  compile,
+  compileAndLinkProps,
+  matchNodes,
+  hydrateNodes,
+  takeServerNodes,
+  removeNodes
+} from '../../compiler/index'
+import Fragment from '../../fragment/fragment'
+import Cache from '../../cache'
 import { COMPONENT } from '../priorities'
 import {
   extractContent,
@@ -7,7 +17,10 @@ import {
   hyphenate,
   warn,
   cancellable,
-  extend
+  extend,
+  isArray,
+  toNumber,
+  inDoc
 } from '../../util/index'
 
 export default {
@@ -16,6 +29,9 @@ export default {
 
   params: [
     'keep-alive',
+    'keep-alive-include',
+    'keep-alive-exclude',
+    'keep-alive-max',
     'transition-mode',
     'inline-template'
   ],
@@ -36,7 +52,10 @@ export default {
       // 主要用于保留组件状态或避免重新渲染。
       this.keepAlive = this.params.keepAlive
       if (this.keepAlive) {
-        this.cache = {}
+        // least recently used instances are destroyed once
+        // there are more than keep-alive-max of them.
+        var max = toNumber(this.params.keepAliveMax)
+        this.cache = new Cache(max > 0 ? max : undefined)
       }
       // check inline-template
       // 如果子组件有 inline-template 特性，组件将把它的内容当作它的模板，而不是把它当作分发内容
@@ -48,6 +67,8 @@ export default {
       }
       // component resolution related state
       this.pendingComponentCb =
+      this.pendingErrorCb =
+      this.asyncStateVM =
       this.Component = null
       // transition related state
       this.pendingRemovals = 0
@@ -55,6 +76,7 @@ export default {
       // create a ref anchor
       // 创建一个锚点，用来标记当前元素在文档中的位置
       this.anchor = createAnchor('v-component')
+      this.serverNodes = takeServerNodes(this.el)
       replace(this.el, this.anchor)
       // remove is attribute.
       // this is removed during compilation, but because compilation is
@@ -104,8 +126,11 @@ export default {
 
   setComponent (value, cb) {
     this.invalidatePending()
+    this.clearAsyncState()
+    this.unbuildFunctional()
     if (!value) {
       // just remove current
+      this.discardServerNodes()
       this.unbuild(true)
       this.remove(this.childVM, cb)
       this.childVM = null
@@ -132,13 +157,90 @@ export default {
     // Component 为调用 this.vm._resolveComponent ，从this.$options查找的factory
     // 即Component = factory = resolveAsset(vue.$options, 'components', value, true)
     this.pendingComponentCb = cancellable(function (Component) {
+      self.clearAsyncState()
       self.ComponentName =
         Component.options.name ||
         (typeof value === 'string' ? value : null)
       self.Component = Component
       cb()
     })
-    this.vm._resolveComponent(value, this.pendingComponentCb)
+    this.pendingErrorCb = cancellable(function (reason, options) {
+      if (options && options.error) {
+        self.renderAsyncState(options.error, {
+          data: { error: reason },
+          methods: {
+            retry: function () {
+              if (this === self.asyncStateVM) {
+                self.invalidatePending()
+                self.resolveComponent(value, cb)
+              }
+            }
+          }
+        })
+      } else {
+        self.clearAsyncState()
+      }
+    })
+    var options = this.vm._resolveComponent(
+      value, this.pendingComponentCb, this.pendingErrorCb
+    )
+    if (options && options.loading) {
+      if (options.delay > 0) {
+        this.loadingTimer = setTimeout(function () {
+          self.loadingTimer = null
+          self.renderAsyncState(options.loading)
+        }, options.delay)
+      } else {
+        this.renderAsyncState(options.loading)
+      }
+    }
+  },
+
+  /**
+   * Render the loading or error component of an async
+   * component in place of the current child. The error
+   * component gets the rejection reason as its `error` data
+   * and a `retry()` method that requests the component again.
+   *
+   * @param {Function} Component
+   * @param {Object} [extraOptions]
+   */
+
+  renderAsyncState (Component, extraOptions) {
+    this.clearAsyncState()
+    this.discardServerNodes()
+    this.unbuild(true)
+    this.remove(this.childVM)
+    this.childVM = null
+    var options = {
+      el: cloneNode(this.el),
+      parent: this._host || this.vm,
+      _linkerCachable: true,
+      _asComponent: true,
+      _context: this.vm,
+      _scope: this._scope,
+      _frag: this._frag
+    }
+    if (extraOptions) {
+      extend(options, extraOptions)
+    }
+    this.asyncStateVM = new Component(options)
+    this.asyncStateVM.$before(this.anchor)
+  },
+
+  /**
+   * Remove the loading or error component, if any.
+   */
+
+  clearAsyncState () {
+    if (this.loadingTimer) {
+      clearTimeout(this.loadingTimer)
+      this.loadingTimer = null
+    }
+    if (this.asyncStateVM) {
+      this.asyncStateVM.$destroy(true)
+      this.asyncStateVM = null
+    }
   },
 
   /**
@@ -153,6 +255,13 @@ export default {
   mountComponent (cb) {
     // actual mount
     this.unbuild(true)
+    if (this.Component.options.functional) {
+      this.remove(this.childVM)
+      this.childVM = null
+      this.buildFunctional()
+      cb && cb()
+      return
+    }
     var self = this
     var activateHooks = this.Component.options.activate
     var cached = this.getCached()
@@ -188,6 +297,10 @@ export default {
       this.pendingComponentCb.cancel()
       this.pendingComponentCb = null
     }
+    if (this.pendingErrorCb) {
+      this.pendingErrorCb.cancel()
+      this.pendingErrorCb = null
+    }
   },
 
   /**
@@ -241,9 +354,24 @@ export default {
       if (extraOptions) {
         extend(options, extraOptions)
       }
+      // reuse the root element the server rendered for the
+      // child, if any.
+      var serverNodes = this.serverNodes
+      if (serverNodes) {
+        this.serverNodes = null
+        if (serverNodes.length === 1 && serverNodes[0].nodeType === 1) {
+          options._hydrateEl = serverNodes[0]
+        }
+      }
       var child = new this.Component(options)
-      if (this.keepAlive) {
-        this.cache[this.Component.cid] = child
+      if (serverNodes && child.$el !== options._hydrateEl) {
+        removeNodes(serverNodes)
+      }
+      if (this.shouldCache()) {
+        var evicted = this.cache.put(this.Component.cid, child)
+        if (evicted) {
+          this.evict(evicted.value)
+        }
       }
       /* istanbul ignore if */
       if (process.env.NODE_ENV !== 'production' &&
@@ -259,6 +387,102 @@ export default {
     }
   },
 
+  /**
+   * Render a functional component. No instance is created:
+   * the template is compiled once per constructor and linked
+   * in the scope of this directive, against a plain context
+   * object that only holds the props. Functional components
+   * have no state, lifecycle hooks, events or slots.
+   */
+
+  buildFunctional () {
+    var Component = this.Component
+    var options = Component.options
+    if (!Component.functionalLinker) {
+      var template = parseTemplate(options.template, true)
+      if (!template) {
+        process.env.NODE_ENV !== 'production' && warn(
+          'Invalid template option for functional component: ' +
+          options.template,
+          options
+        )
+        return
+      }
+      Component.functionalTemplate = template
+      Component.functionalLinker = compile(template, options, true)
+    }
+    // the context resolves assets from the component options,
+    // and expressions in the template only see the props.
+    var context = Object.create(Component.prototype)
+    context.$options = options
+    context.$refs = {}
+    context.$els = {}
+    context._context = this.vm
+    context._directives = []
+    if (options.props) {
+      this.functionalPropsUnlinkFn = compileAndLinkProps(
+        context, cloneNode(this.el), options.props, this._scope
+      )
+    }
+    var template = Component.functionalTemplate
+    var frag = cloneNode(template)
+    var nodes = this.serverNodes
+    if (nodes) {
+      this.serverNodes = null
+      if (matchNodes(template, nodes, 0) === nodes.length) {
+        frag = hydrateNodes(template, nodes, this.anchor)
+      } else {
+        removeNodes(nodes)
+      }
+    }
+    this.functionalFrag = new Fragment(
+      Component.functionalLinker,
+      this.vm,
+      frag,
+      this._host,
+      context,
+      this._frag
+    )
+    if (!this.functionalFrag.inserted) {
+      this.functionalFrag.before(this.anchor)
+    }
+  },
+
+  /**
+   * Remove the rendered functional component, if any.
+   *
+   * @param {Boolean} destroy - only teardown, without
+   *                            removing it from the DOM
+   */
+
+  unbuildFunctional (destroy) {
+    var frag = this.functionalFrag
+    if (frag) {
+      if (destroy) {
+        frag.destroy()
+      } else {
+        frag.remove()
+      }
+      this.functionalFrag = null
+    }
+    if (this.functionalPropsUnlinkFn) {
+      this.functionalPropsUnlinkFn()
+      this.functionalPropsUnlinkFn = null
+    }
+  },
+
+  /**
+   * Remove the nodes the server rendered for the child, if
+   * they have not been hydrated yet.
+   */
+
+  discardServerNodes () {
+    if (this.serverNodes) {
+      removeNodes(this.serverNodes)
+      this.serverNodes = null
+    }
+  },
+
   /**
    * Try to get a cached instance of the current component.
    *
@@ -266,7 +490,57 @@ export default {
    */
 
   getCached () {
-    return this.keepAlive && this.cache[this.Component.cid]
+    return this.shouldCache() && this.cache.get(this.Component.cid)
+  },
+
+  /**
+   * Check if instances of the current component should be
+   * kept alive, according to the keep-alive-include and
+   * keep-alive-exclude params. Both match the component name
+   * and can be a comma-separated string, a RegExp or an
+   * Array of those.
+   *
+   * @return {Boolean}
+   */
+
+  shouldCache () {
+    if (!this.keepAlive) {
+      return false
+    }
+    var name = this.ComponentName
+    var include = this.params.keepAliveInclude
+    var exclude = this.params.keepAliveExclude
+    return (!include || matchesName(include, name)) &&
+      !(exclude && matchesName(exclude, name))
+  },
+
+  /**
+   * Check if an instance is in the keep-alive cache.
+   *
+   * @param {Vue} child
+   * @return {Boolean}
+   */
+
+  isCached (child) {
+    return !!this.cache &&
+      this.cache.peek(child.constructor.cid) === child
+  },
+
+  /**
+   * Destroy an instance evicted from the keep-alive cache.
+   * This can be the current child when it is being switched
+   * out, in which case it is cleaned up once removed.
+   *
+   * @param {Vue} child
+   */
+
+  evict (child) {
+    if (child === this.childVM) {
+      callTreeHook(child, 'deactivated')
+      child.$destroy(false, true)
+    } else {
+      child.$destroy()
+    }
   },
 
   /**
@@ -278,14 +552,16 @@ export default {
 
   unbuild (defer) {
     if (this.waitingFor) {
-      if (!this.keepAlive) {
+      if (!this.isCached(this.waitingFor)) {
         this.waitingFor.$destroy()
       }
       this.waitingFor = null
     }
     var child = this.childVM
-    if (!child || this.keepAlive) {
-      if (child) {
+    if (!child || this.isCached(child)) {
+      // a cached child is already destroyed when the owner
+      // instance is being destroyed
+      if (child && !child._isDestroyed) {
         // remove ref
         child._inactive = true
         child._updateRef(true)
@@ -300,14 +576,18 @@ export default {
 
   /**
    * Remove current destroyed child and manually do
-   * the cleanup after removal.
+   * the cleanup after removal. A kept-alive child is
+   * deactivated instead.
    *
    * @param {Function} cb
    */
 
   remove (child, cb) {
-    var keepAlive = this.keepAlive
     if (child) {
+      var cached = this.isCached(child)
+      if (cached) {
+        callTreeHook(child, 'deactivated')
+      }
       // we may have a component switch when a previous
       // component is still being transitioned out.
       // we want to trigger only one lastest insertion cb
@@ -317,7 +597,7 @@ export default {
       var self = this
       child.$remove(function () {
         self.pendingRemovals--
-        if (!keepAlive) child._cleanup()
+        if (!cached) child._cleanup()
         if (!self.pendingRemovals && self.pendingRemovalCb) {
           self.pendingRemovalCb()
           self.pendingRemovalCb = null
@@ -345,18 +625,41 @@ export default {
     this.childVM = target
     switch (self.params.transitionMode) {
       case 'in-out':
-        target.$before(self.anchor, function () {
+        self.insert(target, function () {
           self.remove(current, cb)
         })
         break
       case 'out-in':
         self.remove(current, function () {
-          target.$before(self.anchor, cb)
+          self.insert(target, cb)
         })
         break
       default:
         self.remove(current)
-        target.$before(self.anchor, cb)
+        self.insert(target, cb)
+    }
+  },
+
+  /**
+   * Insert a child, and call the activated hooks if it is
+   * kept alive.
+   *
+   * @param {Vue} child
+   * @param {Function} [cb]
+   */
+
+  insert (child, cb) {
+    if (!child._isFragment && child.$el.nextSibling === this.anchor) {
+      // hydrated in place
+      if (!child._isAttached && inDoc(child.$el)) {
+        child._callHook('attached')
+      }
+      cb && cb()
+    } else {
+      child.$before(this.anchor, cb)
+    }
+    if (this.isCached(child)) {
+      callTreeHook(child, 'activated')
     }
   },
 
@@ -366,12 +669,17 @@ export default {
 
   unbind () {
     this.invalidatePending()
+    this.clearAsyncState()
+    this.discardServerNodes()
+    this.unbuildFunctional(true)
     // Do not defer cleanup when unbinding
     this.unbuild()
     // destroy all keep-alive cached instances
     if (this.cache) {
-      for (var key in this.cache) {
-        this.cache[key].$destroy()
+      var entry = this.cache.head
+      while (entry) {
+        entry.value.$destroy()
+        entry = entry.newer
       }
       this.cache = null
     }
@@ -398,3 +706,53 @@ function callActivateHooks (hooks, vm, cb) {
     }
   }
 }
+
+/**
+ * Call the activated or deactivated hook on an instance and
+ * its descendants, except the ones already in that state
+ * or kept inactive by a keep-alive of their own.
+ *
+ * @param {Vue} vm
+ * @param {String} hook
+ */
+
+function callTreeHook (vm, hook) {
+  var deactivated = hook === 'deactivated'
+  if (vm._isDeactivated === deactivated) {
+    return
+  }
+  vm._isDeactivated = deactivated
+  vm._callHook(hook)
+  var children = vm.$children
+  for (var i = 0, l = children.length; i < l; i++) {
+    if (!children[i]._inactive) {
+      callTreeHook(children[i], hook)
+    }
+  }
+}
+
+/**
+ * Check if a component name matches a keep-alive-include or
+ * keep-alive-exclude pattern.
+ *
+ * @param {String|RegExp|Array} pattern
+ * @param {String} name
+ * @return {Boolean}
+ */
+
+function matchesName (pattern, name) {
+  if (isArray(pattern)) {
+    return pattern.some(function (p) {
+      return matchesName(p, name)
+    })
+  }
+  if (typeof pattern === 'string') {
+    return pattern.split(',').some(function (p) {
+      return p.trim() === name
+    })
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(name)
+  }
+  return false
+}
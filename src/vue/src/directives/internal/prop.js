@@ -11,6 +11,10 @@ const bindingModes = config._propBindingModes
 
 export default {
 
+  // the prop is synced by a watcher of the parent, the child
+  // re-renders on its own if it uses it
+  patch: false,
+
   bind () {
     const child = this.vm
     const parent = child._context
@@ -5,6 +5,8 @@ import Transition from '../../transition/transition'
 export default {
 
   priority: TRANSITION,
+  // only switches the transition used by the element
+  patch: false,
 
   update (id, oldId) {
     var el = this.el
@@ -2,6 +2,11 @@ import FragmentFactory from '../../fragment/factory'
 import { FOR } from '../priorities'
 import { withoutConversion } from '../../observer/index'
 import { getPath } from '../../parsers/path'
+import {
+  matchNodes,
+  takeServerNodes,
+  removeNodes
+} from '../../compiler/index'
 import {
   isObject,
   warn,
@@ -10,12 +15,15 @@ import {
   before,
   after,
   remove,
+  getAttr,
   hasOwn,
   inDoc,
   defineReactive,
   def,
   cancellable,
   isArray,
+  isMap,
+  isSet,
   isPlainObject
 } from '../../util/index'
 
@@ -79,21 +87,42 @@ const vFor = {
       (tag === 'OPTION' || tag === 'OPTGROUP') &&
       this.el.parentNode.tagName === 'SELECT'
 
-    // setup anchor nodes
+    // check else block, rendered when the list is empty
+    var next = this.el.nextElementSibling
+    if (next && getAttr(next, 'v-else') !== null) {
+      remove(next)
+      this.elseEl = next
+    }
+
+    // setup anchor nodes. the items rendered by the server,
+    // if any, are reused by the first render.
     this.start = createAnchor('v-for-start')
     this.end = createAnchor('v-for-end')
+    var serverNodes = this.serverNodes = takeServerNodes(this.el)
+    this.serverIndex = 0
     replace(this.el, this.end)
-    before(this.start, this.end)
+    before(this.start, serverNodes && serverNodes.length
+      ? serverNodes[0]
+      : this.end
+    )
 
     // cache
     this.cache = Object.create(null)
 
     // fragment factory
-    this.factory = new FragmentFactory(this.vm, this.el)
+    this.factory = new FragmentFactory(this.vm, this.el, this.descriptor.linker)
   },
 
   update (data) {
+    if (this.elseEl) {
+      this.updateElse(data)
+    }
     this.diff(data)
+    if (this.serverNodes) {
+      // drop the items the server rendered in excess
+      removeNodes(this.serverNodes.slice(this.serverIndex))
+      this.serverNodes = null
+    }
     this.updateRef()
     this.updateModel()
   },
@@ -165,7 +194,7 @@ const vFor = {
         frag.fresh = !init
       }
       frags[i] = frag
-      if (init) {
+      if (init && !frag.inserted) {
         frag.before(end)
       }
     }
@@ -230,6 +259,44 @@ const vFor = {
     }
   },
 
+  /**
+   * Render the else block when the list is empty, and
+   * remove it when it is not. `data` is the list after
+   * filters have been applied.
+   *
+   * @param {Array} data
+   */
+
+  updateElse (data) {
+    if (data.length) {
+      if (this.elseFrag) {
+        this.elseFrag.remove()
+        this.elseFrag = null
+      }
+    } else if (!this.elseFrag) {
+      if (!this.elseFactory) {
+        this.elseFactory = new FragmentFactory(
+          this.elseEl._context || this.vm,
+          this.elseEl,
+          this.descriptor.elseLinker
+        )
+      }
+      var nodes = this.serverNodes
+      if (nodes) {
+        this.serverNodes = null
+        this.elseFrag = this.elseFactory.hydrate(
+          nodes, this.end, this._host, this._scope, this._frag
+        )
+        if (this.elseFrag) {
+          return
+        }
+        removeNodes(nodes)
+      }
+      this.elseFrag = this.elseFactory.create(this._host, this._scope, this._frag)
+      this.elseFrag.before(this.end)
+    }
+  },
+
   /**
    * Create a new fragment instance.
    *
@@ -268,12 +335,41 @@ const vFor = {
     if (this.iterator) {
       defineReactive(scope, this.iterator, key !== null ? key : index)
     }
-    var frag = this.factory.create(host, scope, this._frag)
+    var frag = this.serverNodes && this.hydrate(host, scope)
+    if (!frag) {
+      frag = this.factory.create(host, scope, this._frag)
+    }
     frag.forId = this.id
     this.cacheFrag(value, frag, index, key)
     return frag
   },
 
+  /**
+   * Create the fragment of the next item from the nodes the
+   * server rendered for it. Once an item does not match, the
+   * remaining nodes are dropped and rendered again.
+   *
+   * @param {Vue} host
+   * @param {Object} scope
+   * @return {Fragment|undefined}
+   */
+
+  hydrate (host, scope) {
+    var nodes = this.serverNodes
+    var index = this.serverIndex
+    var end = matchNodes(this.factory.template, nodes, index)
+    var frag = end !== -1 && this.factory.hydrate(
+      nodes.slice(index, end), nodes[end] || this.end,
+      host, scope, this._frag
+    )
+    if (frag) {
+      this.serverIndex = end
+      return frag
+    }
+    removeNodes(nodes.slice(index))
+    this.serverNodes = null
+  },
+
   /**
    * Update the v-ref on owner vm.
    */
@@ -554,6 +650,25 @@ const vFor = {
         }
       }
       return res
+    } else if (isMap(value)) {
+      // Map entries are iterated like object properties,
+      // with the entry key as $key. Fragments are tracked
+      // by $key, so keys should be primitives unless a
+      // track-by is given.
+      res = []
+      value.forEach(function (val, key) {
+        res.push({
+          $key: key,
+          $value: val
+        })
+      })
+      return res
+    } else if (isSet(value)) {
+      res = []
+      value.forEach(function (val) {
+        res.push(val)
+      })
+      return res
     } else {
       if (typeof value === 'number' && !isNaN(value)) {
         value = range(value)
@@ -575,6 +690,9 @@ const vFor = {
         frag.destroy()
       }
     }
+    if (this.elseFrag) {
+      this.elseFrag.destroy()
+    }
   }
 }
 
@@ -1,11 +1,16 @@
 import FragmentFactory from '../../fragment/factory'
+import Watcher from '../../watcher'
 import { IF } from '../priorities'
+import { parseDirective } from '../../parsers/directive'
+import { getLocation } from '../../parsers/template'
+import { takeServerNodes, removeNodes } from '../../compiler/index'
 import {
   getAttr,
   remove,
   replace,
   createAnchor,
-  warn
+  warn,
+  setWarnLocation
 } from '../../util/index'
 
 export default {
@@ -16,14 +21,29 @@ export default {
   bind () {
     var el = this.el
     if (!el.__vue__) {
-      // check else block
+      var descriptor = this.descriptor
+      // the v-if block itself is the first branch
+      this.branches = [{ el: el, vm: this.vm, linker: descriptor.linker }]
+      // check else-if blocks
+      var linkers = descriptor.elseIfLinkers
       var next = el.nextElementSibling
+      var exp, branchEl
+      while (next && (exp = getAttr(next, 'v-else-if')) !== null) {
+        branchEl = next
+        next = next.nextElementSibling
+        remove(branchEl)
+        this.branches.push(this.createBranch(
+          branchEl, exp, linkers && linkers[this.branches.length - 1]
+        ))
+      }
+      // check else block
       if (next && getAttr(next, 'v-else') !== null) {
         remove(next)
-        this.elseEl = next
+        this.branches.push(this.createBranch(next, null, descriptor.elseLinker))
       }
-      // check main block
+      // all branches share the same anchor
       this.anchor = createAnchor('v-if')
+      this.serverNodes = takeServerNodes(el)
       replace(el, this.anchor)
     } else {
       process.env.NODE_ENV !== 'production' && warn(
@@ -35,53 +55,136 @@ export default {
     }
   },
 
+  /**
+   * Create a v-else-if or v-else branch.
+   *
+   * @param {Element} el
+   * @param {String|null} exp - the v-else-if condition
+   * @param {Function} [linker]
+   * @return {Object}
+   */
+
+  createBranch (el, exp, linker) {
+    var branch = {
+      el: el,
+      vm: el._context || this.vm,
+      linker: linker
+    }
+    if (exp !== null) {
+      var parsed = parseDirective(exp)
+      branch.expression = parsed.expression
+      branch.filters = parsed.filters
+    }
+    return branch
+  },
+
   update (value) {
     if (this.invalid) return
-    if (value) {
-      if (!this.frag) {
-        this.insert()
+    this.value = value
+    this.render()
+  },
+
+  /**
+   * Render the first branch whose condition holds. The
+   * condition of a v-else-if is only evaluated and watched
+   * while the conditions before it are falsy, so it can
+   * rely on them, e.g. v-if="!user" v-else-if="user.admin".
+   */
+
+  render () {
+    var branches = this.branches
+    var active = null
+    var branch
+    for (var i = 0, l = branches.length; i < l; i++) {
+      branch = branches[i]
+      if (active) {
+        if (branch.watcher) {
+          branch.watcher.teardown()
+          branch.watcher = null
+        }
+      } else if (
+        i === 0 ? this.value
+          : !branch.expression || this.test(branch)
+      ) {
+        active = branch
       }
-    } else {
-      this.remove()
+    }
+    if (active !== this.active) {
+      if (this.frag) {
+        this.frag.remove()
+        this.frag = null
+      }
+      this.active = active
+      if (active) {
+        this.insert(active)
+      }
+    }
+    if (this.serverNodes) {
+      removeNodes(this.serverNodes)
+      this.serverNodes = null
     }
   },
 
-  insert () {
-    if (this.elseFrag) {
-      this.elseFrag.remove()
-      this.elseFrag = null
-    }
-    // lazy init factory
-    if (!this.factory) {
-      this.factory = new FragmentFactory(this.vm, this.el)
+  /**
+   * Evaluate the condition of a v-else-if branch, and start
+   * watching it.
+   *
+   * @param {Object} branch
+   * @return {*}
+   */
+
+  test (branch) {
+    if (!branch.watcher) {
+      if (process.env.NODE_ENV !== 'production') {
+        var prevLoc = setWarnLocation(getLocation(branch.el, 'v-else-if'))
+      }
+      var self = this
+      branch.watcher = new Watcher(this.vm, branch.expression, function () {
+        self.render()
+      }, {
+        filters: branch.filters,
+        scope: this._scope,
+        patch: true
+      })
+      if (process.env.NODE_ENV !== 'production') {
+        setWarnLocation(prevLoc)
+      }
     }
-    this.frag = this.factory.create(this._host, this._scope, this._frag)
-    this.frag.before(this.anchor)
+    return branch.watcher.value
   },
 
-  remove () {
-    if (this.frag) {
-      this.frag.remove()
-      this.frag = null
+  insert (branch) {
+    // lazy init factory
+    if (!branch.factory) {
+      branch.factory = new FragmentFactory(branch.vm, branch.el, branch.linker)
     }
-    if (this.elseEl && !this.elseFrag) {
-      if (!this.elseFactory) {
-        this.elseFactory = new FragmentFactory(
-          this.elseEl._context || this.vm,
-          this.elseEl
-        )
+    var nodes = this.serverNodes
+    if (nodes) {
+      // reuse what the server rendered for this branch
+      this.serverNodes = null
+      this.frag = branch.factory.hydrate(
+        nodes, this.anchor, this._host, this._scope, this._frag
+      )
+      if (this.frag) {
+        return
       }
-      this.elseFrag = this.elseFactory.create(this._host, this._scope, this._frag)
-      this.elseFrag.before(this.anchor)
+      removeNodes(nodes)
     }
+    this.frag = branch.factory.create(this._host, this._scope, this._frag)
+    this.frag.before(this.anchor)
   },
 
   unbind () {
     if (this.frag) {
       this.frag.destroy()
     }
-    if (this.elseFrag) {
-      this.elseFrag.destroy()
+    var branches = this.branches
+    if (branches) {
+      for (var i = 0, l = branches.length; i < l; i++) {
+        if (branches[i].watcher) {
+          branches[i].watcher.teardown()
+        }
+      }
     }
   }
 }
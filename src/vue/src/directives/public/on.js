@@ -1,4 +1,4 @@
-import { on, off, warn } from '../../util/index'
+import { on, off, warn, handleError } from '../../util/index'
 import { ON } from '../priorities'
 
 // keyCode aliases
@@ -42,6 +42,16 @@ function keyFilter (handler, keys) {
   }
 }
 
+function errorFilter (handler, vm, info) {
+  return function errorHandler (e) {
+    try {
+      return handler.call(this, e)
+    } catch (err) {
+      handleError(err, vm, info)
+    }
+  }
+}
+
 function stopFilter (handler) {
   return function stopHandler (e) {
     e.stopPropagation()
@@ -79,6 +89,8 @@ export default {
 
   priority: ON,
   acceptStatement: true,
+  // binding listeners does not change the DOM
+  patch: false,
   keyCodes,
 
   bind () {
@@ -117,6 +129,8 @@ export default {
       return
     }
 
+    handler = errorFilter(handler, this.vm, 'v-on handler "' + this.expression + '"')
+
     // apply modifiers
     if (this.modifiers.stop) {
       handler = stopFilter(handler)
@@ -1,5 +1,5 @@
-import { compile } from '../compiler/index'
-import { isTemplate, getOuterHTML } from '../util/index'
+import { compile, matchNodes, hydrateNodes } from '../compiler/index'
+import { isTemplate, getOuterHTML, warn } from '../util/index'
 import { parseTemplate, cloneNode } from '../parsers/template'
 import Fragment from './fragment'
 import Cache from '../cache'
@@ -12,9 +12,11 @@ const linkerCache = new Cache(5000)
  *
  * @param {Vue} vm
  * @param {Element|String} el
+ * @param {Function} [linker] - linker restored from a
+ *                              precompiled template
  */
 
-export default function FragmentFactory (vm, el) {
+export default function FragmentFactory (vm, el, linker) {
   this.vm = vm
   var template
   var isString = typeof el === 'string'
@@ -26,16 +28,15 @@ export default function FragmentFactory (vm, el) {
   }
   this.template = template
   // linker can be cached, but only for components
-  var linker
   var cid = vm.constructor.cid
-  if (cid > 0) {
+  if (!linker && cid > 0) {
     var cacheId = cid + (isString ? el : getOuterHTML(el))
     linker = linkerCache.get(cacheId)
     if (!linker) {
       linker = compile(template, vm.$options, true)
       linkerCache.put(cacheId, linker)
     }
-  } else {
+  } else if (!linker) {
     linker = compile(template, vm.$options, true)
   }
   this.linker = linker
@@ -53,3 +54,29 @@ FragmentFactory.prototype.create = function (host, scope, parentFrag) {
   var frag = cloneNode(this.template)
   return new Fragment(this.linker, this.vm, frag, host, scope, parentFrag)
 }
+
+/**
+ * Create a fragment instance from server-rendered nodes,
+ * linking them in place. Returns nothing if they were not
+ * rendered from the template of this factory.
+ *
+ * @param {Array} nodes
+ * @param {Node} ref - the node following them
+ * @param {Vue} host
+ * @param {Object} scope
+ * @param {Fragment} parentFrag
+ * @return {Fragment|undefined}
+ */
+
+FragmentFactory.prototype.hydrate = function (nodes, ref, host, scope, parentFrag) {
+  if (matchNodes(this.template, nodes, 0) !== nodes.length) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'The server-rendered content of a block does not match ' +
+      'its template, rendering it again on the client.',
+      this.vm
+    )
+    return
+  }
+  var frag = hydrateNodes(this.template, nodes, ref)
+  return new Fragment(this.linker, this.vm, frag, host, scope, parentFrag)
+}
@@ -1,6 +1,7 @@
 import {
   createAnchor,
   before,
+  remove,
   prepend,
   inDoc,
   mapNodeRange,
@@ -18,7 +19,8 @@ import {
  *
  * @param {Function} linker
  * @param {Vue} vm
- * @param {DocumentFragment} frag
+ * @param {DocumentFragment|Object} frag - or the server-rendered
+ *                                   nodes prepared by hydrateNodes()
  * @param {Vue} [host]
  * @param {Object} [scope]
  * @param {Fragment} [parentFrag]
@@ -35,6 +37,10 @@ export default function Fragment (linker, vm, frag, host, scope, parentFrag) {
     parentFrag.childFrags.push(this)
   }
   this.unlink = linker(vm, frag, host, scope, this)
+  if (frag.nodeType !== 11) {
+    this.adopt(frag.start, frag.end)
+    return
+  }
   var single = this.single =
     frag.childNodes.length === 1 &&
     // do not go single mode if the only node is an anchor
@@ -55,6 +61,40 @@ export default function Fragment (linker, vm, frag, host, scope, parentFrag) {
   this.node.__v_frag = this
 }
 
+/**
+ * Take over hydrated nodes, already linked in place between
+ * two anchors.
+ *
+ * @param {Node} start
+ * @param {Node} end
+ */
+
+Fragment.prototype.adopt = function (start, end) {
+  var node = start.nextSibling
+  var single = this.single =
+    node !== end &&
+    node.nextSibling === end &&
+    !node.__v_anchor
+  if (single) {
+    remove(start)
+    remove(end)
+    this.node = node
+    this.before = singleBefore
+    this.remove = singleRemove
+  } else {
+    this.node = start
+    this.end = end
+    this.frag = document.createDocumentFragment()
+    this.before = multiBefore
+    this.remove = multiRemove
+  }
+  this.node.__v_frag = this
+  this.inserted = true
+  if (inDoc(this.node)) {
+    this.callHook(attach)
+  }
+}
+
 /**
  * Call attach/detach for all components contained within
  * this fragment. Also do so recursively for all child
@@ -9,8 +9,10 @@ import * as text from './parsers/text'
 import * as template from './parsers/template'
 import * as directive from './parsers/directive'
 import * as expression from './parsers/expression'
+import { makeFunction } from './parsers/codegen'
 import * as transition from './transition/index'
 import FragmentFactory from './fragment/factory'
+import { afterFlush } from './batcher'
 import internalDirectives from './directives/internal/index'
 
 import {
@@ -57,6 +59,7 @@ export default function (Vue) {
   Vue.set = set
   Vue.delete = del
   Vue.nextTick = nextTick
+  Vue.afterFlush = afterFlush
 
   /**
    * The following are exposed for advanced usage / plugins
@@ -151,12 +154,18 @@ export default function (Vue) {
    */
 
   function createClass (name) {
-    /* eslint-disable no-new-func */
-    return new Function(
+    // named constructors are generated code, which the
+    // runtime-only build and CSP mode do without
+    var makeClass = !config.csp && makeFunction('',
       'return function ' + classify(name) +
       ' (options) { this._init(options) }'
-    )()
-    /* eslint-enable no-new-func */
+    )
+    if (makeClass) {
+      return makeClass()
+    }
+    return function VueComponent (options) {
+      this._init(options)
+    }
   }
 
   /**
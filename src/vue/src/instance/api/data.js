@@ -70,6 +70,9 @@ export default function (Vue) {
    * @param {Object} [options]
    *                 - {Boolean} deep
    *                 - {Boolean} immediate
+   *                 - {String} flush - when to run the callback:
+   *                   'pre' (before the DOM is updated),
+   *                   'post' (after, the default) or 'sync'
    * @return {Function} - unwatchFn
    */
 
@@ -83,6 +86,7 @@ export default function (Vue) {
     var watcher = new Watcher(vm, expOrFn, cb, {
       deep: options && options.deep,
       sync: options && options.sync,
+      flush: options && options.flush,
       filters: parsed && parsed.filters,
       user: !options || options.user !== false
     })
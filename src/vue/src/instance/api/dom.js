@@ -13,6 +13,8 @@ import {
   removeWithTransition
 } from '../../transition/index'
 
+import { afterFlush } from '../../batcher'
+
 export default function (Vue) {
   /**
    * Convenience on-instance nextTick. The callback is
@@ -26,6 +28,18 @@ export default function (Vue) {
     nextTick(fn, this)
   }
 
+  /**
+   * Call a function once the pending watcher flush is done
+   * and the DOM reflects the current state. The callback is
+   * auto-bound to the instance.
+   *
+   * @param {Function} fn
+   */
+
+  Vue.prototype.$afterFlush = function (fn) {
+    afterFlush(fn, this)
+  }
+
   /**
    * Append instance to target
    *
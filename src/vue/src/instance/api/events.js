@@ -1,4 +1,4 @@
-import { toArray } from '../../util/index'
+import { toArray, handleError } from '../../util/index'
 
 export default function (Vue) {
   /**
@@ -112,7 +112,12 @@ export default function (Vue) {
       var args = toArray(arguments, 1)
       for (var i = 0, l = cbs.length; i < l; i++) {
         var cb = cbs[i]
-        var res = cb.apply(this, args)
+        var res
+        try {
+          res = cb.apply(this, args)
+        } catch (e) {
+          handleError(e, this, 'event handler for "' + event + '"')
+        }
         if (res === true && (!hasParentCbs || cb._fromParent)) {
           shouldPropagate = true
         }
@@ -8,11 +8,18 @@ export default function (Vue) {
    * existing Element, or a DocumentFragment (for block
    * instances).
    *
+   * Passing `hydrate: true` (or creating the instance with
+   * the `hydrate` option) mounts onto markup produced by
+   * `renderToString()`: directives and watchers are attached
+   * to the existing nodes instead of replacing them.
+   *
    * @param {Element|DocumentFragment|string} el
+   * @param {Object} [options]
+   *                 - {Boolean} hydrate
    * @public
    */
 
-  Vue.prototype.$mount = function (el) {
+  Vue.prototype.$mount = function (el, options) {
     if (this._isCompiled) {
       process.env.NODE_ENV !== 'production' && warn(
         '$mount() should be called only once.',
@@ -26,7 +33,20 @@ export default function (Vue) {
       el = document.createElement('div')
     }
 
+    var hydrate = options && options.hydrate != null
+      ? options.hydrate
+      : this.$options.hydrate
+    if (hydrate && !(el.hasAttribute && el.hasAttribute('server-rendered'))) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Cannot hydrate an element that was not server-rendered, ' +
+        'falling back to client-side rendering.',
+        this
+      )
+      hydrate = false
+    }
+    this._isHydrating = !!hydrate
     this._compile(el)
+    this._isHydrating = false
     return
     this._initDOMHooks()
     if (inDoc(this.$el)) {
@@ -60,6 +80,45 @@ export default function (Vue) {
     this._destroy(remove, deferCleanup)
   }
 
+  /**
+   * Re-render the instance when its data was changed in ways
+   * the observer cannot see, e.g. frozen objects or models
+   * mutated by third-party code. The directives are updated
+   * through the batcher like any reactive change, so this is
+   * asynchronous unless `Vue.config.async` is false.
+   *
+   * @param {Object} [options]
+   *                 - {Boolean} watchers - also update all
+   *                   other watchers, including computed
+   *                   properties and $watch() callbacks
+   *                 - {Boolean} children - also update the
+   *                   child instances, recursively
+   * @public
+   */
+
+  Vue.prototype.$forceUpdate = function (options) {
+    if (this._isDestroyed) {
+      return
+    }
+    var watchers = options && options.watchers
+      ? this._watchers.slice()
+      : this._directives.map(function (dir) {
+        return dir._watcher
+      })
+    var i, l
+    for (i = 0, l = watchers.length; i < l; i++) {
+      if (watchers[i]) {
+        watchers[i].update()
+      }
+    }
+    if (options && options.children) {
+      var children = this.$children.slice()
+      for (i = 0, l = children.length; i < l; i++) {
+        children[i].$forceUpdate(options)
+      }
+    }
+  }
+
   /**
    * Partially compile a piece of DOM and return a
    * decompile function.
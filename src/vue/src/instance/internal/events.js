@@ -2,7 +2,8 @@ import { isSimplePath } from '../../parsers/expression'
 import {
   inDoc,
   isArray,
-  warn
+  warn,
+  handleError
 } from '../../util/index'
 
 const eventRE = /^v-on:|^@/
@@ -172,7 +173,11 @@ export default function (Vue) {
     var handlers = this.$options[hook]
     if (handlers) {
       for (var i = 0, j = handlers.length; i < j; i++) {
-        handlers[i].call(this)
+        try {
+          handlers[i].call(this)
+        } catch (e) {
+          handleError(e, this, hook + ' hook')
+        }
       }
     }
     this.$emit('hook:' + hook)
@@ -1,4 +1,11 @@
-import { mergeOptions } from '../../util/index'
+import {
+  mergeOptions,
+  def,
+  hasOwn,
+  defineReactive,
+  warn
+} from '../../util/index'
+import { withoutConversion } from '../../observer/index'
 
 let uid = 0
 
@@ -24,6 +31,7 @@ export default function (Vue) {
     this.$children = []
     this.$refs = {}       // child vm references
     this.$els = {}        // element references
+    this.$slots = {}      // slot contents by name
     this._watchers = []   // all watchers as an array
     this._directives = [] // all directives
 
@@ -49,9 +57,14 @@ export default function (Vue) {
     this._isReady =
     this._isAttached =
     this._isBeingDestroyed =
+    this._isHydrating =
     this._vForRemoving = false
     this._unlinkFn = null
 
+    // keep-alive state, null until the instance is first
+    // activated or deactivated
+    this._isDeactivated = null
+
     // context:
     // if this is a transcluded component, context
     // will be the common parent vm of this instance
@@ -122,6 +135,11 @@ export default function (Vue) {
       options,
       this
     )
+    // let warnings that only have the options at hand, e.g.
+    // from the compiler, trace back to this instance.
+    if (process.env.NODE_ENV !== 'production') {
+      def(options, '_vm', this)
+    }
     // set ref
     this._updateRef()
 
@@ -132,9 +150,17 @@ export default function (Vue) {
     // call init hook
     this._callHook('init')
 
+    // resolve injections before data/props, so that they
+    // can be used there.
+    this._initInjections()
+
     // initialize data observation and scope inheritance.
     this._initState()
 
+    // resolve provided values after data/props, so that
+    // they can be provided.
+    this._initProvide()
+
     // setup event system and option events.
     this._initEvents()
 
@@ -146,4 +172,57 @@ export default function (Vue) {
       this.$mount(options.el)
     }
   }
+
+  /**
+   * Resolve the inject option by looking up each key in the
+   * values provided by the parent chain. Injected values are
+   * set without being observed: they are reactive only if
+   * the provided value is observed data already.
+   */
+
+  Vue.prototype._initInjections = function () {
+    var inject = this.$options.inject
+    if (!inject) {
+      return
+    }
+    for (var key in inject) {
+      var from = inject[key].from
+      var source = this.$parent
+      while (source && !(source._provided && hasOwn(source._provided, from))) {
+        source = source.$parent
+      }
+      var value
+      if (source) {
+        value = source._provided[from]
+      } else if (hasOwn(inject[key], 'default')) {
+        value = inject[key].default
+        if (typeof value === 'function') {
+          value = value.call(this)
+        }
+      } else {
+        process.env.NODE_ENV !== 'production' && warn(
+          'Injection "' + from + '" not found: no parent component ' +
+          'provides it.',
+          this
+        )
+      }
+      withoutConversion(() => {
+        defineReactive(this, key, value)
+      })
+    }
+  }
+
+  /**
+   * Resolve the provide option for child components to
+   * inject from.
+   */
+
+  Vue.prototype._initProvide = function () {
+    var provide = this.$options.provide
+    if (provide) {
+      this._provided = typeof provide === 'function'
+        ? provide.call(this)
+        : provide
+    }
+  }
 }
@@ -1,4 +1,5 @@
 import Directive from '../../directive'
+import config from '../../config'
 
 import {
   replace,
@@ -10,7 +11,9 @@ import {
   compile,
   compileRoot,
   transclude,
-  resolveSlots
+  resolveSlots,
+  hydrate,
+  assertValidTemplate
 } from '../../compiler/index'
 
 export default function (Vue) {
@@ -43,11 +46,30 @@ export default function (Vue) {
    *
    * Otherwise we need to call transclude/compile/link here.
    *
+   * When hydrating, the template is transcluded into a
+   * shallow copy of the server-rendered element and compiled
+   * as usual, but linked against the existing nodes. Child
+   * components being hydrated transclude their placeholder
+   * element instead, and get the server-rendered root as the
+   * `_hydrateEl` option.
+   *
+   * Instances with a `render` option skip all of this and
+   * render a virtual DOM tree instead.
+   *
+   * In strict mode, the template is validated first.
+   *
    * @param {Element} el
    */
 
   Vue.prototype._compile = function (el) {
     var options = this.$options
+    if (options.render) {
+      this._initRender(el)
+      return
+    }
+    if (config.strict) {
+      assertValidTemplate(this)
+    }
 
     // transclude and init element
     // transclude can potentially replace original
@@ -64,7 +86,14 @@ export default function (Vue) {
       但其实更关键的是把template转换为dom的过程（如<p>{{a}}<p>字符串转为真正的段落元素），这里为后面的编译准备好了dom。
     **/
     // console.log(el.outerHTML) // <hello></hello>
-    el = transclude(el, options)
+    var serverEl = options._hydrateEl || original
+    var hydrating = this._isHydrating || !!options._hydrateEl
+    el = transclude(hydrating && serverEl === original
+      ? el.cloneNode(false)
+      : el, options)
+    var target = hydrating && hydrate(el, serverEl, this)
+      ? serverEl
+      : el
 
     /*
     <div class="hello" _v-0480c730="" :class="{'selected': true}" style="color: red">
@@ -76,7 +105,7 @@ export default function (Vue) {
 
     // set this.$el
      // 在el这个dom上挂一些参数,并触发'beforeCompile'钩子,为compile做准备
-    this._initElement(el)
+    this._initElement(target)
 
 
     // handle v-pre on root node (#2026)
@@ -95,7 +124,7 @@ export default function (Vue) {
     var rootLinker = compileRoot(el, options, contextOptions)
 
     // resolve slot distribution
-    // 具体是将各个slot存储到vm._slotContents的对应属性里面去，
+    // 具体是将各个slot存储到vm.$slots的对应属性里面去，
     // 然后后面的compile阶段会把slot解析为指令然后进行处理
     resolveSlots(this, options._content)
 
@@ -119,12 +148,11 @@ export default function (Vue) {
 
     // link phase
     // make sure to link root with prop scope!
-    var rootUnlinkFn = rootLinker(this, el, this._scope)
+    var rootUnlinkFn = rootLinker(this, target, this._scope)
     var contentUnlinkFn = contentLinkFn
-      ? contentLinkFn(this, el)
-      : compile(el, options)(this, el)
+      ? contentLinkFn(this, target)
+      : compile(el, options)(this, target)
 
-    return
     // register composite unlink function
     // to be called during instance destruction
     this._unlinkFn = function () {
@@ -134,9 +162,10 @@ export default function (Vue) {
       contentUnlinkFn(true)
     }
 
-    // finally replace original
-    if (options.replace) {
-      replace(original, el)
+    // finally replace original, unless the server-rendered
+    // nodes have been hydrated in place
+    if (target !== original && (options.replace || hydrating)) {
+      replace(original, target)
     }
 
     this._isCompiled = true
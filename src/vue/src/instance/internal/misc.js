@@ -1,7 +1,8 @@
 import {
   resolveAsset,
   isPlainObject,
-  warn
+  warn,
+  handleError
 } from '../../util/index'
 
 export default function (Vue) {
@@ -36,7 +37,12 @@ export default function (Vue) {
             : arg.value
         }
       }
-      value = fn.apply(this, args)
+      // a throwing filter is skipped, leaving the value as is
+      try {
+        value = fn.apply(this, args)
+      } catch (e) {
+        handleError(e, this, 'filter "' + filter.name + '"')
+      }
     }
     return value
   }
@@ -48,11 +54,29 @@ export default function (Vue) {
    * resolves asynchronously and caches the resolved
    * constructor on the factory.
    *
+   * Instead of calling resolve/reject, a factory can return a
+   * promise, or an object with the loading options:
+   *
+   *   {
+   *     component: Promise, // resolves to the component
+   *     loading: Object,    // component shown while loading
+   *     error: Object,      // component shown on failure
+   *     delay: 200,         // ms before showing `loading`
+   *     timeout: Number,    // ms before failing a request
+   *     retry: 0            // times to call the factory
+   *                         // again before failing
+   *   }
+   *
    * @param {String|Function} value
    * @param {Function} cb
+   * @param {Function} [errorCb] - called with the reason and
+   *                               the loading options when
+   *                               the factory fails
+   * @return {Object|undefined} - the loading options while
+   *                              the factory is pending
    */
 
-  Vue.prototype._resolveComponent = function (value, cb) {
+  Vue.prototype._resolveComponent = function (value, cb, errorCb) {
     var factory
     if (typeof value === 'function') {
       factory = value
@@ -69,33 +93,112 @@ export default function (Vue) {
       if (factory.resolved) {
         // cached
         cb(factory.resolved)
-      } else if (factory.requested) {
+        return
+      }
+      if (factory.requested) {
         // pool callbacks
         factory.pendingCallbacks.push(cb)
+        errorCb && factory.errorCallbacks.push(errorCb)
       } else {
         factory.requested = true
-        var cbs = factory.pendingCallbacks = [cb]
-        factory.call(this, function resolve (res) {
-          if (isPlainObject(res)) {
-            res = Vue.extend(res)
-          }
-          // cache resolved
-          factory.resolved = res
-          // invoke callbacks
-          for (var i = 0, l = cbs.length; i < l; i++) {
-            cbs[i](res)
-          }
-        }, function reject (reason) {
-          process.env.NODE_ENV !== 'production' && warn(
-            'Failed to resolve async component' +
-            (typeof value === 'string' ? ': ' + value : '') + '. ' +
-            (reason ? '\nReason: ' + reason : '')
-          )
-        })
+        factory.pendingCallbacks = [cb]
+        factory.errorCallbacks = errorCb ? [errorCb] : []
+        requestComponent(this, factory, value, 0)
+      }
+      if (factory.requested && !factory.resolved) {
+        return factory.async
       }
     } else {
       // normal component
       cb(factory)
     }
   }
+
+  /**
+   * Call an async component factory. Once a request fails,
+   * results from it are ignored and the factory can be
+   * requested again.
+   *
+   * @param {Vue} vm
+   * @param {Function} factory
+   * @param {String|Function} value
+   * @param {Number} attempt
+   */
+
+  function requestComponent (vm, factory, value, attempt) {
+    var settled = false
+    var timer
+    function resolve (res) {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      if (isPlainObject(res)) {
+        res = Vue.extend(res)
+      }
+      // cache resolved
+      factory.resolved = res
+      // invoke callbacks
+      var cbs = factory.pendingCallbacks
+      for (var i = 0, l = cbs.length; i < l; i++) {
+        cbs[i](res)
+      }
+    }
+    function reject (reason) {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      var options = factory.async
+      if (options && attempt < options.retry) {
+        requestComponent(vm, factory, value, attempt + 1)
+        return
+      }
+      process.env.NODE_ENV !== 'production' && warn(
+        'Failed to resolve async component' +
+        (typeof value === 'string' ? ': ' + value : '') + '. ' +
+        (reason ? '\nReason: ' + reason : '')
+      )
+      factory.requested = false
+      var cbs = factory.errorCallbacks
+      for (var i = 0, l = cbs.length; i < l; i++) {
+        cbs[i](reason, options)
+      }
+    }
+    var res = factory.call(vm, resolve, reject)
+    if (res && typeof res.then === 'function') {
+      res = { component: res }
+    }
+    if (isPlainObject(res) && res.component) {
+      var options = factory.async = normalizeAsyncOptions(res)
+      if (options.timeout != null) {
+        timer = setTimeout(function () {
+          reject('timeout (' + options.timeout + 'ms)')
+        }, options.timeout)
+      }
+      res.component.then(resolve, reject)
+    }
+  }
+
+  /**
+   * Normalize the loading options returned by an async
+   * component factory.
+   *
+   * @param {Object} res
+   * @return {Object}
+   */
+
+  function normalizeAsyncOptions (res) {
+    return {
+      loading: toConstructor(res.loading),
+      error: toConstructor(res.error),
+      delay: res.delay == null ? 200 : res.delay,
+      timeout: res.timeout,
+      retry: res.retry || 0
+    }
+  }
+
+  function toConstructor (Component) {
+    return isPlainObject(Component)
+      ? Vue.extend(Component)
+      : Component
+  }
 }
@@ -0,0 +1,84 @@
+import Watcher from '../../watcher'
+import VNode, { emptyVNode } from '../../vdom/vnode'
+import { createElement } from '../../vdom/create-element'
+import { patch } from '../../vdom/patch'
+import { warn, replace } from '../../util/index'
+
+export default function (Vue) {
+  /**
+   * Mount an instance that has a `render` option instead of
+   * a template: render it into a vnode tree, replace the
+   * mount element with the result, and patch the DOM in
+   * place whenever the data it touched changes.
+   *
+   * @param {Element} el
+   */
+
+  Vue.prototype._initRender = function (el) {
+    var self = this
+    this._vnode = null
+    this._h = function (tag, data, children) {
+      return createElement(self, tag, data, children)
+    }
+    // render in the getter so that dependencies get
+    // collected, but patch in the callback: creating child
+    // components in the getter would steal Dep.target.
+    var watcher = this._renderWatcher = new Watcher(this, render, update, {
+      patch: true
+    })
+    this._initElement(this._update(watcher.value || emptyVNode()))
+    if (el.parentNode) {
+      replace(el, this.$el)
+    }
+    this._isCompiled = true
+    this._callHook('compiled')
+  }
+
+  /**
+   * Call the render function.
+   *
+   * @return {VNode}
+   */
+
+  Vue.prototype._render = function () {
+    var vnode = this.$options.render.call(this, this._h)
+    if (!(vnode instanceof VNode) || !vnode.tag) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Render function should return a single root element.',
+        this
+      )
+      vnode = emptyVNode()
+    }
+    return vnode
+  }
+
+  /**
+   * Patch the DOM with a newly rendered vnode tree.
+   *
+   * @param {VNode} vnode
+   * @return {Node} the root node
+   */
+
+  Vue.prototype._update = function (vnode) {
+    var prevVnode = this._vnode
+    this._vnode = vnode
+    var elm = patch(this, prevVnode, vnode)
+    if (prevVnode && elm !== this.$el) {
+      this.$el.__vue__ = null
+      this.$el = elm
+      elm.__vue__ = this
+    }
+    return elm
+  }
+
+  function render () {
+    return this._render()
+  }
+
+  function update (vnode) {
+    // the render function threw, which has been warned
+    if (vnode) {
+      this._update(vnode)
+    }
+  }
+}
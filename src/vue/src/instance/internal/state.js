@@ -110,7 +110,21 @@ export default function (Vue) {
       }
     }
     // observe data
-    observe(data, this)
+    this._observeData(data)
+  }
+
+  /**
+   * Observe the root data object, and use its proxy as
+   * $data in proxy observer mode.
+   *
+   * @param {Object} data
+   */
+
+  Vue.prototype._observeData = function (data) {
+    var ob = observe(data, this)
+    if (ob && ob.proxy) {
+      this._data = ob.proxy
+    }
   }
 
   /**
@@ -145,7 +159,7 @@ export default function (Vue) {
       }
     }
     oldData.__ob__.removeVm(this)
-    observe(newData, this)
+    this._observeData(newData)
     this._digest()
   }
 
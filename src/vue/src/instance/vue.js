@@ -3,6 +3,7 @@ import stateMixin from './internal/state'
 import eventsMixin from './internal/events'
 import lifecycleMixin from './internal/lifecycle'
 import miscMixin from './internal/misc'
+import renderMixin from './internal/render'
 
 import dataAPI from './api/data'
 import domAPI from './api/dom'
@@ -33,6 +34,7 @@ stateMixin(Vue)
 eventsMixin(Vue)
 lifecycleMixin(Vue)
 miscMixin(Vue)
+renderMixin(Vue)
 
 // install instance APIs
 dataAPI(Vue)
@@ -0,0 +1,71 @@
+import { def } from '../util/index'
+
+/* istanbul ignore next */
+const mapProto = typeof Map !== 'undefined' ? Map.prototype : null
+/* istanbul ignore next */
+const setProto = typeof Set !== 'undefined' ? Set.prototype : null
+export const mapMethods = mapProto && Object.create(mapProto)
+export const setMethods = setProto && Object.create(setProto)
+
+/**
+ * Intercept mutating methods of Maps and Sets and emit
+ * events, the same way it is done for Arrays. Reads
+ * (get/has/size/iteration) depend on the collection as a
+ * whole through its observer's dep.
+ */
+
+if (mapProto) {
+  ;['set', 'delete', 'clear'].forEach(function (method) {
+    intercept(mapMethods, mapProto, method)
+  })
+}
+
+if (setProto) {
+  ;['add', 'delete', 'clear'].forEach(function (method) {
+    intercept(setMethods, setProto, method)
+  })
+}
+
+/**
+ * Define a mutator that calls the native method, observes
+ * inserted values and notifies if the collection has
+ * actually changed.
+ *
+ * @param {Object} methods
+ * @param {Object} proto
+ * @param {String} method
+ */
+
+function intercept (methods, proto, method) {
+  var original = proto[method]
+  def(methods, method, function mutator () {
+    var i = arguments.length
+    var args = new Array(i)
+    while (i--) {
+      args[i] = arguments[i]
+    }
+    var inserted, changed
+    switch (method) {
+      case 'set':
+        inserted = args[1]
+        changed = !this.has(args[0]) || this.get(args[0]) !== inserted
+        break
+      case 'add':
+        inserted = args[0]
+        changed = !this.has(inserted)
+        break
+      case 'clear':
+        changed = this.size > 0
+        break
+    }
+    var result = original.apply(this, args)
+    if (method === 'delete') {
+      changed = result
+    }
+    var ob = this.__ob__
+    if (inserted) ob.observeArray([inserted])
+    // notify change
+    if (changed) ob.dep.notify()
+    return result
+  })
+}
@@ -6,12 +6,15 @@ let uid = 0
  * A dep is an observable that can have multiple
  * directives subscribing to it.
  *
+ * @param {String} [key] - the reactive property it belongs
+ *                         to, used in debug messages
  * @constructor
  */
 
-export default function Dep () {
+export default function Dep (key) {
   this.id = uid++
   this.subs = []
+  this.key = key
 }
 
 // the current target watcher being evaluated.
@@ -19,6 +22,10 @@ export default function Dep () {
 // watcher being evaluated at any time.
 Dep.target = null
 
+// the dep currently notifying its subscribers, so that the
+// batcher can tell what triggered a watcher in dev mode.
+Dep.notifying = null
+
 /**
  * Add a directive subscriber.
  *
@@ -55,7 +62,14 @@ Dep.prototype.depend = function () {
 Dep.prototype.notify = function () {
   // stablize the subscriber list first
   var subs = toArray(this.subs)
+  if (process.env.NODE_ENV !== 'production') {
+    var notifying = Dep.notifying
+    Dep.notifying = this
+  }
   for (var i = 0, l = subs.length; i < l; i++) {
     subs[i].update()
   }
+  if (process.env.NODE_ENV !== 'production') {
+    Dep.notifying = notifying
+  }
 }
@@ -1,14 +1,22 @@
+import config from '../config'
 import Dep from './dep'
 import { arrayMethods } from './array'
+import { mapMethods, setMethods } from './collection'
+import { createProxy } from './proxy'
 import {
   def,
   isArray,
+  isMap,
+  isSet,
   isPlainObject,
   hasProto,
+  hasProxy,
   hasOwn
 } from '../util/index'
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
+const mapKeys = mapMethods ? Object.getOwnPropertyNames(mapMethods) : []
+const setKeys = setMethods ? Object.getOwnPropertyNames(setMethods) : []
 
 /**
  * By default, when a reactive property is set, the new value is
@@ -33,7 +41,7 @@ export function withoutConversion (fn) {
  * object's property keys into getter/setters that
  * collect dependencies and dispatches updates.
  *
- * @param {Array|Object} value
+ * @param {Array|Object|Map|Set} value
  * @constructor
  */
 
@@ -42,15 +50,28 @@ export function Observer (value) {
   this.value = value
   this.dep = new Dep()
   def(value, '__ob__', this)
+  var augment = hasProto
+    ? protoAugment
+    : copyAugment
   if (isArray(value)) {
-    var augment = hasProto
-      ? protoAugment
-      : copyAugment
     augment(value, arrayMethods, arrayKeys)
     this.observeArray(value)
+  } else if (isMap(value)) {
+    augment(value, mapMethods, mapKeys)
+    this.observeCollection(value)
+  } else if (isSet(value)) {
+    augment(value, setMethods, setKeys)
+    this.observeCollection(value)
   } else {
     this.walk(value)
   }
+  // in proxy mode, Objects and Arrays are handed out
+  // wrapped so that added/deleted keys and index/length
+  // assignments can be intercepted as well.
+  this.proxy = config.proxyObserver && hasProxy &&
+    (isArray(value) || isPlainObject(value))
+    ? createProxy(this)
+    : null
 }
 
 // Instance methods
@@ -82,6 +103,18 @@ Observer.prototype.observeArray = function (items) {
   }
 }
 
+/**
+ * Observe the values of a Map or Set.
+ *
+ * @param {Map|Set} collection
+ */
+
+Observer.prototype.observeCollection = function (collection) {
+  collection.forEach(function (value) {
+    observe(value)
+  })
+}
+
 /**
  * Convert a property into getter/setter so we can emit
  * the events when the property is accessed/changed.
@@ -172,7 +205,7 @@ export function observe (value, vm) {
     ob = value.__ob__
   } else if (
     shouldConvert &&
-    (isArray(value) || isPlainObject(value)) &&
+    (isArray(value) || isPlainObject(value) || isMap(value) || isSet(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
@@ -193,7 +226,7 @@ export function observe (value, vm) {
  */
 
 export function defineReactive (obj, key, val) {
-  var dep = new Dep()
+  var dep = new Dep(key)
 
   var property = Object.getOwnPropertyDescriptor(obj, key)
   if (property && property.configurable === false) {
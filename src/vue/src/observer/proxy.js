@@ -0,0 +1,86 @@
+import {
+  set,
+  del,
+  hasOwn,
+  isArray
+} from '../util/index'
+
+/**
+ * Create the proxy handed out for an observed Object or
+ * Array in Vue.config.proxyObserver mode.
+ *
+ * Reads go through the reactive getters as usual and wrap
+ * nested observed values in their own proxies, so that
+ * writes anywhere down the tree are intercepted:
+ *
+ * - adding a key converts it and notifies, like Vue.set
+ * - deleting a key notifies, like Vue.delete
+ * - setting an array index or length notifies the array
+ *
+ * The underlying data stays raw; proxies are never stored
+ * in it.
+ *
+ * @param {Observer} ob
+ * @return {Proxy}
+ */
+
+export function createProxy (ob) {
+  var array = isArray(ob.value)
+  return new Proxy(ob.value, {
+    get (target, key) {
+      return toProxy(target[key])
+    },
+    set (target, key, value) {
+      value = toRaw(value)
+      if (array && (key === 'length' || isIndex(key))) {
+        if (target[key] !== value || !hasOwn(target, key)) {
+          target[key] = value
+          if (key !== 'length') ob.observeArray([value])
+          ob.dep.notify()
+        }
+      } else if (hasOwn(target, key) || array || key in target) {
+        target[key] = value
+      } else {
+        set(target, key, value)
+      }
+      return true
+    },
+    deleteProperty (target, key) {
+      if (array && isIndex(key) && hasOwn(target, key)) {
+        delete target[key]
+        ob.dep.notify()
+      } else {
+        del(target, key)
+      }
+      return true
+    }
+  })
+}
+
+/**
+ * Get the proxy of an observed value, if it has one.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+
+export function toProxy (value) {
+  var ob = value !== null && typeof value === 'object' && value.__ob__
+  return ob && ob.proxy || value
+}
+
+/**
+ * Get the raw value behind a proxy.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+
+function toRaw (value) {
+  var ob = value !== null && typeof value === 'object' && value.__ob__
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+function isIndex (key) {
+  return typeof key === 'string' && String(key >>> 0) === key
+}
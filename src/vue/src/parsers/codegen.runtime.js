@@ -0,0 +1,24 @@
+// Stands in for codegen.js in the runtime-only build, which
+// never generates code: expressions come with precompiled
+// getters, or are simple paths read without eval.
+
+/**
+ * Expressions are left as they are.
+ *
+ * @param {String} exp
+ * @return {String}
+ */
+
+export function rewriteExpression (exp) {
+  return exp
+}
+
+/**
+ * No function can be built.
+ *
+ * @return {null}
+ */
+
+export function makeFunction () {
+  return null
+}
@@ -1,15 +1,14 @@
+import config from '../config'
 import { warn } from '../util/index'
 import { parsePath, setPath } from './path'
 import Cache from '../cache'
+import { parseAST, evaluate } from './interpreter'
+import { rewriteExpression, makeFunction } from './codegen'
 
 const expressionCache = new Cache(1000)
 
-const allowedKeywords =
-  'Math,Date,this,true,false,null,undefined,Infinity,NaN,' +
-  'isNaN,isFinite,decodeURI,decodeURIComponent,encodeURI,' +
-  'encodeURIComponent,parseInt,parseFloat'
-const allowedKeywordsRE =
-  new RegExp('^(' + allowedKeywords.replace(/,/g, '\\b|') + '\\b)')
+// getters shipped with precompiled templates
+const precompiledGetters = Object.create(null)
 
 // keywords that don't make sense inside expressions
 const improperKeywords =
@@ -21,109 +20,141 @@ const improperKeywords =
 const improperKeywordsRE =
   new RegExp('^(' + improperKeywords.replace(/,/g, '\\b|') + '\\b)')
 
-const wsRE = /\s/g
-const newlineRE = /\n/g
-const saveRE = /[\{,]\s*[\w\$_]+\s*:|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*\$\{|\}(?:[^`\\"']|\\.)*`|`(?:[^`\\]|\\.)*`)|new |typeof |void /g
-const restoreRE = /"(\d+)"/g
 const pathTestRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['.*?'\]|\[".*?"\]|\[\d+\]|\[[A-Za-z_$][\w$]*\])*$/
-const identRE = /[^\w$\.](?:[A-Za-z_$][\w$]*)/g
 const literalValueRE = /^(?:true|false|null|undefined|Infinity|NaN)$/
 
 function noop () {}
 
 /**
- * Save / Rewrite / Restore
+ * Rewrite an expression, prefixing all path accessors with
+ * `scope.`, and return the body of its getter function.
  *
- * When rewriting paths found in an expression, it is
- * possible for the same letter sequences to be found in
- * strings and Object literal property keys. Therefore we
- * remove and store these parts in a temporary array, and
- * restore them after the path rewrite.
+ * @param {String} exp
+ * @return {String}
  */
 
-var saved = []
+export function getterBody (exp) {
+  exp = exp.trim()
+  if (isSimplePath(exp) && exp.indexOf('[') < 0) {
+    return 'scope.' + exp
+  }
+  if (improperKeywordsRE.test(exp)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Avoid using reserved keywords in expression: ' + exp
+    )
+  }
+  return rewriteExpression(exp)
+}
 
 /**
- * Save replacer
- *
- * The save regex can match two possible cases:
- * 1. An opening object literal
- * 2. A string
- * If matched as a plain string, we need to escape its
- * newlines, since the string needs to be preserved when
- * generating the function body.
+ * Check whether an expression compiles, without warning or
+ * caching anything. Expressions are parsed the way the
+ * current build would evaluate them.
  *
- * @param {String} str
- * @param {String} isString - str if matched as a string
- * @return {String} - placeholder with index
+ * @param {String} exp
+ * @return {String|null} - what is wrong with it, if anything
  */
 
-function save (str, isString) {
-  var i = saved.length
-  saved[i] = isString
-    ? str.replace(newlineRE, '\\n')
-    : str
-  return '"' + i + '"'
+export function checkExpression (exp) {
+  exp = exp.trim()
+  if (isSimplePath(exp) && exp.indexOf('[') < 0) {
+    return null
+  }
+  if (improperKeywordsRE.test(exp)) {
+    return 'avoid using reserved keywords in expressions'
+  }
+  if (!config.csp) {
+    try {
+      if (makeFunction('scope', 'return ' + getterBody(exp) + ';')) {
+        return null
+      }
+    } catch (e) {
+      // the interpreter has more helpful messages than the
+      // syntax errors of the rewritten function body
+      return interpretedError(exp) || e.message
+    }
+  }
+  return interpretedError(exp)
+}
+
+function interpretedError (exp) {
+  try {
+    parseAST(exp)
+    return null
+  } catch (e) {
+    return e.message
+  }
 }
 
 /**
- * Path rewrite replacer
+ * Build a getter function for an expression that has not
+ * been precompiled.
  *
- * @param {String} raw
- * @return {String}
+ * In CSP mode the expression is interpreted instead. The
+ * runtime-only build cannot generate code either, so only
+ * simple paths are supported there and are read without
+ * eval.
+ *
+ * @param {String} exp
+ * @return {Function}
  */
 
-function rewrite (raw) {
-  var c = raw.charAt(0)
-  var path = raw.slice(1)
-  if (allowedKeywordsRE.test(path)) {
-    return raw
-  } else {
-    path = path.indexOf('"') > -1
-      ? path.replace(restoreRE, restore)
-      : path
-    return c + 'scope.' + path
+function compileGetter (exp) {
+  if (config.csp) {
+    return makeInterpretedGetter(exp)
+  }
+  var getter = makeGetterFn(getterBody(exp))
+  if (getter) {
+    return getter
   }
+  if (isSimplePath(exp) && exp.indexOf('[') < 0) {
+    return makePathGetter(exp.split('.'))
+  }
+  process.env.NODE_ENV !== 'production' && warn(
+    'Expression "' + exp + '" has not been precompiled and ' +
+    'cannot be evaluated by the runtime-only build.'
+  )
+  return noop
 }
 
 /**
- * Restore replacer
+ * Build a getter that evaluates the AST of an expression.
  *
- * @param {String} str
- * @param {String} i - matched save index
- * @return {String}
+ * @param {String} exp
+ * @return {Function}
  */
 
-function restore (str, i) {
-  return saved[i]
+function makeInterpretedGetter (exp) {
+  var ast
+  try {
+    ast = parseAST(exp)
+  } catch (e) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Invalid expression: ' + exp + ' (' + e.message + ')'
+    )
+    return noop
+  }
+  return function (scope) {
+    return evaluate(ast, scope, this)
+  }
 }
 
 /**
- * Rewrite an expression, prefixing all path accessors with
- * `scope.` and generate getter/setter functions.
+ * Build a getter for a dot-delimited path without eval.
  *
- * @param {String} exp
+ * @param {Array} path
  * @return {Function}
  */
 
-function compileGetter (exp) {
-  if (improperKeywordsRE.test(exp)) {
-    process.env.NODE_ENV !== 'production' && warn(
-      'Avoid using reserved keywords in expression: ' + exp
-    )
+function makePathGetter (path) {
+  return function (scope) {
+    var val = scope
+    for (var i = 0, l = path.length; i < l; i++) {
+      if (val == null) return
+      val = val[path[i]]
+    }
+    return val
   }
-  // reset state
-  saved.length = 0
-  // save strings and object literal keys
-  var body = exp
-    .replace(saveRE, save)
-    .replace(wsRE, '')
-  // rewrite all paths
-  // pad 1 space here because the regex matches 1 extra char
-  body = (' ' + body)
-    .replace(identRE, rewrite)
-    .replace(restoreRE, restore)
-  return makeGetterFn(body)
 }
 
 /**
@@ -133,14 +164,13 @@ function compileGetter (exp) {
  * optimization of the parse function when it is not called.
  *
  * @param {String} body
- * @return {Function|undefined}
+ * @return {Function|null} - null if the build does not
+ *                            generate code
  */
 
 function makeGetterFn (body) {
   try {
-    /* eslint-disable no-new-func */
-    return new Function('scope', 'return ' + body + ';')
-    /* eslint-enable no-new-func */
+    return makeFunction('scope', 'return ' + body + ';')
   } catch (e) {
     if (process.env.NODE_ENV !== 'production') {
       /* istanbul ignore if */
@@ -148,8 +178,8 @@ function makeGetterFn (body) {
         warn(
           'It seems you are using the default build of Vue.js in an environment ' +
           'with Content Security Policy that prohibits unsafe-eval. ' +
-          'Use the CSP-compliant build instead: ' +
-          'http://vuejs.org/guide/installation.html#CSP-compliant-build'
+          'Set Vue.config.csp to true to evaluate expressions ' +
+          'without it.'
         )
       } else {
         warn(
@@ -201,11 +231,7 @@ export function parseExpression (exp, needSet) {
     return hit
   }
   var res = { exp: exp }
-  res.get = isSimplePath(exp) && exp.indexOf('[') < 0
-    // optimized super simple getter
-    ? makeGetterFn('scope.' + exp)
-    // dynamic getter
-    : compileGetter(exp)
+  res.get = precompiledGetters[exp] || compileGetter(exp)
   if (needSet) {
     res.set = compileSetter(exp)
   }
@@ -213,6 +239,20 @@ export function parseExpression (exp, needSet) {
   return res
 }
 
+/**
+ * Register getters generated by the template precompiler,
+ * so that their expressions never need to be compiled at
+ * runtime.
+ *
+ * @param {Object} getters - expression => getter function
+ */
+
+export function registerGetters (getters) {
+  for (var exp in getters) {
+    precompiledGetters[exp] = getters[exp]
+  }
+}
+
 /**
  * Check if an expression is a simple path.
  *
@@ -0,0 +1,564 @@
+import { hasOwn } from '../util/lang'
+
+/**
+ * An expression parser and interpreter for environments
+ * where code generation is not allowed (Vue.config.csp).
+ *
+ * It understands the same subset of JavaScript the default
+ * expression compiler produces getters for: literals,
+ * array/object literals, member access, calls, `new`,
+ * unary/binary/logical operators, ternaries, and
+ * assignments/updates for statements. Statements can be
+ * separated with `;`.
+ *
+ * Like compiled getters, free identifiers are looked up on
+ * the scope, except for a few allowed globals.
+ */
+
+const globals = {
+  Math: Math,
+  Date: Date,
+  isNaN: isNaN,
+  isFinite: isFinite,
+  decodeURI: decodeURI,
+  decodeURIComponent: decodeURIComponent,
+  encodeURI: encodeURI,
+  encodeURIComponent: encodeURIComponent,
+  parseInt: parseInt,
+  parseFloat: parseFloat
+}
+
+const literals = {
+  'true': true,
+  'false': false,
+  'null': null,
+  'undefined': undefined,
+  'Infinity': Infinity,
+  'NaN': NaN
+}
+
+// binary operators and their precedence
+const binaryPrecedence = {
+  '||': 1,
+  '&&': 2,
+  '|': 3,
+  '^': 4,
+  '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, 'instanceof': 7, 'in': 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10
+}
+
+const assignOps = {
+  '=': true,
+  '+=': true, '-=': true, '*=': true, '/=': true, '%=': true,
+  '<<=': true, '>>=': true, '>>>=': true,
+  '&=': true, '|=': true, '^=': true
+}
+
+// punctuators, longest first
+const punctuators = [
+  '>>>=',
+  '===', '!==', '>>>', '<<=', '>>=',
+  '==', '!=', '<=', '>=', '&&', '||', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>',
+  '+', '-', '*', '/', '%', '<', '>', '!', '~', '&', '|', '^',
+  '?', ':', '=', '.', ',', ';', '(', ')', '[', ']', '{', '}'
+]
+
+const identStartRE = /[A-Za-z_$]/
+const identRE = /[\w$]/
+const numberRE = /^(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+const wordOps = /^(?:typeof|void|instanceof|in|new|this)$/
+
+const escapes = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  b: '\b',
+  f: '\f',
+  v: '\v',
+  '0': '\0'
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {String} exp
+ * @return {Array<Object>} - { type, value }
+ */
+
+function tokenize (exp) {
+  var tokens = []
+  var i = 0
+  var l = exp.length
+  var c, start, match, value, j
+  while (i < l) {
+    c = exp.charAt(i)
+    if (/\s/.test(c)) {
+      i++
+    } else if (c === '"' || c === '\'') {
+      start = i++
+      value = ''
+      while (i < l && exp.charAt(i) !== c) {
+        if (exp.charAt(i) === '\\') {
+          i++
+          value += readEscape()
+        } else {
+          value += exp.charAt(i++)
+        }
+      }
+      if (i >= l) {
+        throw new SyntaxError('unterminated string at ' + start)
+      }
+      i++
+      tokens.push({ type: 'string', value: value })
+    } else if (c === '`') {
+      throw new SyntaxError('template literals are not supported')
+    } else if ((match = exp.slice(i).match(numberRE)) &&
+        (c !== '.' || /\d/.test(exp.charAt(i + 1)))) {
+      tokens.push({ type: 'number', value: Number(match[0]) })
+      i += match[0].length
+    } else if (identStartRE.test(c)) {
+      start = i
+      while (i < l && identRE.test(exp.charAt(i))) i++
+      value = exp.slice(start, i)
+      tokens.push({
+        type: wordOps.test(value) ? 'punc' : 'ident',
+        value: value
+      })
+    } else {
+      for (j = 0; j < punctuators.length; j++) {
+        if (exp.substr(i, punctuators[j].length) === punctuators[j]) {
+          break
+        }
+      }
+      if (j === punctuators.length) {
+        throw new SyntaxError('unexpected character "' + c + '" at ' + i)
+      }
+      tokens.push({ type: 'punc', value: punctuators[j] })
+      i += punctuators[j].length
+    }
+  }
+  return tokens
+
+  function readEscape () {
+    var e = exp.charAt(i++)
+    if (e === 'x' || e === 'u') {
+      var len = e === 'x' ? 2 : 4
+      var code = exp.substr(i, len)
+      i += len
+      return String.fromCharCode(parseInt(code, 16))
+    }
+    return escapes[e] != null ? escapes[e] : e
+  }
+}
+
+/**
+ * Parse an expression into an AST.
+ *
+ * Nodes are plain objects with a `type` property:
+ * Literal, Identifier, This, Array, Object, Member, Call,
+ * New, Unary, Update, Binary, Logical, Conditional, Assign
+ * and Sequence.
+ *
+ * @param {String} exp
+ * @return {Object}
+ */
+
+export function parseAST (exp) {
+  var tokens = tokenize(exp)
+  var index = 0
+
+  function peek (value) {
+    var token = tokens[index]
+    return token && token.type === 'punc' && token.value === value
+  }
+
+  function eat (value) {
+    if (peek(value)) {
+      index++
+      return true
+    }
+  }
+
+  function expect (value) {
+    if (!eat(value)) {
+      var token = tokens[index]
+      throw new SyntaxError(
+        'expected "' + value + '" but found ' +
+        (token ? '"' + token.value + '"' : 'end of expression')
+      )
+    }
+  }
+
+  function parseSequence () {
+    var expressions = []
+    while (index < tokens.length) {
+      if (!eat(';')) {
+        expressions.push(parseAssignment())
+        if (index < tokens.length) expect(';')
+      }
+    }
+    return expressions.length === 1
+      ? expressions[0]
+      : { type: 'Sequence', expressions: expressions }
+  }
+
+  function parseAssignment () {
+    var left = parseConditional()
+    var token = tokens[index]
+    if (token && token.type === 'punc' && assignOps[token.value]) {
+      checkTarget(left)
+      index++
+      return {
+        type: 'Assign',
+        operator: token.value,
+        target: left,
+        value: parseAssignment()
+      }
+    }
+    return left
+  }
+
+  function parseConditional () {
+    var test = parseBinary(0)
+    if (eat('?')) {
+      var consequent = parseAssignment()
+      expect(':')
+      return {
+        type: 'Conditional',
+        test: test,
+        consequent: consequent,
+        alternate: parseAssignment()
+      }
+    }
+    return test
+  }
+
+  function parseBinary (minPrecedence) {
+    var left = parseUnary()
+    var token, precedence
+    while (
+      (token = tokens[index]) &&
+      token.type === 'punc' &&
+      (precedence = binaryPrecedence[token.value]) > minPrecedence
+    ) {
+      index++
+      left = {
+        type: token.value === '&&' || token.value === '||'
+          ? 'Logical'
+          : 'Binary',
+        operator: token.value,
+        left: left,
+        right: parseBinary(precedence)
+      }
+    }
+    return left
+  }
+
+  function parseUnary () {
+    var token = tokens[index]
+    if (token && token.type === 'punc') {
+      var op = token.value
+      if (op === '!' || op === '-' || op === '+' || op === '~' ||
+          op === 'typeof' || op === 'void') {
+        index++
+        return { type: 'Unary', operator: op, argument: parseUnary() }
+      }
+      if (op === '++' || op === '--') {
+        index++
+        var argument = parseUnary()
+        checkTarget(argument)
+        return { type: 'Update', operator: op, prefix: true, argument: argument }
+      }
+    }
+    var node = parseCallMember()
+    if (peek('++') || peek('--')) {
+      checkTarget(node)
+      return {
+        type: 'Update',
+        operator: tokens[index++].value,
+        prefix: false,
+        argument: node
+      }
+    }
+    return node
+  }
+
+  function parseCallMember () {
+    var node
+    if (eat('new')) {
+      var callee = parseMember(parsePrimary())
+      node = {
+        type: 'New',
+        callee: callee,
+        args: peek('(') ? parseArguments() : []
+      }
+    } else {
+      node = parsePrimary()
+    }
+    for (;;) {
+      if (peek('.') || peek('[')) {
+        node = parseMember(node)
+      } else if (peek('(')) {
+        node = { type: 'Call', callee: node, args: parseArguments() }
+      } else {
+        return node
+      }
+    }
+  }
+
+  function parseMember (node) {
+    for (;;) {
+      if (eat('.')) {
+        var token = tokens[index++]
+        // keywords are allowed as property names, e.g. `a.new`
+        if (!token || (token.type !== 'ident' && !wordOps.test(token.value))) {
+          throw new SyntaxError('expected a property name after "."')
+        }
+        node = { type: 'Member', object: node, property: token.value, computed: false }
+      } else if (eat('[')) {
+        node = { type: 'Member', object: node, property: parseAssignment(), computed: true }
+        expect(']')
+      } else {
+        return node
+      }
+    }
+  }
+
+  function parseArguments () {
+    var args = []
+    expect('(')
+    if (!eat(')')) {
+      do {
+        args.push(parseAssignment())
+      } while (eat(','))
+      expect(')')
+    }
+    return args
+  }
+
+  function parsePrimary () {
+    var token = tokens[index++]
+    if (!token) {
+      throw new SyntaxError('unexpected end of expression')
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'Literal', value: token.value }
+    }
+    if (token.type === 'ident') {
+      return hasOwn(literals, token.value)
+        ? { type: 'Literal', value: literals[token.value] }
+        : { type: 'Identifier', name: token.value }
+    }
+    switch (token.value) {
+      case 'this':
+        return { type: 'This' }
+      case '(':
+        var node = parseAssignment()
+        expect(')')
+        return node
+      case '[':
+        var elements = []
+        if (!eat(']')) {
+          do {
+            if (peek(']')) break
+            elements.push(parseAssignment())
+          } while (eat(','))
+          expect(']')
+        }
+        return { type: 'Array', elements: elements }
+      case '{':
+        var properties = []
+        if (!eat('}')) {
+          do {
+            if (peek('}')) break
+            var key = tokens[index++]
+            if (!key || key.type === 'punc' && !wordOps.test(key.value)) {
+              throw new SyntaxError('invalid object key')
+            }
+            expect(':')
+            properties.push({ key: String(key.value), value: parseAssignment() })
+          } while (eat(','))
+          expect('}')
+        }
+        return { type: 'Object', properties: properties }
+    }
+    throw new SyntaxError('unexpected token "' + token.value + '"')
+  }
+
+  function checkTarget (node) {
+    if (node.type !== 'Identifier' && node.type !== 'Member') {
+      throw new SyntaxError('invalid assignment target')
+    }
+  }
+
+  var ast = parseSequence()
+  if (index < tokens.length) {
+    throw new SyntaxError('unexpected token "' + tokens[index].value + '"')
+  }
+  return ast
+}
+
+/**
+ * Evaluate an AST against a scope.
+ *
+ * @param {Object} node
+ * @param {Object} scope
+ * @param {*} thisArg - `this` inside the expression
+ * @return {*}
+ */
+
+export function evaluate (node, scope, thisArg) {
+  var i, l, res, obj, fn, args
+  switch (node.type) {
+    case 'Literal':
+      return node.value
+    case 'Identifier':
+      return hasOwn(globals, node.name)
+        ? globals[node.name]
+        : scope[node.name]
+    case 'This':
+      return thisArg
+    case 'Array':
+      res = []
+      for (i = 0, l = node.elements.length; i < l; i++) {
+        res.push(evaluate(node.elements[i], scope, thisArg))
+      }
+      return res
+    case 'Object':
+      res = {}
+      for (i = 0, l = node.properties.length; i < l; i++) {
+        res[node.properties[i].key] = evaluate(node.properties[i].value, scope, thisArg)
+      }
+      return res
+    case 'Member':
+      obj = evaluate(node.object, scope, thisArg)
+      return obj[propertyOf(node, scope, thisArg)]
+    case 'Call':
+      if (node.callee.type === 'Member') {
+        obj = evaluate(node.callee.object, scope, thisArg)
+        fn = obj[propertyOf(node.callee, scope, thisArg)]
+      } else {
+        fn = evaluate(node.callee, scope, thisArg)
+        obj = node.callee.type === 'Identifier' && !hasOwn(globals, node.callee.name)
+          ? scope
+          : undefined
+      }
+      if (typeof fn !== 'function') {
+        throw new TypeError(describe(node.callee) + ' is not a function')
+      }
+      return fn.apply(obj, evaluateArgs(node.args, scope, thisArg))
+    case 'New':
+      fn = evaluate(node.callee, scope, thisArg)
+      args = evaluateArgs(node.args, scope, thisArg)
+      return new (Function.prototype.bind.apply(fn, [null].concat(args)))()
+    case 'Unary':
+      res = evaluate(node.argument, scope, thisArg)
+      switch (node.operator) {
+        case '!': return !res
+        case '-': return -res
+        case '+': return +res
+        case '~': return ~res
+        case 'typeof': return typeof res
+        case 'void': return undefined
+      }
+      break
+    case 'Update':
+      res = +evaluate(node.argument, scope, thisArg)
+      assign(node.argument, node.operator === '++' ? res + 1 : res - 1, scope, thisArg)
+      return node.prefix
+        ? node.operator === '++' ? res + 1 : res - 1
+        : res
+    case 'Logical':
+      res = evaluate(node.left, scope, thisArg)
+      return node.operator === '&&'
+        ? res && evaluate(node.right, scope, thisArg)
+        : res || evaluate(node.right, scope, thisArg)
+    case 'Binary':
+      return binary(
+        node.operator,
+        evaluate(node.left, scope, thisArg),
+        evaluate(node.right, scope, thisArg)
+      )
+    case 'Conditional':
+      return evaluate(node.test, scope, thisArg)
+        ? evaluate(node.consequent, scope, thisArg)
+        : evaluate(node.alternate, scope, thisArg)
+    case 'Assign':
+      res = evaluate(node.value, scope, thisArg)
+      if (node.operator !== '=') {
+        res = binary(
+          node.operator.slice(0, -1),
+          evaluate(node.target, scope, thisArg),
+          res
+        )
+      }
+      return assign(node.target, res, scope, thisArg)
+    case 'Sequence':
+      for (i = 0, l = node.expressions.length; i < l; i++) {
+        res = evaluate(node.expressions[i], scope, thisArg)
+      }
+      return res
+  }
+}
+
+function binary (op, a, b) {
+  switch (op) {
+    case '+': return a + b
+    case '-': return a - b
+    case '*': return a * b
+    case '/': return a / b
+    case '%': return a % b
+    case '==': return a == b // eslint-disable-line eqeqeq
+    case '!=': return a != b // eslint-disable-line eqeqeq
+    case '===': return a === b
+    case '!==': return a !== b
+    case '<': return a < b
+    case '>': return a > b
+    case '<=': return a <= b
+    case '>=': return a >= b
+    case 'instanceof': return a instanceof b
+    case 'in': return a in b
+    case '&': return a & b
+    case '|': return a | b
+    case '^': return a ^ b
+    case '<<': return a << b
+    case '>>': return a >> b
+    case '>>>': return a >>> b
+  }
+}
+
+function assign (target, value, scope, thisArg) {
+  if (target.type === 'Identifier') {
+    scope[target.name] = value
+  } else {
+    evaluate(target.object, scope, thisArg)[propertyOf(target, scope, thisArg)] = value
+  }
+  return value
+}
+
+function propertyOf (node, scope, thisArg) {
+  return node.computed
+    ? evaluate(node.property, scope, thisArg)
+    : node.property
+}
+
+function evaluateArgs (nodes, scope, thisArg) {
+  var args = new Array(nodes.length)
+  for (var i = 0, l = nodes.length; i < l; i++) {
+    args[i] = evaluate(nodes[i], scope, thisArg)
+  }
+  return args
+}
+
+function describe (node) {
+  return node.type === 'Identifier'
+    ? node.name
+    : node.type === 'Member' && !node.computed
+      ? describe(node.object) + '.' + node.property
+      : 'expression'
+}
@@ -0,0 +1,240 @@
+import Cache from '../cache'
+import {
+  trimNode,
+  isTemplate,
+  isFragment
+} from '../util/index'
+
+// the runtime-only build replaces this module with
+// template-string.runtime.js
+
+const templateCache = new Cache(1000)
+
+const map = {
+  efault: [0, '', ''],
+  legend: [1, '<fieldset>', '</fieldset>'],
+  tr: [2, '<table><tbody>', '</tbody></table>'],
+  col: [
+    2,
+    '<table><tbody></tbody><colgroup>',
+    '</colgroup></table>'
+  ]
+}
+
+map.td =
+map.th = [
+  3,
+  '<table><tbody><tr>',
+  '</tr></tbody></table>'
+]
+
+map.option =
+map.optgroup = [
+  1,
+  '<select multiple="multiple">',
+  '</select>'
+]
+
+map.thead =
+map.tbody =
+map.colgroup =
+map.caption =
+map.tfoot = [1, '<table>', '</table>']
+
+map.g =
+map.defs =
+map.symbol =
+map.use =
+map.image =
+map.text =
+map.circle =
+map.ellipse =
+map.line =
+map.path =
+map.polygon =
+map.polyline =
+map.rect = [
+  1,
+  '<svg ' +
+    'xmlns="http://www.w3.org/2000/svg" ' +
+    'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+    'xmlns:ev="http://www.w3.org/2001/xml-events"' +
+    'version="1.1">',
+  '</svg>'
+]
+
+const tagRE = /<([\w:-]+)/
+const entityRE = /&#?\w+?;/
+const commentRE = /<!--/
+
+/**
+ * Convert a string template to a DocumentFragment.
+ * Determines correct wrapping by tag types. Wrapping
+ * strategy found in jQuery & component/domify.
+ * 将html字符串转化为文档片段，并保存在缓存中
+ *
+ * @param {String} templateString
+ * @param {Boolean} raw
+ * @return {DocumentFragment}
+ */
+
+export function stringToFragment (templateString, raw) {
+  // try a cache hit first
+  var cacheKey = raw
+    ? templateString
+    : templateString.trim() //trim() 方法会从一个字符串的两端删除空白字符
+  var hit = templateCache.get(cacheKey)
+  // templates parsed by renderToString() belong to its own
+  // document and cannot be used in the page.
+  if (hit && hit.ownerDocument === document) {
+    return hit
+  }
+  // 创建一个文档片段
+  var frag = document.createDocumentFragment()
+  // tagRE: /<([\w:-]+)/
+  // 匹配标签
+  // '<test v-if="ok"></test>'.match(/<([\w:-]+)/) => ["<test", "test", index: 0, input: "<test v-if="ok"></test>"]
+  var tagMatch = templateString.match(tagRE)
+  // entityRE: /&#?\w+?;/
+  var entityMatch = entityRE.test(templateString)
+  // commentRE: /<!--/ 
+  // 匹配注释
+  var commentMatch = commentRE.test(templateString) 
+
+  if (!tagMatch && !entityMatch && !commentMatch) {
+    // text only, return a single text node.
+    // 如果都没匹配到，创建一个文本节点添加到文档片段
+    frag.appendChild(
+      document.createTextNode(templateString)
+    )
+  } else {
+    var tag = tagMatch && tagMatch[1]
+    // map, 对标签进行修正；如是td标签，则返回"<table><tbody><tr>" + templateString +  "</tr></tbody></table>";
+    // map['td'] = [3, "<table><tbody><tr>", "</tr></tbody></table>"]
+    var wrap = map[tag] || map.efault
+    var depth = wrap[0]
+    var prefix = wrap[1]
+    var suffix = wrap[2]
+    var node = document.createElement('div')
+
+    node.innerHTML = prefix + templateString + suffix
+
+    while (depth--) {
+      node = node.lastChild
+    }
+
+    var child
+    document.body.appendChild(node);
+    /* eslint-disable no-cond-assign */
+    while (child = node.firstChild) {
+    /* eslint-enable no-cond-assign */
+      frag.appendChild(child)
+    }
+  }
+  if (!raw) {
+    // 移除文档中空文本节点及注释节点
+    trimNode(frag)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    recordLocations(frag, templateString)
+  }
+  templateCache.put(cacheKey, frag)
+  return frag
+}
+
+const tagOpenRE = /<([a-zA-Z][\w:-]*)|<!--[\s\S]*?-->/g
+const attrRE = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g
+const rawTextTagRE = /^(script|style|textarea)$/
+
+/**
+ * Find the start tags in a template string, along with the
+ * offsets of their tag names and attributes.
+ *
+ * @param {String} source
+ * @return {Array<Object>} - { tag, loc, attrs } in document
+ *                           order, locations being
+ *                           { source, start, end }
+ */
+
+function scanElements (source) {
+  var elements = []
+  var match, attrMatch, tag, attrs, pos, c, name, end
+  tagOpenRE.lastIndex = 0
+  while ((match = tagOpenRE.exec(source))) {
+    if (!match[1]) {
+      continue // comment
+    }
+    tag = match[1].toLowerCase()
+    attrs = {}
+    elements.push({
+      tag: tag,
+      loc: { source: source, start: match.index, end: tagOpenRE.lastIndex },
+      attrs: attrs
+    })
+    pos = tagOpenRE.lastIndex
+    while ((c = source.charAt(pos)) && c !== '>' && c !== '<') {
+      attrRE.lastIndex = pos
+      attrMatch = attrRE.exec(source)
+      if (!attrMatch || attrMatch.index !== pos) {
+        pos++
+        continue
+      }
+      name = attrMatch[1].toLowerCase()
+      if (!attrs[name]) {
+        attrs[name] = { source: source, start: pos, end: attrRE.lastIndex }
+      }
+      pos = attrRE.lastIndex
+    }
+    // the content of raw text elements is not markup
+    if (rawTextTagRE.test(tag)) {
+      end = source.toLowerCase().indexOf('</' + tag, pos)
+      pos = end < 0 ? source.length : end
+    }
+    tagOpenRE.lastIndex = pos
+  }
+  return elements
+}
+
+/**
+ * Attach the source locations of the elements parsed from a
+ * template string to the element nodes, so that compile
+ * warnings can point at the original markup.
+ *
+ * Elements are matched in document order; the ones that the
+ * HTML parser inserted on its own (e.g. <tbody>) are left
+ * without a location.
+ *
+ * @param {DocumentFragment} frag
+ * @param {String} source
+ */
+
+function recordLocations (frag, source) {
+  var elements = scanElements(source)
+  var index = 0
+  function walk (parent) {
+    var child = parent.firstChild
+    var tag, entry
+    while (child) {
+      if (child.nodeType === 1) {
+        tag = child.tagName.toLowerCase()
+        entry = elements[index]
+        if (
+          entry && entry.tag !== tag &&
+          elements[index + 1] && elements[index + 1].tag === tag
+        ) {
+          // the element was dropped by the parser
+          entry = elements[++index]
+        }
+        if (entry && entry.tag === tag) {
+          child.__v_loc = entry
+          index++
+        }
+        walk(isTemplate(child) && isFragment(child.content)
+          ? child.content
+          : child)
+      }
+      child = child.nextSibling
+    }
+  }
+  walk(frag)
+}
@@ -0,0 +1,35 @@
+import { warn } from '../util/index'
+
+// Stands in for template-string.js in the runtime-only
+// build, which expects templates to be precompiled.
+
+/**
+ * Convert raw inline HTML, e.g. the value of {{{ html }}},
+ * to a DocumentFragment. Template strings are not parsed.
+ *
+ * @param {String} templateString
+ * @param {Boolean} raw
+ * @return {DocumentFragment|undefined}
+ */
+
+export function stringToFragment (templateString, raw) {
+  if (!raw) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Template strings are not supported by the runtime-only ' +
+      'build, precompile them instead: ' + templateString
+    )
+    return
+  }
+  var node = document.createElement('template')
+  node.innerHTML = templateString
+  // browsers without <template> parse its content as children
+  var content = node.content || node
+  var frag = document.createDocumentFragment()
+  var child
+  /* eslint-disable no-cond-assign */
+  while (child = content.firstChild) {
+  /* eslint-enable no-cond-assign */
+    frag.appendChild(child)
+  }
+  return frag
+}
@@ -1,4 +1,5 @@
 import Cache from '../cache'
+import { stringToFragment } from './template-string'
 import {
   inBrowser,
   trimNode,
@@ -6,62 +7,8 @@ import {
   isFragment
 } from '../util/index'
 
-const templateCache = new Cache(1000)
 const idSelectorCache = new Cache(1000)
 
-const map = {
-  efault: [0, '', ''],
-  legend: [1, '<fieldset>', '</fieldset>'],
-  tr: [2, '<table><tbody>', '</tbody></table>'],
-  col: [
-    2,
-    '<table><tbody></tbody><colgroup>',
-    '</colgroup></table>'
-  ]
-}
-
-map.td =
-map.th = [
-  3,
-  '<table><tbody><tr>',
-  '</tr></tbody></table>'
-]
-
-map.option =
-map.optgroup = [
-  1,
-  '<select multiple="multiple">',
-  '</select>'
-]
-
-map.thead =
-map.tbody =
-map.colgroup =
-map.caption =
-map.tfoot = [1, '<table>', '</table>']
-
-map.g =
-map.defs =
-map.symbol =
-map.use =
-map.image =
-map.text =
-map.circle =
-map.ellipse =
-map.line =
-map.path =
-map.polygon =
-map.polyline =
-map.rect = [
-  1,
-  '<svg ' +
-    'xmlns="http://www.w3.org/2000/svg" ' +
-    'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
-    'xmlns:ev="http://www.w3.org/2001/xml-events"' +
-    'version="1.1">',
-  '</svg>'
-]
-
 /**
  * Check if a node is a supported template node with a
  * DocumentFragment content.
@@ -75,80 +22,6 @@ function isRealTemplate (node) {
   return isTemplate(node) && isFragment(node.content)
 }
 
-const tagRE = /<([\w:-]+)/
-const entityRE = /&#?\w+?;/
-const commentRE = /<!--/
-
-/**
- * Convert a string template to a DocumentFragment.
- * Determines correct wrapping by tag types. Wrapping
- * strategy found in jQuery & component/domify.
- * 将html字符串转化为文档片段，并保存在缓存中
- *
- * @param {String} templateString
- * @param {Boolean} raw
- * @return {DocumentFragment}
- */
-
-function stringToFragment (templateString, raw) {
-  // try a cache hit first
-  var cacheKey = raw
-    ? templateString
-    : templateString.trim() //trim() 方法会从一个字符串的两端删除空白字符
-  var hit = templateCache.get(cacheKey)
-  if (hit) {
-    return hit
-  }
-  // 创建一个文档片段
-  var frag = document.createDocumentFragment()
-  // tagRE: /<([\w:-]+)/
-  // 匹配标签
-  // '<test v-if="ok"></test>'.match(/<([\w:-]+)/) => ["<test", "test", index: 0, input: "<test v-if="ok"></test>"]
-  var tagMatch = templateString.match(tagRE)
-  // entityRE: /&#?\w+?;/
-  var entityMatch = entityRE.test(templateString)
-  // commentRE: /<!--/ 
-  // 匹配注释
-  var commentMatch = commentRE.test(templateString) 
-
-  if (!tagMatch && !entityMatch && !commentMatch) {
-    // text only, return a single text node.
-    // 如果都没匹配到，创建一个文本节点添加到文档片段
-    frag.appendChild(
-      document.createTextNode(templateString)
-    )
-  } else {
-    var tag = tagMatch && tagMatch[1]
-    // map, 对标签进行修正；如是td标签，则返回"<table><tbody><tr>" + templateString +  "</tr></tbody></table>";
-    // map['td'] = [3, "<table><tbody><tr>", "</tr></tbody></table>"]
-    var wrap = map[tag] || map.efault
-    var depth = wrap[0]
-    var prefix = wrap[1]
-    var suffix = wrap[2]
-    var node = document.createElement('div')
-
-    node.innerHTML = prefix + templateString + suffix
-
-    while (depth--) {
-      node = node.lastChild
-    }
-
-    var child
-    document.body.appendChild(node);
-    /* eslint-disable no-cond-assign */
-    while (child = node.firstChild) {
-    /* eslint-enable no-cond-assign */
-      frag.appendChild(child)
-    }
-  }
-  if (!raw) {
-    // 移除文档中空文本节点及注释节点
-    trimNode(frag)
-  }
-  templateCache.put(cacheKey, frag)
-  return frag
-}
-
 /**
  * Convert a template node to a DocumentFragment.
  * 将元素节点转化为文档片段，但是不保存至缓存
@@ -227,6 +100,9 @@ export function cloneNode (node) {
   }
   var res = node.cloneNode(true)
   var i, original, cloned
+  if (process.env.NODE_ENV !== 'production') {
+    copyLocations(node, res)
+  }
   /* istanbul ignore if */
   if (hasBrokenTemplate) {
     var tempClone = res
@@ -264,6 +140,101 @@ export function cloneNode (node) {
   return res
 }
 
+/**
+ * Copy the recorded source locations to a cloned tree.
+ *
+ * @param {Node} node
+ * @param {Node} clone
+ */
+
+function copyLocations (node, clone) {
+  if (node.__v_loc) {
+    clone.__v_loc = node.__v_loc
+  }
+  if (isRealTemplate(node)) {
+    node = node.content
+    clone = clone.content
+  }
+  var child = node.firstChild
+  var clonedChild = clone.firstChild
+  while (child && clonedChild) {
+    if (child.nodeType === 1) {
+      copyLocations(child, clonedChild)
+    }
+    child = child.nextSibling
+    clonedChild = clonedChild.nextSibling
+  }
+}
+
+/**
+ * Get the location of an element, or of one of its
+ * attributes, in the template string it was parsed from.
+ * Only available in dev mode.
+ *
+ * @param {Node} el
+ * @param {String} [attr]
+ * @return {Object|null} - { source, start, end }
+ */
+
+export function getLocation (el, attr) {
+  var loc = el && el.__v_loc
+  if (!loc) {
+    return null
+  }
+  return attr
+    ? loc.attrs[attr.toLowerCase()] || null
+    : loc.loc
+}
+
+/**
+ * Check if a template option is the output of the template
+ * precompiler.
+ *
+ * @param {*} template
+ * @return {Boolean}
+ */
+
+export function isPrecompiled (template) {
+  return !!(template && template.tree && template.linker)
+}
+
+/**
+ * Build a DocumentFragment from the serialized node tree of
+ * a precompiled template. Text nodes are stored as strings,
+ * comments as { comment } and elements as
+ * { tag, attrs, children }.
+ *
+ * @param {Array} tree
+ * @return {DocumentFragment}
+ */
+
+function treeToFragment (tree) {
+  var frag = document.createDocumentFragment()
+  appendTree(frag, tree)
+  return frag
+}
+
+function appendTree (parent, nodes) {
+  var node, el, i, l, j, k
+  for (i = 0, l = nodes.length; i < l; i++) {
+    node = nodes[i]
+    if (typeof node === 'string') {
+      parent.appendChild(document.createTextNode(node))
+    } else if (node.comment != null) {
+      parent.appendChild(document.createComment(node.comment))
+    } else {
+      el = node.ns
+        ? document.createElementNS(node.ns, node.tag)
+        : document.createElement(node.tag)
+      for (j = 0, k = node.attrs.length; j < k; j++) {
+        el.setAttribute(node.attrs[j][0], node.attrs[j][1])
+      }
+      appendTree(isRealTemplate(el) ? el.content : el, node.children)
+      parent.appendChild(el)
+    }
+  }
+}
+
 /**
  * Process the template option and normalizes it into a
  * a DocumentFragment that can be used as a partial or a
@@ -275,6 +246,7 @@ export function cloneNode (node) {
  *        - Node object of type Template
  *        - id selector: '#some-template-id'
  *        - template string: '<div><span>{{msg}}</span></div>'
+ *        - precompiled template object
  * @param {Boolean} shouldClone
  * @param {Boolean} raw
  *        inline HTML interpolation. Do not check for id
@@ -300,7 +272,7 @@ export function parseTemplate (template, shouldClone, raw) {
     if (!raw && template.charAt(0) === '#') {
       // id selector can be cached too
       frag = idSelectorCache.get(template)
-      if (!frag) {
+      if (!frag || frag.ownerDocument !== document) {
         node = document.getElementById(template.slice(1))
         if (node) {
           frag = nodeToFragment(node)
@@ -315,6 +287,9 @@ export function parseTemplate (template, shouldClone, raw) {
   } else if (template.nodeType) {
     // a direct node
     frag = nodeToFragment(template)
+  } else if (isPrecompiled(template)) {
+    frag = template._fragment ||
+      (template._fragment = treeToFragment(template.tree))
   }
 
   return frag && shouldClone
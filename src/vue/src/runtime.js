@@ -0,0 +1,17 @@
+import Vue from './index'
+
+// Entry of the runtime-only build, see
+// build/webpack.runtime.conf.js. It links templates compiled
+// ahead of time by server/precompile.js: the build swaps the
+// template string parser (parsers/template-string.js) and the
+// expression code generator (parsers/codegen.js) for the
+// `.runtime.js` modules next to them, so it never parses
+// template strings nor calls `new Function`, and can run
+// under a Content Security Policy without unsafe-eval.
+//
+// Precompiled templates are linked without compiling them,
+// but the directive compiler is still bundled: slot content,
+// partials and the attributes of component elements are
+// compiled against the nodes already in the page.
+
+export default Vue
@@ -0,0 +1,669 @@
+import { parseHTML, voidTagRE } from './html-parser'
+import { camelize, hyphenate, hasOwn } from '../util/index'
+
+/**
+ * A lightweight, DOM-like node tree used when rendering on
+ * the server. It only implements the subset of the DOM API
+ * that the compiler, the directives and the instance DOM
+ * methods rely on, so that the regular compile/link
+ * pipeline can run in plain Node without a real document.
+ */
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const COMMENT_NODE = 8
+const DOCUMENT_NODE = 9
+const DOCUMENT_FRAGMENT_NODE = 11
+
+const vendorPrefixRE = /^(Webkit|Moz|ms)[A-Z]/
+
+/**
+ * Base node.
+ *
+ * @param {Number} nodeType
+ * @param {Document} ownerDocument
+ * @constructor
+ */
+
+export function Node (nodeType, ownerDocument) {
+  this.nodeType = nodeType
+  this.ownerDocument = ownerDocument
+  this.parentNode = null
+  this.childNodes = []
+}
+
+var p = Node.prototype
+
+Object.defineProperties(p, {
+  firstChild: {
+    get () {
+      return this.childNodes[0] || null
+    }
+  },
+  lastChild: {
+    get () {
+      return this.childNodes[this.childNodes.length - 1] || null
+    }
+  },
+  nextSibling: {
+    get () {
+      return sibling(this, 1)
+    }
+  },
+  previousSibling: {
+    get () {
+      return sibling(this, -1)
+    }
+  },
+  nextElementSibling: {
+    get () {
+      var node = this.nextSibling
+      while (node && node.nodeType !== ELEMENT_NODE) {
+        node = node.nextSibling
+      }
+      return node
+    }
+  },
+  previousElementSibling: {
+    get () {
+      var node = this.previousSibling
+      while (node && node.nodeType !== ELEMENT_NODE) {
+        node = node.previousSibling
+      }
+      return node
+    }
+  },
+  children: {
+    get () {
+      return this.childNodes.filter(isElement)
+    }
+  },
+  textContent: {
+    get () {
+      if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) {
+        return this.data
+      }
+      return this.childNodes.map(function (child) {
+        return child.nodeType === COMMENT_NODE
+          ? ''
+          : child.textContent
+      }).join('')
+    },
+    set (text) {
+      if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) {
+        this.data = text
+        return
+      }
+      this.childNodes.slice().forEach(this.removeChild, this)
+      if (text !== '') {
+        this.appendChild(this.ownerDocument.createTextNode(text))
+      }
+    }
+  }
+})
+
+p.hasChildNodes = function () {
+  return this.childNodes.length > 0
+}
+
+p.appendChild = function (child) {
+  return this.insertBefore(child, null)
+}
+
+p.insertBefore = function (child, ref) {
+  if (child.nodeType === DOCUMENT_FRAGMENT_NODE) {
+    var nodes = child.childNodes.slice()
+    for (var i = 0, l = nodes.length; i < l; i++) {
+      this.insertBefore(nodes[i], ref)
+    }
+    return child
+  }
+  if (child.parentNode) {
+    child.parentNode.removeChild(child)
+  }
+  var index = ref
+    ? this.childNodes.indexOf(ref)
+    : -1
+  if (index < 0) {
+    this.childNodes.push(child)
+  } else {
+    this.childNodes.splice(index, 0, child)
+  }
+  child.parentNode = this
+  return child
+}
+
+p.removeChild = function (child) {
+  var index = this.childNodes.indexOf(child)
+  if (index > -1) {
+    this.childNodes.splice(index, 1)
+    child.parentNode = null
+  }
+  return child
+}
+
+p.replaceChild = function (child, old) {
+  this.insertBefore(child, old)
+  return this.removeChild(old)
+}
+
+p.contains = function (node) {
+  while (node) {
+    if (node === this) return true
+    node = node.parentNode
+  }
+  return false
+}
+
+p.cloneNode = function (deep) {
+  var clone = this._cloneSelf()
+  if (deep) {
+    for (var i = 0, l = this.childNodes.length; i < l; i++) {
+      clone.appendChild(this.childNodes[i].cloneNode(true))
+    }
+  }
+  return clone
+}
+
+p._cloneSelf = function () {
+  return new Node(this.nodeType, this.ownerDocument)
+}
+
+p.querySelectorAll = function (selector) {
+  var res = []
+  var tag = selector.toUpperCase()
+  walk(this, function (node) {
+    if (node.tagName === tag) res.push(node)
+  })
+  return res
+}
+
+p.querySelector = function (selector) {
+  var id = selector.charAt(0) === '#' && selector.slice(1)
+  var tag = !id && selector.toUpperCase()
+  var found = null
+  walk(this, function (node) {
+    if (!found && (id ? node.getAttribute('id') === id : node.tagName === tag)) {
+      found = node
+    }
+  })
+  return found
+}
+
+// event listeners have no meaning on the server.
+p.addEventListener = p.removeEventListener = function () {}
+
+/**
+ * Text node.
+ *
+ * @param {String} data
+ * @param {Document} ownerDocument
+ * @constructor
+ */
+
+export function Text (data, ownerDocument) {
+  Node.call(this, TEXT_NODE, ownerDocument)
+  this.data = data
+}
+
+Text.prototype = Object.create(p)
+Text.prototype.constructor = Text
+
+Object.defineProperty(Text.prototype, 'wholeText', {
+  get () {
+    var node = this
+    while (node.previousSibling && node.previousSibling.nodeType === TEXT_NODE) {
+      node = node.previousSibling
+    }
+    var text = ''
+    while (node && node.nodeType === TEXT_NODE) {
+      text += node.data
+      node = node.nextSibling
+    }
+    return text
+  }
+})
+
+Text.prototype._cloneSelf = function () {
+  return new Text(this.data, this.ownerDocument)
+}
+
+/**
+ * Comment node.
+ *
+ * @param {String} data
+ * @param {Document} ownerDocument
+ * @constructor
+ */
+
+export function Comment (data, ownerDocument) {
+  Node.call(this, COMMENT_NODE, ownerDocument)
+  this.data = data
+}
+
+Comment.prototype = Object.create(p)
+Comment.prototype.constructor = Comment
+
+Comment.prototype._cloneSelf = function () {
+  return new Comment(this.data, this.ownerDocument)
+}
+
+/**
+ * Document fragment.
+ *
+ * @param {Document} ownerDocument
+ * @constructor
+ */
+
+export function DocumentFragment (ownerDocument) {
+  Node.call(this, DOCUMENT_FRAGMENT_NODE, ownerDocument)
+}
+
+DocumentFragment.prototype = Object.create(p)
+DocumentFragment.prototype.constructor = DocumentFragment
+
+DocumentFragment.prototype._cloneSelf = function () {
+  return new DocumentFragment(this.ownerDocument)
+}
+
+/**
+ * Element node. Attributes are kept as an ordered list of
+ * { name, value } pairs, which is all the compiler needs
+ * from a NamedNodeMap.
+ *
+ * @param {String} tag
+ * @param {Document} ownerDocument
+ * @constructor
+ */
+
+export function Element (tag, ownerDocument) {
+  Node.call(this, ELEMENT_NODE, ownerDocument)
+  this.tagName = tag.toUpperCase()
+  this.attributes = []
+  this.style = createStyle()
+}
+
+var ep = Element.prototype = Object.create(p)
+ep.constructor = Element
+
+ep.getAttribute = function (name) {
+  if (name === 'style') {
+    return this.style.cssText || null
+  }
+  var attr = findAttr(this, name)
+  return attr ? attr.value : null
+}
+
+ep.setAttribute = function (name, value) {
+  name = name.toLowerCase()
+  value = String(value)
+  if (name === 'style') {
+    this.style.cssText = value
+  }
+  var attr = findAttr(this, name)
+  if (attr) {
+    attr.value = value
+  } else {
+    this.attributes.push({ name: name, value: value })
+  }
+}
+
+ep.setAttributeNS = function (ns, name, value) {
+  this.setAttribute(name, value)
+}
+
+ep.removeAttribute = function (name) {
+  var attr = findAttr(this, name)
+  if (attr) {
+    this.attributes.splice(this.attributes.indexOf(attr), 1)
+  }
+  if (name === 'style') {
+    this.style.cssText = ''
+  }
+}
+
+ep.hasAttribute = function (name) {
+  return this.getAttribute(name) !== null
+}
+
+ep.hasAttributes = function () {
+  return this.attributes.length > 0
+}
+
+ep._cloneSelf = function () {
+  var clone = new Element(this.tagName, this.ownerDocument)
+  for (var i = 0, l = this.attributes.length; i < l; i++) {
+    clone.setAttribute(this.attributes[i].name, this.attributes[i].value)
+  }
+  clone.style.cssText = this.style.cssText
+  if (hasOwn(this, '_value')) clone._value = this._value
+  return clone
+}
+
+Object.defineProperties(ep, {
+  className: {
+    get () {
+      return this.getAttribute('class') || ''
+    },
+    set (cls) {
+      this.setAttribute('class', cls)
+    }
+  },
+  id: {
+    get () {
+      return this.getAttribute('id') || ''
+    }
+  },
+  type: {
+    get () {
+      return (this.getAttribute('type') || 'text').toLowerCase()
+    }
+  },
+  // form state lives on properties rather than attributes
+  // in a real DOM, so mirror that here and let the
+  // serializer reflect it back into markup.
+  value: {
+    get () {
+      if (hasOwn(this, '_value')) return this._value
+      return this.tagName === 'TEXTAREA'
+        ? this.textContent
+        : this.getAttribute('value') || ''
+    },
+    set (value) {
+      this._value = value == null ? '' : String(value)
+    }
+  },
+  options: {
+    get () {
+      return this.querySelectorAll('option')
+    }
+  },
+  innerHTML: {
+    get () {
+      return serializeChildren(this)
+    },
+    set (html) {
+      this.childNodes.slice().forEach(this.removeChild, this)
+      parseHTML(String(html), this, this.ownerDocument)
+    }
+  },
+  outerHTML: {
+    get () {
+      return serialize(this)
+    }
+  }
+})
+
+/**
+ * Document, acting as the node factory.
+ *
+ * @constructor
+ */
+
+export function Document () {
+  Node.call(this, DOCUMENT_NODE, null)
+  this.hidden = false
+  this.documentElement = this.createElement('html')
+  this.body = this.createElement('body')
+  this.documentElement.appendChild(this.body)
+  this.appendChild(this.documentElement)
+}
+
+var dp = Document.prototype = Object.create(p)
+dp.constructor = Document
+
+dp.createElement = function (tag) {
+  return new Element(tag, this)
+}
+
+dp.createTextNode = function (data) {
+  return new Text(String(data), this)
+}
+
+dp.createComment = function (data) {
+  return new Comment(String(data), this)
+}
+
+dp.createDocumentFragment = function () {
+  return new DocumentFragment(this)
+}
+
+dp.getElementById = function (id) {
+  return this.querySelector('#' + id)
+}
+
+/**
+ * Run a function with a fresh document installed as the
+ * global `document`, which is what the rest of the code
+ * base creates nodes with. The previous global is restored
+ * afterwards.
+ *
+ * @param {Function} fn
+ * @return {*} - the return value of fn
+ */
+
+export function withDocument (fn) {
+  var hadDocument = 'document' in global
+  var prevDocument = global.document
+  global.document = new Document()
+  try {
+    return fn()
+  } finally {
+    if (hadDocument) {
+      global.document = prevDocument
+    } else {
+      delete global.document
+    }
+  }
+}
+
+/**
+ * Content of these elements is never escaped.
+ */
+
+export const rawTextTagRE = /^(?:script|style)$/i
+
+/**
+ * Serialize a node (and its subtree) into an HTML string.
+ *
+ * @param {Node} node
+ * @return {String}
+ */
+
+export function serialize (node) {
+  switch (node.nodeType) {
+    case TEXT_NODE:
+      return node.parentNode && rawTextTagRE.test(node.parentNode.tagName)
+        ? node.data
+        : escapeHTML(node.data)
+    case COMMENT_NODE:
+      // anchors only render as comments in debug mode, and
+      // are recreated by the directives when hydrating.
+      return node.__v_anchor ? '' : '<!--' + node.data + '-->'
+    case ELEMENT_NODE:
+      return serializeElement(node)
+    default:
+      return serializeChildren(node)
+  }
+}
+
+/**
+ * Serialize the child nodes of a node.
+ *
+ * @param {Node} node
+ * @return {String}
+ */
+
+export function serializeChildren (node) {
+  var html = ''
+  for (var i = 0, l = node.childNodes.length; i < l; i++) {
+    html += serialize(node.childNodes[i])
+  }
+  return html
+}
+
+/**
+ * Serialize an element, reflecting the style object and
+ * form control properties back into attributes.
+ *
+ * @param {Element} el
+ * @return {String}
+ */
+
+function serializeElement (el) {
+  var tag = el.tagName.toLowerCase()
+  var html = '<' + tag
+  var attrs = el.attributes
+  var i, l, name
+  for (i = 0, l = attrs.length; i < l; i++) {
+    name = attrs[i].name
+    if (
+      name === 'style' ||
+      (name === 'value' && hasOwn(el, '_value')) ||
+      (name === 'checked' && hasOwn(el, 'checked')) ||
+      (name === 'selected' && hasOwn(el, 'selected'))
+    ) {
+      continue
+    }
+    html += serializeAttr(name, attrs[i].value)
+  }
+  var style = el.style.cssText
+  if (style) {
+    html += serializeAttr('style', style)
+  }
+  if (tag === 'input' && hasOwn(el, '_value')) {
+    html += serializeAttr('value', el._value)
+  }
+  if (el.checked && tag === 'input') {
+    html += ' checked'
+  }
+  if (el.selected && tag === 'option') {
+    html += ' selected'
+  }
+  html += '>'
+  if (voidTagRE.test(tag)) {
+    return html
+  }
+  if (tag === 'textarea' && hasOwn(el, '_value')) {
+    html += escapeHTML(el._value)
+  } else {
+    html += serializeChildren(el)
+  }
+  return html + '</' + tag + '>'
+}
+
+function serializeAttr (name, value) {
+  return value === ''
+    ? ' ' + name
+    : ' ' + name + '="' + escapeAttr(value) + '"'
+}
+
+/**
+ * Create an object that behaves closely enough to a
+ * CSSStyleDeclaration: camelCase property access, the
+ * `in` operator used for vendor prefix detection,
+ * setProperty/removeProperty and a cssText accessor.
+ *
+ * @return {Object}
+ */
+
+function createStyle () {
+  var props = Object.create(null)
+  var priorities = Object.create(null)
+  var api = {
+    setProperty (name, value, priority) {
+      name = camelize(name)
+      if (value) {
+        props[name] = String(value)
+        priorities[name] = priority || ''
+      } else {
+        delete props[name]
+      }
+    },
+    removeProperty (name) {
+      delete props[camelize(name)]
+    },
+    getPropertyValue (name) {
+      return props[camelize(name)] || ''
+    }
+  }
+  return new Proxy(props, {
+    has (target, key) {
+      return typeof key === 'string' && !vendorPrefixRE.test(key)
+    },
+    get (target, key) {
+      if (key === 'cssText') {
+        return Object.keys(props).map(function (name) {
+          return hyphenate(name).replace(/^(webkit|moz|ms)-/, '-$1-') +
+            ': ' + props[name] +
+            (priorities[name] ? ' !' + priorities[name] : '') + ';'
+        }).join(' ')
+      }
+      if (api[key]) return api[key]
+      return typeof key === 'string'
+        ? props[key] || ''
+        : undefined
+    },
+    set (target, key, value) {
+      if (key === 'cssText') {
+        Object.keys(props).forEach(function (name) {
+          delete props[name]
+        })
+        String(value).split(';').forEach(function (decl) {
+          var i = decl.indexOf(':')
+          if (i > 0) {
+            api.setProperty(decl.slice(0, i).trim(), decl.slice(i + 1).trim())
+          }
+        })
+      } else {
+        api.setProperty(key, value)
+      }
+      return true
+    }
+  })
+}
+
+// helpers
+
+function sibling (node, offset) {
+  var parent = node.parentNode
+  if (!parent) return null
+  return parent.childNodes[parent.childNodes.indexOf(node) + offset] || null
+}
+
+function isElement (node) {
+  return node.nodeType === ELEMENT_NODE
+}
+
+function findAttr (el, name) {
+  name = name.toLowerCase()
+  for (var i = 0, l = el.attributes.length; i < l; i++) {
+    if (el.attributes[i].name === name) {
+      return el.attributes[i]
+    }
+  }
+}
+
+function walk (node, fn) {
+  for (var i = 0, l = node.childNodes.length; i < l; i++) {
+    var child = node.childNodes[i]
+    if (child.nodeType === ELEMENT_NODE) {
+      fn(child)
+      walk(child, fn)
+    }
+  }
+}
+
+function escapeHTML (str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;')
+}
+
+function escapeAttr (str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+}
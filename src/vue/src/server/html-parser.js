@@ -0,0 +1,167 @@
+/**
+ * A small, forgiving HTML parser that builds nodes of the
+ * server-side document. It understands the subset of HTML
+ * that shows up in component templates: elements,
+ * attributes (including Vue's `:`/`@`/`.` syntax), text,
+ * comments, void and raw text elements.
+ */
+
+const startTagRE = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/
+const endTagRE = /^<\/([a-zA-Z][\w:-]*)[^>]*>/
+const attrRE = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+const entityRE = /&(#x[\da-f]+|#\d+|[a-z]+);/gi
+
+/**
+ * Void elements never have a closing tag.
+ */
+
+export const voidTagRE = /^(?:area|base|br|col|embed|hr|img|input|keygen|link|meta|param|source|track|wbr)$/i
+
+// elements whose content is not parsed as markup
+const rawTextTagRE = /^(?:script|style|textarea|title)$/i
+
+const namedEntities = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0'
+}
+
+/**
+ * Parse an HTML string and append the resulting nodes to
+ * the given parent.
+ *
+ * @param {String} html
+ * @param {Node} parent
+ * @param {Document} doc
+ * @return {Node} parent
+ */
+
+export function parseHTML (html, parent, doc) {
+  var stack = [parent]
+  var current = parent
+  var index, match, el, tag, end
+  while (html) {
+    index = html.indexOf('<')
+    if (index === 0) {
+      // comment
+      if (html.indexOf('<!--') === 0) {
+        end = html.indexOf('-->', 4)
+        end = end < 0 ? html.length : end
+        current.appendChild(doc.createComment(html.slice(4, end)))
+        html = html.slice(end + 3)
+        continue
+      }
+      // doctype & processing instructions are dropped
+      if (/^<[!?]/.test(html)) {
+        end = html.indexOf('>')
+        html = end < 0 ? '' : html.slice(end + 1)
+        continue
+      }
+      // end tag
+      if ((match = html.match(endTagRE))) {
+        html = html.slice(match[0].length)
+        closeTag(match[1].toUpperCase())
+        continue
+      }
+      // start tag
+      if ((match = html.match(startTagRE))) {
+        html = html.slice(match[0].length)
+        tag = match[1]
+        el = doc.createElement(tag)
+        parseAttrs(el, match[2])
+        current.appendChild(el)
+        if (rawTextTagRE.test(tag)) {
+          end = html.search(new RegExp('</' + tag + '\\s*>', 'i'))
+          end = end < 0 ? html.length : end
+          if (end > 0) {
+            var text = html.slice(0, end)
+            el.appendChild(doc.createTextNode(
+              /^(?:textarea|title)$/i.test(tag) ? decodeEntities(text) : text
+            ))
+          }
+          html = html.slice(end).replace(/^<\/[^>]*>/, '')
+        } else if (!match[3] && !voidTagRE.test(tag)) {
+          stack.push(el)
+          current = el
+        }
+        continue
+      }
+    }
+    // text, up to the next tag (a stray "<" is kept as text)
+    if (index < 0) {
+      index = html.length
+    } else if (index === 0) {
+      index = html.indexOf('<', 1)
+      if (index < 0) index = html.length
+    }
+    current.appendChild(doc.createTextNode(decodeEntities(html.slice(0, index))))
+    html = html.slice(index)
+  }
+
+  /**
+   * Close the nearest open element with the given tag,
+   * implicitly closing anything opened after it. Stray
+   * end tags are ignored.
+   *
+   * @param {String} tag
+   */
+
+  function closeTag (tag) {
+    var i = stack.length
+    while (--i > 0) {
+      if (stack[i].tagName === tag) {
+        stack.length = i
+        current = stack[i - 1]
+        return
+      }
+    }
+  }
+
+  return parent
+}
+
+/**
+ * Parse the raw attribute string of a start tag.
+ *
+ * @param {Element} el
+ * @param {String} str
+ */
+
+function parseAttrs (el, str) {
+  var match, value
+  attrRE.lastIndex = 0
+  while ((match = attrRE.exec(str))) {
+    value = match[2] != null
+      ? match[2]
+      : match[3] != null
+        ? match[3]
+        : match[4] != null
+          ? match[4]
+          : ''
+    el.setAttribute(match[1], decodeEntities(value))
+  }
+}
+
+/**
+ * Decode HTML entities the way a browser would when
+ * building the DOM.
+ *
+ * @param {String} str
+ * @return {String}
+ */
+
+function decodeEntities (str) {
+  return str.replace(entityRE, function (entity, code) {
+    if (code.charAt(0) === '#') {
+      var num = code.charAt(1).toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10)
+      return String.fromCharCode(num)
+    }
+    var named = namedEntities[code.toLowerCase()]
+    return named != null ? named : entity
+  })
+}
@@ -0,0 +1,2 @@
+export * from './render'
+export * from './precompile'
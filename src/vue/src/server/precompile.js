@@ -0,0 +1,394 @@
+import Vue from '../index'
+import FragmentFactory from '../fragment/factory'
+import publicDirectives from '../directives/public/index'
+import internalDirectives from '../directives/internal/index'
+import { compile } from '../compiler/index'
+import { walkTemplate, dirAttrRE, modifierRE } from '../compiler/walk'
+import { parseTemplate, cloneNode } from '../parsers/template'
+import { tokensToExp } from '../parsers/text'
+import { parseDirective } from '../parsers/directive'
+import { getterBody } from '../parsers/expression'
+import { withDocument } from './dom'
+import {
+  warn,
+  toArray,
+  getAttr,
+  mergeOptions,
+  resolveAsset,
+  reservedTagRE,
+  htmlTagRE
+} from '../util/index'
+
+const svgNS = 'http://www.w3.org/2000/svg'
+
+/**
+ * Compile a template ahead of time into the source of a
+ * CommonJS module that can be used as the `template` option
+ * of a component:
+ *
+ *   module.exports = {
+ *     tree: [...],        // the nodes of the template
+ *     linker: {...},      // the compiled linker
+ *     expressions: {...}  // getters for its expressions
+ *   }
+ *
+ * Instances using it skip template parsing, compilation and
+ * expression code generation altogether, which is what makes
+ * it usable with the runtime-only build.
+ *
+ * Components and custom directives used in the template do
+ * not need to be registered: they are resolved by name when
+ * the template is linked. Custom terminal directives and
+ * element directives have to be passed in through the
+ * options though, so that the compiler knows to treat them
+ * as such.
+ *
+ * @param {String} template
+ * @param {Object} [options]
+ * @return {String}
+ * @public
+ */
+
+export function precompile (template, options) {
+  return withDocument(function () {
+    options = mergeOptions(Vue.options, options || {})
+    var frag = parseTemplate(template, true)
+    if (!frag) {
+      throw new Error('Invalid template: ' + template)
+    }
+    var expressions = collectExpressions(frag, [])
+    stubAssets(frag, options)
+    var linker = compile(frag, options, true)
+    var res = {
+      tree: serializeTree(frag.childNodes),
+      linker: serializeLinker(linker.spec, frag, options)
+    }
+    return 'module.exports = {\n' +
+      '  tree: ' + JSON.stringify(res.tree) + ',\n' +
+      '  linker: ' + JSON.stringify(res.linker) + ',\n' +
+      '  expressions: {\n' + generateGetters(expressions) + '\n  }\n' +
+      '}\n'
+  })
+}
+
+/**
+ * Register placeholder definitions for the components and
+ * directives found in the template so that the compiler
+ * recognizes them.
+ *
+ * @param {Node} node
+ * @param {Object} options
+ */
+
+function stubAssets (node, options) {
+  // everything else found in a template is assumed to be a
+  // component, since the actual components are only known
+  // once the template is used.
+  var tag = node.tagName && node.tagName.toLowerCase()
+  if (tag &&
+      !htmlTagRE.test(tag) &&
+      !reservedTagRE.test(tag) &&
+      !resolveAsset(options, 'elementDirectives', tag) &&
+      !resolveAsset(options, 'components', tag)) {
+    options.components[tag] = {}
+  }
+  if (node.nodeType === 1 && node.hasAttributes()) {
+    var attrs = node.attributes
+    var matched
+    for (var i = 0, l = attrs.length; i < l; i++) {
+      matched = attrs[i].name.replace(modifierRE, '').match(dirAttrRE)
+      if (matched && !resolveAsset(options, 'directives', matched[1])) {
+        options.directives[matched[1]] = {}
+      }
+    }
+  }
+  var children = node.childNodes
+  for (var j = 0, k = children.length; j < k; j++) {
+    stubAssets(children[j], options)
+  }
+}
+
+/**
+ * Serialize a node list into the tree format understood by
+ * parseTemplate().
+ *
+ * @param {NodeList} nodes
+ * @param {Boolean} [inSvg]
+ * @return {Array}
+ */
+
+function serializeTree (nodes, inSvg) {
+  var res = []
+  var node, tag, svg, attrs
+  for (var i = 0, l = nodes.length; i < l; i++) {
+    node = nodes[i]
+    if (node.nodeType === 3) {
+      res.push(node.data)
+    } else if (node.nodeType === 8) {
+      res.push({ comment: node.data })
+    } else if (node.nodeType === 1) {
+      tag = node.tagName.toLowerCase()
+      svg = inSvg || tag === 'svg'
+      attrs = toArray(node.attributes).map(function (attr) {
+        return [normalizeAttr(attr.name), attr.value]
+      })
+      res.push({
+        tag: tag,
+        ns: svg ? svgNS : undefined,
+        attrs: attrs,
+        children: serializeTree(node.childNodes, svg)
+      })
+    }
+  }
+  return res
+}
+
+/**
+ * Spell `@` event shorthands out, since the tree is rebuilt
+ * with setAttribute(), which rejects such names.
+ *
+ * @param {String} name
+ * @return {String}
+ */
+
+function normalizeAttr (name) {
+  return name.charAt(0) === '@'
+    ? 'v-on:' + name.slice(1)
+    : name
+}
+
+/**
+ * Serialize the spec of a composite linker, walking the
+ * nodes it was compiled from alongside it.
+ *
+ * @param {Object} spec
+ * @param {Node} node
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function serializeLinker (spec, node, options) {
+  return {
+    node: serializeNodeSpec(spec.node, node, options),
+    children: serializeChildSpecs(spec.children, node.childNodes, options)
+  }
+}
+
+function serializeChildSpecs (specs, nodes, options) {
+  if (!specs) {
+    return null
+  }
+  var res = []
+  for (var i = 0, n = 0, l = specs.length; i < l; n++) {
+    res.push(
+      serializeNodeSpec(specs[i++], nodes[n], options),
+      serializeChildSpecs(specs[i++], nodes[n].childNodes, options)
+    )
+  }
+  return res
+}
+
+function serializeNodeSpec (spec, node, options) {
+  if (!spec) {
+    return null
+  }
+  if (spec.text) {
+    return {
+      text: spec.text.map(function (token) {
+        var res = extendToken(token)
+        if (token.descriptor) {
+          res.descriptor = serializeDescriptor(token.descriptor, options)
+        }
+        return res
+      })
+    }
+  }
+  if (spec.dirs) {
+    return {
+      dirs: spec.dirs.map(function (dir) {
+        return serializeDescriptor(dir, options)
+      })
+    }
+  }
+  if (spec.terminal) {
+    var descriptor = serializeDescriptor(spec.terminal, options)
+    var name = descriptor.name
+    if (name === 'if' || name === 'for') {
+      descriptor.linker = compileBlock(node, descriptor.attr, options)
+      var next = node.nextElementSibling
+      if (name === 'if' && next && next.hasAttribute('v-else-if')) {
+        descriptor.elseIfLinkers = []
+        do {
+          descriptor.elseIfLinkers.push(compileBlock(next, 'v-else-if', options))
+          next = next.nextElementSibling
+        } while (next && next.hasAttribute('v-else-if'))
+      }
+      if (next && next.hasAttribute('v-else')) {
+        descriptor.elseLinker = compileBlock(next, 'v-else', options)
+      }
+    }
+    return { terminal: descriptor }
+  }
+  return spec
+}
+
+function extendToken (token) {
+  var res = {}
+  for (var key in token) {
+    if (key !== 'descriptor') res[key] = token[key]
+  }
+  return res
+}
+
+/**
+ * Replace the definition of a directive descriptor with
+ * where to find it again at runtime.
+ *
+ * @param {Object} descriptor
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function serializeDescriptor (descriptor, options) {
+  var res = {}
+  for (var key in descriptor) {
+    res[key] = descriptor[key]
+  }
+  if (res.attr) {
+    res.attr = normalizeAttr(res.attr)
+  }
+  var name = descriptor.name
+  var def = descriptor.def
+  res.def = def === publicDirectives[name]
+    ? 'public'
+    : def === internalDirectives[name]
+      ? 'internal'
+      : def === resolveAsset(options, 'elementDirectives', name)
+        ? 'elementDirectives'
+        : 'directives'
+  return res
+}
+
+/**
+ * Compile the block rendered by a v-if branch or v-for the
+ * same way its FragmentFactory would at runtime.
+ *
+ * @param {Element} el
+ * @param {String} attr - the directive attribute, which
+ *                        is gone by the time it binds
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function compileBlock (el, attr, options) {
+  el = cloneNode(el)
+  getAttr(el, attr)
+  var factory = new FragmentFactory({
+    constructor: { cid: 0 },
+    $options: options
+  }, el)
+  return serializeLinker(factory.linker.spec, factory.template, options)
+}
+
+/**
+ * Collect every expression the template may evaluate.
+ *
+ * @param {Node} node
+ * @param {Array} exps
+ * @return {Array}
+ */
+
+function collectExpressions (node, exps) {
+  walkTemplate(node, {
+    tokens: function (tokens, el, attr) {
+      // interpolated attributes are evaluated as a whole,
+      // text nodes token by token
+      collectTokens(tokens, exps, attr !== null)
+    },
+    forExp: function (exp, filters) {
+      if (exp !== null) {
+        exps.push(exp)
+        collectFilterArgs(filters, exps)
+      }
+    },
+    expression: function (value) {
+      collectDirective(value, exps)
+    },
+    directive: function (name, value) {
+      if (value !== null) collectDirective(value, exps)
+    }
+  })
+  return exps
+}
+
+function collectTokens (tokens, exps, asOne) {
+  var oneTime = false
+  for (var i = 0, l = tokens.length; i < l; i++) {
+    if (tokens[i].tag) {
+      collectDirective(tokens[i].value, exps)
+      oneTime = oneTime || tokens[i].oneTime
+    }
+  }
+  // interpolated attributes are watched as one expression,
+  // unless one-time tokens get inlined into it at bind time
+  if (asOne && !oneTime) {
+    exps.push(tokensToExp(tokens))
+  }
+}
+
+function collectDirective (value, exps) {
+  var parsed = parseDirective(value)
+  if (parsed.expression) {
+    exps.push(parsed.expression)
+  }
+  collectFilterArgs(parsed.filters, exps)
+}
+
+function collectFilterArgs (filters, exps) {
+  if (filters) {
+    filters.forEach(function (filter) {
+      if (filter.args) {
+        filter.args.forEach(function (arg) {
+          if (arg.dynamic) exps.push(arg.value)
+        })
+      }
+    })
+  }
+}
+
+/**
+ * Generate the getter functions of the expressions.
+ * Expressions that do not compile are left out and will
+ * warn at runtime like they normally do.
+ *
+ * @param {Array} exps
+ * @return {String}
+ */
+
+function generateGetters (exps) {
+  var seen = Object.create(null)
+  var getters = []
+  var exp, body
+  for (var i = 0, l = exps.length; i < l; i++) {
+    exp = exps[i].trim()
+    if (!exp || seen[exp]) continue
+    seen[exp] = true
+    body = getterBody(exp)
+    try {
+      /* eslint-disable no-new-func */
+      new Function('scope', 'return ' + body + ';')
+      /* eslint-enable no-new-func */
+    } catch (e) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Invalid expression in template: ' + exp
+      )
+      continue
+    }
+    getters.push(
+      '    ' + JSON.stringify(exp) + ': function (scope) {\n' +
+      '      return ' + body + ';\n' +
+      '    }'
+    )
+  }
+  return getters.join(',\n')
+}
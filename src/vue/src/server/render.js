@@ -0,0 +1,72 @@
+import { withDocument, serialize } from './dom'
+import config from '../config'
+import { warn } from '../util/index'
+
+/**
+ * Render a Vue instance to an HTML string without a
+ * browser DOM.
+ *
+ * The instance is compiled and linked exactly like it
+ * would be in the browser, except that the nodes are
+ * created by a lightweight server-side document that is
+ * installed as the global `document` for the duration of
+ * the render. Because the rendered tree is never attached,
+ * `attached`/`ready` hooks are not called and transitions
+ * are skipped.
+ *
+ * The root element is marked with a `server-rendered`
+ * attribute so that the markup can later be hydrated with
+ * `$mount(el, { hydrate: true })`.
+ *
+ * The instance must not be mounted yet, i.e. it should be
+ * created without the `el` option.
+ *
+ * @param {Vue} vm
+ * @return {String}
+ * @public
+ */
+
+export function renderToString (vm) {
+  return withDocument(function () {
+    config._isServer = true
+    try {
+      if (vm.$el) {
+        process.env.NODE_ENV !== 'production' && warn(
+          'renderToString() expects an instance that has not ' +
+          'been mounted yet. Create it without the "el" option.',
+          vm
+        )
+      } else {
+        vm.$mount()
+        if (!vm._isFragment) {
+          vm.$el.setAttribute('server-rendered', 'true')
+        }
+      }
+      return serializeInstance(vm)
+    } finally {
+      config._isServer = false
+    }
+  })
+}
+
+/**
+ * Serialize the DOM of an instance. Fragment instances
+ * serialize every node between their start/end anchors.
+ *
+ * @param {Vue} vm
+ * @return {String}
+ */
+
+function serializeInstance (vm) {
+  if (!vm._isFragment) {
+    return serialize(vm.$el)
+  }
+  var html = ''
+  var node = vm._fragmentStart
+  while (node) {
+    html += serialize(node)
+    if (node === vm._fragmentEnd) break
+    node = node.nextSibling
+  }
+  return html
+}
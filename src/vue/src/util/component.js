@@ -1,10 +1,29 @@
 import { warn } from './debug'
 import { resolveAsset } from './options'
 import { getBindAttr } from './dom'
+import { inBrowser } from './env'
 
 export const commonTagRE = /^(div|p|span|img|a|b|i|br|ul|ol|li|h1|h2|h3|h4|h5|h6|code|pre|table|th|td|tr|form|label|input|select|option|nav|article|section|header|footer|main)$/i
 export const reservedTagRE = /^(slot|partial|component)$/i
 
+// all known HTML and SVG tags
+export const htmlTagRE = new RegExp('^(?:' + (
+  'html,body,base,head,link,meta,style,title,address,article,aside,' +
+  'footer,header,h1,h2,h3,h4,h5,h6,hgroup,nav,section,div,dd,dl,dt,' +
+  'figcaption,figure,hr,img,li,main,ol,p,pre,ul,a,b,abbr,bdi,bdo,br,' +
+  'cite,code,data,dfn,em,i,kbd,mark,q,rp,rt,rtc,ruby,s,samp,small,' +
+  'span,strong,sub,sup,time,u,var,wbr,area,audio,map,track,video,' +
+  'embed,object,param,source,canvas,script,noscript,del,ins,caption,' +
+  'col,colgroup,table,thead,tbody,td,th,tr,button,datalist,fieldset,' +
+  'form,input,label,legend,meter,optgroup,option,output,progress,' +
+  'select,textarea,details,dialog,menu,menuitem,summary,content,' +
+  'element,shadow,template,iframe,picture,center,font,' +
+  'svg,animate,circle,clippath,cursor,defs,desc,ellipse,filter,' +
+  'g,image,line,lineargradient,marker,mask,metadata,path,pattern,' +
+  'polygon,polyline,radialgradient,rect,stop,switch,symbol,text,' +
+  'textpath,tspan,use,view,foreignobject'
+).replace(/,/g, '|') + ')$', 'i')
+
 let isUnknownElement
 if (process.env.NODE_ENV !== 'production') {
   isUnknownElement = function (el, tag) {
@@ -57,13 +76,15 @@ export function checkComponentAttr (el, options) {
           warn(
             'Unknown custom element: <' + tag + '> - ' +
             'did you mean <' + expectedTag + '>? ' +
-            'HTML is case-insensitive, remember to use kebab-case in templates.'
+            'HTML is case-insensitive, remember to use kebab-case in templates.',
+            options
           )
-        } else if (isUnknownElement(el, tag)) {
+        } else if (inBrowser && isUnknownElement(el, tag)) {
           warn(
             'Unknown custom element: <' + tag + '> - did you ' +
             'register the component correctly? For recursive components, ' +
-            'make sure to provide the "name" option.'
+            'make sure to provide the "name" option.',
+            options
           )
         }
       }
@@ -2,23 +2,213 @@ import config from '../config'
 import { hyphenate } from './lang'
 
 let warn
-let formatComponentName
+let formatComponentPath
+let generateComponentTrace
+let formatLocation
+let setWarnLocation
+let collectWarnings
 
 if (process.env.NODE_ENV !== 'production') {
   const hasConsole = typeof console !== 'undefined'
 
-  warn = (msg, vm) => {
-    if (hasConsole && (!config.silent)) {
-      console.error('[Vue warn]: ' + msg + (vm ? formatComponentName(vm) : ''))
+  /**
+   * Warn with a trace of the component the warning is about.
+   * `vm` can also be the options the instance was created
+   * with, which is all the compiler has at hand.
+   *
+   * Warnings about a template show the code frame of their
+   * location; the ones issued while a directive is being
+   * bound point at the directive's attribute.
+   *
+   * When Vue.config.warnHandler is set, warnings are passed
+   * to it as `(msg, vm, trace)` instead of being logged.
+   *
+   * @param {String} msg
+   * @param {Vue|Object} [vm]
+   * @param {Object} [loc] - template location, as returned
+   *                         by parsers/template getLocation()
+   */
+
+  warn = (msg, vm, loc) => {
+    loc = loc || warnLocation
+    if (collected) {
+      collected.push({ message: msg, vm: vm, loc: loc })
+      return
+    }
+    msg += formatLocation(loc)
+    vm = vm && resolveInstance(vm)
+    var trace = vm ? generateComponentTrace(vm) : ''
+    if (config.warnHandler) {
+      config.warnHandler.call(null, msg, vm && vm._isVue ? vm : null, trace)
+    } else if (hasConsole && (!config.silent)) {
+      console.error('[Vue warn]: ' + msg + trace)
+    }
+  }
+
+  let warnLocation = null
+  let collected = null
+
+  /**
+   * Run a function and return the warnings it issued
+   * instead of reporting them.
+   *
+   * @param {Function} fn
+   * @return {Array<Object>} - { message, vm, loc }
+   */
+
+  collectWarnings = fn => {
+    var prev = collected
+    var res = collected = []
+    try {
+      fn()
+    } finally {
+      collected = prev
+    }
+    return res
+  }
+
+  /**
+   * Set the template location that warnings are about, for
+   * code that cannot tell on its own.
+   *
+   * @param {Object|null} loc
+   * @return {Object|null} the previous location
+   */
+
+  setWarnLocation = loc => {
+    var prev = warnLocation
+    warnLocation = loc
+    return prev
+  }
+
+  /**
+   * Format a code frame of the template around a location,
+   * with the located range underlined.
+   *
+   *   2 |  <ul>
+   *   3 |    <li v-for="item in items" @click="select(item">
+   *     |                              ^^^^^^^^^^^^^^^^^^^^^
+   *   4 |  </ul>
+   *
+   * @param {Object|null} loc - { source, start, end }
+   * @return {String}
+   */
+
+  formatLocation = loc => {
+    if (!loc) {
+      return ''
+    }
+    var lines = loc.source.split('\n')
+    var offsets = []
+    var offset = 0
+    var startLine = 0
+    var endLine = 0
+    for (var i = 0; i < lines.length; i++) {
+      offsets.push(offset)
+      if (offset <= loc.start) startLine = i
+      if (offset < loc.end) endLine = i
+      offset += lines[i].length + 1
+    }
+    var first = Math.max(0, startLine - 2)
+    var last = Math.min(lines.length - 1, endLine + 2)
+    var width = String(last + 1).length
+    var frame = []
+    for (i = first; i <= last; i++) {
+      var line = lines[i].replace(/\r$/, '')
+      frame.push(pad(String(i + 1), width) + ' |  ' + line)
+      if (i >= startLine && i <= endLine) {
+        var start = Math.max(loc.start - offsets[i], 0)
+        var end = Math.min(loc.end - offsets[i], line.length)
+        frame.push(
+          pad('', width) + ' |  ' + repeat(' ', start) +
+          repeat('^', Math.max(end - start, 1))
+        )
+      }
     }
+    return '\n\n' + frame.join('\n')
   }
 
-  formatComponentName = vm => {
-    var name = vm._isVue ? vm.$options.name : vm.name
-    return name
-      ? ' (found in component: <' + hyphenate(name) + '>)'
-      : ''
+  const pad = (str, width) => repeat(' ', width - str.length) + str
+
+  const resolveInstance = vm => vm._isVue ? vm : (vm._vm || vm)
+
+  const formatName = vm => {
+    if (!vm.$parent) {
+      return '<root>'
+    }
+    var name = vm.$options.name
+    return '<' + (name ? hyphenate(name) : 'anonymous') + '>'
+  }
+
+  const formatFile = options => {
+    var file = options.__file
+    return file ? ' at ' + file : ''
+  }
+
+  /**
+   * Format the hierarchy of an instance, from the root down
+   * to the instance, one component per line. Recursive
+   * components are collapsed into a single line.
+   *
+   *   found in
+   *     <root>
+   *       <todo-list> at src/TodoList.vue
+   *         <todo-item> at src/TodoItem.vue (2 recursive calls)
+   *
+   * @param {Vue|Object} vm - an instance, or options that
+   *                          were not used to create one
+   * @return {String}
+   */
+
+  generateComponentTrace = vm => {
+    if (!vm._isVue) {
+      return vm.name
+        ? '\n\nfound in <' + hyphenate(vm.name) + '>' + formatFile(vm)
+        : ''
+    }
+    var tree = []
+    while (vm) {
+      var last = tree[0]
+      if (
+        last && vm.$parent && vm.$options.name &&
+        last[0].constructor === vm.constructor
+      ) {
+        last[1]++
+      } else {
+        tree.unshift([vm, 0])
+      }
+      vm = vm.$parent
+    }
+    return '\n\nfound in\n' + tree.map((entry, i) => {
+      var vm = entry[0]
+      var calls = entry[1]
+      return '  ' + repeat('  ', i) + formatName(vm) +
+        formatFile(vm.$options) +
+        (calls ? ' (' + calls + ' recursive calls)' : '')
+    }).join('\n')
+  }
+
+  const repeat = (str, n) => {
+    var res = ''
+    while (n-- > 0) res += str
+    return res
+  }
+
+  formatComponentPath = vm => {
+    var path = []
+    while (vm) {
+      path.unshift(formatName(vm))
+      vm = vm.$parent
+    }
+    return path.join(' > ')
   }
 }
 
-export { warn }
+export {
+  warn,
+  formatComponentPath,
+  generateComponentTrace,
+  formatLocation,
+  setWarnLocation,
+  collectWarnings
+}
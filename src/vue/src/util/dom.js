@@ -91,6 +91,30 @@ export function hasBindAttr (node, name) {
     node.hasAttribute('v-bind:' + name)
 }
 
+/**
+ * Check if a node is a v-else-if or v-else branch following
+ * a v-if, or a v-else following a v-for, which is rendered
+ * by that directive rather than on its own.
+ *
+ * @param {Node} node
+ * @return {Boolean}
+ */
+
+export function isConditionalBranch (node) {
+  if (
+    node.nodeType !== 1 ||
+    !(node.hasAttribute('v-else-if') || node.hasAttribute('v-else'))
+  ) {
+    return false
+  }
+  var prev = node.previousElementSibling
+  return !!prev && (
+    prev.hasAttribute('v-if') ||
+    (prev.hasAttribute('v-for') && node.hasAttribute('v-else')) ||
+    (prev.hasAttribute('v-else-if') && isConditionalBranch(prev))
+  )
+}
+
 /**
  * Insert el before target
  * 指定的已有子节点之前插入新的子节点
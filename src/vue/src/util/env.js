@@ -152,3 +152,8 @@ if (typeof Set !== 'undefined' && isNative(Set)) {
 }
 
 export { _Set }
+
+// can we use ES2015 Proxy to observe data?
+/* istanbul ignore next */
+export const hasProxy =
+  typeof Proxy !== 'undefined' && isNative(Proxy)
@@ -0,0 +1,64 @@
+import config from '../config'
+import { warn } from './debug'
+
+/**
+ * Handle an error thrown by user code (watchers, lifecycle
+ * hooks, event handlers, filters...) without letting it
+ * break whatever Vue was doing at the time.
+ *
+ * The error is first passed to the `errorCaptured` hooks of
+ * the instance's ancestors, closest first, as
+ * `(err, vm, info)`. A hook returning false stops the
+ * propagation. It then goes to `Vue.config.errorHandler`;
+ * if there is none, it is logged.
+ *
+ * @param {Error} err
+ * @param {Vue} [vm] - the instance the error happened in
+ * @param {String} info - where it happened
+ * @param {Function} [fallback] - reports the error instead
+ *                                of logging it when nothing
+ *                                handled it
+ */
+
+export function handleError (err, vm, info, fallback) {
+  var cur = vm
+  while (cur && (cur = cur.$parent)) {
+    var hooks = cur.$options.errorCaptured
+    if (hooks) {
+      for (var i = 0, l = hooks.length; i < l; i++) {
+        try {
+          if (hooks[i].call(cur, err, vm, info) === false) {
+            return
+          }
+        } catch (e) {
+          logError(e, cur, 'errorCaptured hook')
+        }
+      }
+    }
+  }
+  if (config.errorHandler) {
+    try {
+      config.errorHandler.call(null, err, vm, info)
+      return
+    } catch (e) {
+      logError(e, null, 'config.errorHandler')
+    }
+  }
+  if (fallback) {
+    fallback()
+  } else {
+    logError(err, vm, info)
+  }
+}
+
+function logError (err, vm, info) {
+  if (process.env.NODE_ENV !== 'production') {
+    warn('Error in ' + info + ': "' + String(err) + '"', vm)
+  }
+  /* istanbul ignore else */
+  if (typeof console !== 'undefined') {
+    console.error(err)
+  } else {
+    throw err
+  }
+}
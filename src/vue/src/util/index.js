@@ -4,4 +4,5 @@ export * from './dom'
 export * from './options'
 export * from './component'
 export * from './debug'
+export * from './error'
 export { defineReactive } from '../observer/index'
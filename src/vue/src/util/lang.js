@@ -303,6 +303,23 @@ export function isPlainObject (obj) {
 
 export const isArray = Array.isArray
 
+/**
+ * Map and Set type checks.
+ *
+ * @param {*} obj
+ * @return {Boolean}
+ */
+
+var MAP_STRING = '[object Map]'
+var SET_STRING = '[object Set]'
+export function isMap (obj) {
+  return toString.call(obj) === MAP_STRING
+}
+
+export function isSet (obj) {
+  return toString.call(obj) === SET_STRING
+}
+
 /**
  * Define a property.
  *
@@ -129,8 +129,13 @@ strats.attached =
 strats.detached =
 strats.beforeCompile =
 strats.compiled =
+strats.beforeUpdate =
+strats.updated =
 strats.beforeDestroy =
 strats.destroyed =
+strats.errorCaptured =
+strats.activated =
+strats.deactivated =
 strats.activate = function (parentVal, childVal) {
   return childVal
     ? parentVal
@@ -201,6 +206,34 @@ strats.computed = function (parentVal, childVal) {
   return ret
 }
 
+/**
+ * Provide.
+ *
+ * Provided values are merged like data: the merged option
+ * is a function returning the values of both, where the
+ * child's win.
+ */
+
+strats.provide = function (parentVal, childVal) {
+  if (!childVal) return parentVal
+  if (!parentVal) return childVal
+  return function mergedProvideFn () {
+    var ret = {}
+    extend(ret, typeof parentVal === 'function' ? parentVal.call(this) : parentVal)
+    extend(ret, typeof childVal === 'function' ? childVal.call(this) : childVal)
+    return ret
+  }
+}
+
+/**
+ * Inject.
+ *
+ * Normalized into objects by guardInject(), and merged
+ * like props.
+ */
+
+strats.inject = strats.props
+
 /**
  * Default strategy.
  */
@@ -287,6 +320,36 @@ function guardProps (options) {
   }
 }
 
+/**
+ * Normalize all inject option syntax into the Object-based
+ * format, keyed by the name the value is injected as:
+ *
+ *   ['theme']                  => { theme: { from: 'theme' } }
+ *   { color: 'theme' }         => { color: { from: 'theme' } }
+ *   { theme: { default: 1 } }  => { theme: { from: 'theme', default: 1 } }
+ *
+ * @param {Object} options
+ */
+
+function guardInject (options) {
+  var inject = options.inject
+  var normalized, key, val
+  if (isArray(inject)) {
+    normalized = options.inject = {}
+    for (var i = 0, l = inject.length; i < l; i++) {
+      normalized[inject[i]] = { from: inject[i] }
+    }
+  } else if (isPlainObject(inject)) {
+    normalized = options.inject = {}
+    for (key in inject) {
+      val = inject[key]
+      normalized[key] = isPlainObject(val)
+        ? extend({ from: key }, val)
+        : { from: val }
+    }
+  }
+}
+
 /**
  * Guard an Array-format assets option and converted it
  * into the key-value Object format.
@@ -344,6 +407,7 @@ export function mergeOptions (parent, child, vm) {
   // child.props = [{name: 'value'}] => child.props = {value: {name: 'value'}}
   // child.props = {value: function() {console.log(1)}} => child.props = {value: {type: function() {console.log(1)}}}
   guardProps(child)
+  guardInject(child)
   if (process.env.NODE_ENV !== 'production') {
     if (child.propsData && !vm) {
       warn('propsData can only be used as an instantiation option.')
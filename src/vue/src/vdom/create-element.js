@@ -0,0 +1,85 @@
+import VNode, { emptyVNode } from './vnode'
+import {
+  warn,
+  isArray,
+  isObject,
+  resolveAsset
+} from '../util/index'
+
+/**
+ * Create a virtual node. This is the `h` function passed to
+ * render functions, bound to the rendering instance:
+ *
+ *   h('ul', { class: 'list' }, items.map(function (item) {
+ *     return h('li', { key: item.id }, item.text)
+ *   }))
+ *
+ * The data object can be omitted. Tags registered as
+ * components on the instance render the component, which
+ * can also be passed in directly as a constructor.
+ *
+ * @param {Vue} vm
+ * @param {String|Function} tag
+ * @param {Object} [data]
+ * @param {Array|String} [children]
+ * @return {VNode}
+ */
+
+export function createElement (vm, tag, data, children) {
+  if (isArray(data) || (data != null && !isObject(data))) {
+    children = data
+    data = undefined
+  }
+  var Ctor
+  if (typeof tag === 'function') {
+    Ctor = tag
+    tag = 'vue-component-' + Ctor.cid
+  } else if (typeof tag === 'string') {
+    Ctor = resolveAsset(vm.$options, 'components', tag)
+  } else {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Invalid tag passed to the render function: ' + tag,
+      vm
+    )
+    return emptyVNode()
+  }
+  if (Ctor) {
+    if (!Ctor.options) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Async component <' + tag + '> cannot be used in ' +
+        'render functions.',
+        vm
+      )
+      return emptyVNode()
+    }
+    return new VNode(tag, data, undefined, undefined, Ctor)
+  }
+  return new VNode(tag, data, normalizeChildren(children))
+}
+
+/**
+ * Flatten nested child arrays and turn primitive values
+ * into text nodes. null, undefined and booleans are
+ * skipped so that conditionals can be inlined.
+ *
+ * @param {*} children
+ * @param {Array} [res]
+ * @return {Array<VNode>|undefined}
+ */
+
+function normalizeChildren (children, res) {
+  if (children == null) {
+    return res
+  }
+  res = res || []
+  if (isArray(children)) {
+    for (var i = 0, l = children.length; i < l; i++) {
+      normalizeChildren(children[i], res)
+    }
+  } else if (children instanceof VNode) {
+    res.push(children)
+  } else if (typeof children !== 'boolean') {
+    res.push(new VNode(undefined, undefined, undefined, String(children)))
+  }
+  return res
+}
@@ -0,0 +1,202 @@
+import {
+  on,
+  off,
+  isArray,
+  isObject,
+  setClass,
+  hyphenate
+} from '../util/index'
+
+const emptyData = {}
+
+/**
+ * Bring the DOM state of an element from what the old
+ * vnode described up to date with the new one. The old
+ * vnode is empty when the element has just been created.
+ *
+ * @param {VNode} oldVnode
+ * @param {VNode} vnode
+ */
+
+export function updateElement (oldVnode, vnode) {
+  var oldData = oldVnode.data || emptyData
+  var data = vnode.data || emptyData
+  var elm = vnode.elm
+  updateAttrs(elm, oldData.attrs, data.attrs)
+  updateDomProps(elm, oldData.domProps, data.domProps)
+  updateClass(elm, oldData.class, data.class)
+  updateStyle(elm, oldData.style, data.style)
+  vnode.listeners = updateListeners(
+    oldVnode.listeners,
+    data.on,
+    function (event, handler) { on(elm, event, handler) },
+    function (event, handler) { off(elm, event, handler) }
+  )
+}
+
+/**
+ * Sync event listeners. Each event gets a single invoker
+ * that is kept across patches, so that changing handlers
+ * (which are usually recreated on every render) does not
+ * touch the DOM.
+ *
+ * @param {Object} [oldListeners] - invokers by event
+ * @param {Object} [handlers] - new handlers by event
+ * @param {Function} add
+ * @param {Function} remove
+ * @return {Object|undefined} - invokers by event
+ */
+
+export function updateListeners (oldListeners, handlers, add, remove) {
+  var listeners
+  var event, invoker
+  for (event in handlers) {
+    if (!handlers[event]) continue
+    listeners = listeners || {}
+    invoker = oldListeners && oldListeners[event]
+    if (!invoker) {
+      invoker = createInvoker()
+      add(event, invoker)
+    }
+    invoker.handler = handlers[event]
+    listeners[event] = invoker
+  }
+  for (event in oldListeners) {
+    if (!listeners || !listeners[event]) {
+      remove(event, oldListeners[event])
+    }
+  }
+  return listeners
+}
+
+function createInvoker () {
+  function invoker () {
+    var handler = invoker.handler
+    if (isArray(handler)) {
+      for (var i = 0, l = handler.length; i < l; i++) {
+        handler[i].apply(this, arguments)
+      }
+    } else {
+      return handler.apply(this, arguments)
+    }
+  }
+  return invoker
+}
+
+/**
+ * Attributes. null, undefined and false remove the
+ * attribute, true sets it empty.
+ */
+
+function updateAttrs (elm, oldAttrs, attrs) {
+  var key, value
+  for (key in attrs) {
+    value = attrs[key]
+    if (oldAttrs && oldAttrs[key] === value) continue
+    if (value == null || value === false) {
+      elm.removeAttribute(key)
+    } else {
+      elm.setAttribute(key, value === true ? '' : value)
+    }
+  }
+  for (key in oldAttrs) {
+    if (!attrs || attrs[key] == null) {
+      elm.removeAttribute(key)
+    }
+  }
+}
+
+/**
+ * DOM properties, e.g. `value` or `checked`. These are
+ * compared against the element itself, since the user can
+ * change them.
+ */
+
+function updateDomProps (elm, oldProps, props) {
+  var key
+  for (key in oldProps) {
+    if (!props || !(key in props)) {
+      elm[key] = key === 'value' ? '' : undefined
+    }
+  }
+  for (key in props) {
+    if (elm[key] !== props[key]) {
+      elm[key] = props[key]
+    }
+  }
+}
+
+function updateClass (elm, oldClass, cls) {
+  var str = stringifyClass(cls)
+  if (str !== stringifyClass(oldClass)) {
+    if (str) {
+      setClass(elm, str)
+    } else {
+      elm.removeAttribute('class')
+    }
+  }
+}
+
+/**
+ * Class can be a string, an object of class names to
+ * booleans, or an array of either.
+ *
+ * @param {String|Object|Array} [value]
+ * @return {String}
+ */
+
+function stringifyClass (value) {
+  if (!value) {
+    return ''
+  }
+  if (typeof value === 'string') {
+    return value
+  }
+  var res = []
+  var i, l, key
+  if (isArray(value)) {
+    for (i = 0, l = value.length; i < l; i++) {
+      if ((key = stringifyClass(value[i]))) res.push(key)
+    }
+  } else if (isObject(value)) {
+    for (key in value) {
+      if (value[key]) res.push(key)
+    }
+  }
+  return res.join(' ')
+}
+
+/**
+ * Style is an object of (camelCased or hyphenated)
+ * properties, or an array of such objects.
+ */
+
+function updateStyle (elm, oldStyle, style) {
+  oldStyle = normalizeStyle(oldStyle)
+  style = normalizeStyle(style)
+  var name
+  for (name in oldStyle) {
+    if (style[name] == null) {
+      elm.style.removeProperty(name)
+    }
+  }
+  for (name in style) {
+    if (style[name] != null && style[name] !== oldStyle[name]) {
+      elm.style.setProperty(name, style[name])
+    }
+  }
+}
+
+function normalizeStyle (value, res) {
+  res = res || {}
+  if (isArray(value)) {
+    for (var i = 0, l = value.length; i < l; i++) {
+      normalizeStyle(value[i], res)
+    }
+  } else if (value) {
+    for (var key in value) {
+      res[hyphenate(key)] = value[key]
+    }
+  }
+  return res
+}
@@ -0,0 +1,258 @@
+import { updateElement, updateListeners } from './modules'
+import { updateProp } from '../compiler/compile-props'
+import { remove, replace } from '../util/index'
+
+const svgNS = 'http://www.w3.org/2000/svg'
+const emptyData = {}
+const emptyNode = {}
+
+function noop () {}
+
+/**
+ * Patch the DOM rendered from an old vnode tree so that it
+ * matches a new one, and return the resulting root node.
+ *
+ * Nodes are only recreated when their tag or key changes:
+ * everything else (attributes, text, child order) is
+ * updated in place. Children are matched by key, so keyed
+ * lists are reordered by moving existing elements.
+ *
+ * @param {Vue} vm - the instance being rendered
+ * @param {VNode|undefined} oldVnode - undefined on first render
+ * @param {VNode} vnode
+ * @return {Node}
+ */
+
+export function patch (vm, oldVnode, vnode) {
+  if (!oldVnode) {
+    return createElm(vm, vnode)
+  }
+  if (sameVnode(oldVnode, vnode)) {
+    patchVnode(vm, oldVnode, vnode)
+  } else {
+    var ns = oldVnode.elm.namespaceURI === svgNS ? svgNS : undefined
+    replace(oldVnode.elm, createElm(vm, vnode, ns))
+    destroyVnode(oldVnode)
+  }
+  return vnode.elm
+}
+
+/**
+ * Destroy the component instances rendered by a vnode
+ * tree. The DOM is left alone.
+ *
+ * @param {VNode} vnode
+ */
+
+export function destroyVnode (vnode) {
+  if (vnode.child) {
+    vnode.child.$destroy()
+  } else if (vnode.children) {
+    for (var i = 0, l = vnode.children.length; i < l; i++) {
+      destroyVnode(vnode.children[i])
+    }
+  }
+}
+
+function sameVnode (a, b) {
+  return (
+    a.key === b.key &&
+    a.tag === b.tag &&
+    a.isComment === b.isComment &&
+    a.Ctor === b.Ctor
+  )
+}
+
+/**
+ * Create the DOM for a vnode, instantiating components.
+ *
+ * @param {Vue} vm
+ * @param {VNode} vnode
+ * @param {String} [ns] - namespace of the parent element
+ * @return {Node}
+ */
+
+function createElm (vm, vnode, ns) {
+  var data = vnode.data || emptyData
+  if (vnode.Ctor) {
+    // listeners are passed in as option events so that
+    // events emitted during creation are caught too, and
+    // props only get compiled when mounting right away.
+    var listeners = vnode.listeners = updateListeners(
+      undefined, data.on, noop, noop
+    )
+    vnode.child = new vnode.Ctor({
+      el: document.createElement('div'),
+      parent: vm,
+      propsData: data.props,
+      events: listeners
+    })
+    vnode.elm = vnode.child.$el
+  } else if (vnode.tag) {
+    ns = vnode.tag === 'svg' ? svgNS : ns
+    var elm = vnode.elm = ns && document.createElementNS
+      ? document.createElementNS(ns, vnode.tag)
+      : document.createElement(vnode.tag)
+    var children = vnode.children
+    if (children) {
+      for (var i = 0, l = children.length; i < l; i++) {
+        elm.appendChild(createElm(vm, children[i], ns))
+      }
+    }
+    updateElement(emptyNode, vnode)
+  } else if (vnode.isComment) {
+    vnode.elm = document.createComment('')
+  } else {
+    vnode.elm = document.createTextNode(vnode.text)
+  }
+  return vnode.elm
+}
+
+/**
+ * Patch a vnode that is rendered in place of a similar one.
+ *
+ * @param {Vue} vm
+ * @param {VNode} oldVnode
+ * @param {VNode} vnode
+ */
+
+function patchVnode (vm, oldVnode, vnode) {
+  var elm = vnode.elm = oldVnode.elm
+  if (oldVnode === vnode) {
+    return
+  }
+  if (vnode.Ctor) {
+    var child = vnode.child = oldVnode.child
+    var data = vnode.data || emptyData
+    var props = data.props
+    var oldProps = (oldVnode.data || emptyData).props
+    var key
+    for (key in props) {
+      if (child[key] !== props[key]) {
+        child[key] = props[key]
+      }
+    }
+    // props that are no longer passed go back to their
+    // default value
+    for (key in oldProps) {
+      if (!props || !(key in props)) {
+        if (child._props && child._props[key]) {
+          updateProp(child, child._props[key], undefined)
+        } else {
+          child[key] = undefined
+        }
+      }
+    }
+    vnode.listeners = updateComponentListeners(child, oldVnode.listeners, data.on)
+  } else if (vnode.tag) {
+    updateElement(oldVnode, vnode)
+    updateChildren(vm, elm, oldVnode.children || [], vnode.children || [])
+  } else if (oldVnode.text !== vnode.text) {
+    elm.data = vnode.text
+  }
+}
+
+function updateComponentListeners (child, oldListeners, handlers) {
+  return updateListeners(
+    oldListeners,
+    handlers,
+    function (event, handler) { child.$on(event, handler) },
+    function (event, handler) { child.$off(event, handler) }
+  )
+}
+
+/**
+ * Keyed diff of two child lists: both ends of the lists are
+ * compared first, which covers appends, removals and
+ * reversals cheaply; remaining nodes are looked up by key.
+ *
+ * @param {Vue} vm
+ * @param {Element} parentElm
+ * @param {Array<VNode>} oldCh
+ * @param {Array<VNode>} newCh
+ */
+
+function updateChildren (vm, parentElm, oldCh, newCh) {
+  var ns = parentElm.namespaceURI === svgNS ? svgNS : undefined
+  var oldStartIdx = 0
+  var newStartIdx = 0
+  var oldEndIdx = oldCh.length - 1
+  var newEndIdx = newCh.length - 1
+  var oldStartVnode = oldCh[0]
+  var oldEndVnode = oldCh[oldEndIdx]
+  var newStartVnode = newCh[0]
+  var newEndVnode = newCh[newEndIdx]
+  var oldKeyToIdx, idxInOld, vnodeToMove, ref
+
+  while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx) {
+    if (!oldStartVnode) {
+      // moved away by a keyed match
+      oldStartVnode = oldCh[++oldStartIdx]
+    } else if (!oldEndVnode) {
+      oldEndVnode = oldCh[--oldEndIdx]
+    } else if (sameVnode(oldStartVnode, newStartVnode)) {
+      patchVnode(vm, oldStartVnode, newStartVnode)
+      oldStartVnode = oldCh[++oldStartIdx]
+      newStartVnode = newCh[++newStartIdx]
+    } else if (sameVnode(oldEndVnode, newEndVnode)) {
+      patchVnode(vm, oldEndVnode, newEndVnode)
+      oldEndVnode = oldCh[--oldEndIdx]
+      newEndVnode = newCh[--newEndIdx]
+    } else if (sameVnode(oldStartVnode, newEndVnode)) {
+      // moved right
+      patchVnode(vm, oldStartVnode, newEndVnode)
+      parentElm.insertBefore(oldStartVnode.elm, oldEndVnode.elm.nextSibling)
+      oldStartVnode = oldCh[++oldStartIdx]
+      newEndVnode = newCh[--newEndIdx]
+    } else if (sameVnode(oldEndVnode, newStartVnode)) {
+      // moved left
+      patchVnode(vm, oldEndVnode, newStartVnode)
+      parentElm.insertBefore(oldEndVnode.elm, oldStartVnode.elm)
+      oldEndVnode = oldCh[--oldEndIdx]
+      newStartVnode = newCh[++newStartIdx]
+    } else {
+      if (!oldKeyToIdx) {
+        oldKeyToIdx = createKeyToIdx(oldCh, oldStartIdx, oldEndIdx)
+      }
+      idxInOld = newStartVnode.key != null
+        ? oldKeyToIdx[newStartVnode.key]
+        : undefined
+      vnodeToMove = idxInOld != null && oldCh[idxInOld]
+      if (vnodeToMove && sameVnode(vnodeToMove, newStartVnode)) {
+        patchVnode(vm, vnodeToMove, newStartVnode)
+        oldCh[idxInOld] = undefined
+        parentElm.insertBefore(vnodeToMove.elm, oldStartVnode.elm)
+      } else {
+        parentElm.insertBefore(
+          createElm(vm, newStartVnode, ns),
+          oldStartVnode.elm
+        )
+      }
+      newStartVnode = newCh[++newStartIdx]
+    }
+  }
+
+  if (oldStartIdx > oldEndIdx) {
+    ref = newCh[newEndIdx + 1] ? newCh[newEndIdx + 1].elm : null
+    for (; newStartIdx <= newEndIdx; newStartIdx++) {
+      parentElm.insertBefore(createElm(vm, newCh[newStartIdx], ns), ref)
+    }
+  } else if (newStartIdx > newEndIdx) {
+    for (; oldStartIdx <= oldEndIdx; oldStartIdx++) {
+      if (oldCh[oldStartIdx]) {
+        remove(oldCh[oldStartIdx].elm)
+        destroyVnode(oldCh[oldStartIdx])
+      }
+    }
+  }
+}
+
+function createKeyToIdx (children, start, end) {
+  var map = {}
+  var key
+  for (var i = start; i <= end; i++) {
+    key = children[i] && children[i].key
+    if (key != null) map[key] = i
+  }
+  return map
+}
@@ -0,0 +1,46 @@
+/**
+ * A virtual node, as returned by the `h` function passed to
+ * a render function.
+ *
+ * Element nodes have a `tag`, text nodes only have `text`.
+ * Component nodes carry the constructor of the component
+ * and, once rendered, the child instance in `child`.
+ *
+ * @param {String} [tag]
+ * @param {Object} [data]
+ *                 - {String|Number} key
+ *                 - {Object} attrs
+ *                 - {Object} domProps
+ *                 - {String|Object|Array} class
+ *                 - {Object} style
+ *                 - {Object} on
+ *                 - {Object} props (components only)
+ * @param {Array<VNode>} [children]
+ * @param {String} [text]
+ * @param {Function} [Ctor]
+ * @constructor
+ */
+
+export default function VNode (tag, data, children, text, Ctor) {
+  this.tag = tag
+  this.data = data
+  this.children = children
+  this.text = text
+  this.key = data && data.key
+  this.Ctor = Ctor
+  this.elm = undefined
+  this.child = undefined
+  this.isComment = false
+}
+
+/**
+ * Create an empty placeholder node, rendered as a comment.
+ *
+ * @return {VNode}
+ */
+
+export function emptyVNode () {
+  var vnode = new VNode(undefined, undefined, undefined, '')
+  vnode.isComment = true
+  return vnode
+}
@@ -1,13 +1,16 @@
 import config from './config'
 import Dep from './observer/dep'
 import { parseExpression } from './parsers/expression'
-import { pushWatcher } from './batcher'
+import { pushWatcher, runSync } from './batcher'
 import {
   extend,
   warn,
   isArray,
   isObject,
+  isMap,
+  isSet,
   nextTick,
+  handleError,
   _Set as Set
 } from './util/index'
 
@@ -27,7 +30,10 @@ let uid = 0
  *                 - {Boolean} deep
  *                 - {Boolean} user
  *                 - {Boolean} sync
+ *                 - {String} flush - 'pre', 'post' or 'sync'
  *                 - {Boolean} lazy
+ *                 - {Boolean} patch - updates the DOM of its vm,
+ *                   which gets beforeUpdate/updated hooks
  *                 - {Function} [preProcess]
  *                 - {Function} [postProcess]
  * @constructor
@@ -93,16 +99,20 @@ Watcher.prototype.get = function () {
   try {
     value = this.getter.call(scope, scope)
   } catch (e) {
-    if (
-      process.env.NODE_ENV !== 'production' &&
-      config.warnExpressionErrors
-    ) {
-      warn(
-        'Error when evaluating expression ' +
-        '"' + this.expression + '": ' + e.toString(),
-        this.vm
-      )
-    }
+    var vm = this.vm
+    var expression = this.expression
+    handleError(e, vm, 'getter for ' + describe(expression), function () {
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        config.warnExpressionErrors
+      ) {
+        warn(
+          'Error when evaluating expression ' +
+          '"' + expression + '": ' + e.toString(),
+          vm
+        )
+      }
+    })
   }
   // "touch" every property so they are all tracked as
   // dependencies for deep watching
@@ -137,16 +147,20 @@ Watcher.prototype.set = function (value) {
   try {
     this.setter.call(scope, scope, value)
   } catch (e) {
-    if (
-      process.env.NODE_ENV !== 'production' &&
-      config.warnExpressionErrors
-    ) {
-      warn(
-        'Error when evaluating setter ' +
-        '"' + this.expression + '": ' + e.toString(),
-        this.vm
-      )
-    }
+    var vm = this.vm
+    var expression = this.expression
+    handleError(e, vm, 'setter for ' + describe(expression), function () {
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        config.warnExpressionErrors
+      ) {
+        warn(
+          'Error when evaluating setter ' +
+          '"' + expression + '": ' + e.toString(),
+          vm
+        )
+      }
+    })
   }
   // two-way sync for v-for alias
   var forContext = scope.$forContext
@@ -162,11 +176,24 @@ Watcher.prototype.set = function (value) {
       )
       return
     }
+    if (isSet(forContext.rawValue)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'It seems you are using two-way binding on ' +
+        'a v-for alias (' + this.expression + ') over a Set. ' +
+        'Set values cannot be replaced in place, use an ' +
+        'Array instead.',
+        this.vm
+      )
+      return
+    }
     forContext._withLock(function () {
-      if (scope.$key) { // original is an object
-        forContext.rawValue[scope.$key] = value
+      var raw = forContext.rawValue
+      if (isMap(raw)) {
+        raw.set(scope.$key, value)
+      } else if (scope.$key) { // original is an object
+        raw[scope.$key] = value
       } else {
-        forContext.rawValue.$set(scope.$index, value)
+        raw.$set(scope.$index, value)
       }
     })
   }
@@ -230,8 +257,8 @@ Watcher.prototype.afterGet = function () {
 Watcher.prototype.update = function (shallow) {
   if (this.lazy) {
     this.dirty = true
-  } else if (this.sync || !config.async) {
-    this.run()
+  } else if (this.sync || this.flush === 'sync' || !config.async) {
+    runSync(this)
   } else {
     // if queued, only overwrite shallow with non-shallow,
     // but not the other way around.
@@ -273,20 +300,18 @@ Watcher.prototype.run = function () {
       // throws, we also throw the saved before-push error
       // so the full cross-tick stack trace is available.
       var prevError = this.prevError
-      /* istanbul ignore if */
-      if (process.env.NODE_ENV !== 'production' &&
-          config.debug && prevError) {
-        this.prevError = null
-        try {
-          this.cb.call(this.vm, value, oldValue)
-        } catch (e) {
+      this.prevError = null
+      try {
+        this.cb.call(this.vm, value, oldValue)
+      } catch (e) {
+        /* istanbul ignore if */
+        if (process.env.NODE_ENV !== 'production' &&
+            config.debug && prevError) {
           nextTick(function () {
             throw prevError
           }, 0)
-          throw e
         }
-      } else {
-        this.cb.call(this.vm, value, oldValue)
+        handleError(e, this.vm, 'callback for ' + describe(this.expression))
       }
     }
     this.queued = this.shallow = false
@@ -369,6 +394,10 @@ function traverse (val, seen) {
     if (isA) {
       i = val.length
       while (i--) traverse(val[i], seen)
+    } else if (isMap(val) || isSet(val)) {
+      val.forEach(function (value) {
+        traverse(value, seen)
+      })
     } else if (isO) {
       keys = Object.keys(val)
       i = keys.length
@@ -376,3 +405,16 @@ function traverse (val, seen) {
     }
   }
 }
+
+/**
+ * Describe a watcher for error messages.
+ *
+ * @param {String|Function} expression
+ * @return {String}
+ */
+
+function describe (expression) {
+  return typeof expression === 'function'
+    ? 'function "' + (expression.name || 'anonymous') + '"'
+    : 'watcher "' + expression + '"'
+}
@@ -0,0 +1,78 @@
+// Test environment: the sources are ES modules compiled on
+// the fly with the repo's babel config, and a jsdom window
+// plays the browser. It is installed before Vue is loaded
+// so that the environment sniffing sees a browser.
+require('babel-register')({
+  only: /src\/vue\/src\//
+})
+
+var JSDOM = require('jsdom').JSDOM
+var dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  pretendToBeVisual: true
+})
+global.window = dom.window
+global.document = dom.window.document
+global.navigator = dom.window.navigator
+
+// the Observer and the global API log what they are given,
+// keep that out of the test report.
+console.log = function () {}
+
+/**
+ * Check if a warning containing `msg` was issued since the
+ * start of the current spec.
+ *
+ * @param {String} msg
+ * @return {Boolean}
+ */
+
+global.hasWarned = function (msg) {
+  return console.error.calls.allArgs().some(function (args) {
+    return String(args[0]).indexOf(msg) > -1
+  })
+}
+
+/**
+ * Create an instance and mount it, detached from the
+ * document.
+ *
+ * @param {Object} options
+ * @return {Vue}
+ */
+
+global.mount = function (options) {
+  var Vue = require('../../../src/index').default
+  var vm = new Vue(options)
+  vm.$mount()
+  return vm
+}
+
+/**
+ * Wait for the next batcher flush.
+ *
+ * @return {Promise}
+ */
+
+global.nextTick = function () {
+  var Vue = require('../../../src/index').default
+  return new Promise(function (resolve) {
+    Vue.nextTick(resolve)
+  })
+}
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {Number} ms
+ * @return {Promise}
+ */
+
+global.wait = function (ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms)
+  })
+}
+
+beforeEach(function () {
+  spyOn(console, 'error')
+})
@@ -0,0 +1,461 @@
+var Vue = require('../../../src/index').default
+
+describe('batcher', function () {
+  describe('infinite update loops', function () {
+    var errors
+
+    beforeEach(function () {
+      errors = []
+      Vue.config.errorHandler = function (err) {
+        errors.push(err)
+      }
+    })
+
+    afterEach(function () {
+      Vue.config.errorHandler = null
+    })
+
+    it('reports a watcher updating itself', async function () {
+      var vm = new Vue({
+        data: { a: 0 },
+        watch: {
+          a: function () {
+            this.a++
+          }
+        }
+      })
+      vm.a = 1
+      await nextTick()
+      expect(errors.length).toBe(1)
+      var err = errors[0]
+      expect(err.name).toBe('InfiniteUpdateLoopError')
+      expect(err.watcher.expression).toBe('a')
+      expect(err.cycle.length).toBe(1)
+      expect(err.cycle[0].expression).toBe('a')
+      expect(err.cycle[0].key).toBe('a')
+      expect(err.message).toContain(
+        'Update cycle:\n  watcher "a" in <root> wrote "a"\n  -> watcher "a" in <root>'
+      )
+    })
+
+    it('reports only the cycle feeding a watcher outside of it', async function () {
+      var vm = new Vue({
+        el: document.createElement('div'),
+        template: '<p>{{ a }}</p>',
+        data: { a: 0, b: 0 },
+        watch: {
+          a: function () {
+            this.b++
+          },
+          b: function () {
+            this.a++
+          }
+        }
+      })
+      vm.a = 1
+      await nextTick()
+      expect(errors.length).toBe(1)
+      var err = errors[0]
+      var expressions = err.cycle.map(function (step) {
+        return step.expression
+      })
+      expect(expressions.sort()).toEqual(['a', 'b'])
+      // the {{ a }} directive is stopped, but it is not part of the cycle
+      expect(err.watcher.user).toBeFalsy()
+      var lines = err.message.split('\n').slice(2)
+      expect(lines.length).toBe(3)
+      // the cycle is closed by the watcher it started from
+      expect(lines[2]).toBe('  -> watcher "' + err.cycle[0].expression + '" in <root>')
+      // the flush is aborted
+      var a = vm.a
+      await nextTick()
+      expect(vm.a).toBe(a)
+    })
+
+    it('names the component path and the collections written to', async function () {
+      var vm = new Vue({
+        el: document.createElement('div'),
+        template: '<outer></outer>',
+        components: {
+          outer: {
+            template: '<inner-item v-ref:inner></inner-item>',
+            components: {
+              innerItem: {
+                name: 'InnerItem',
+                data: function () {
+                  return { list: [] }
+                },
+                watch: {
+                  list: function () {
+                    this.list.push(1)
+                  }
+                }
+              }
+            }
+          }
+        }
+      })
+      var inner = vm.$children[0].$refs.inner
+      inner.list.push(0)
+      await nextTick()
+      var err = errors[0]
+      expect(err.component).toBe('<root> > <outer> > <inner-item>')
+      expect(err.cycle.length).toBe(1)
+      expect(err.cycle[0].key).toBeUndefined()
+      expect(err.message).toContain(
+        'watcher "list" in <root> > <outer> > <inner-item> ' +
+        'wrote to an Array, Map/Set or added/deleted key'
+      )
+    })
+
+    it('passes the error to errorCaptured hooks', async function () {
+      Vue.config.errorHandler = null
+      var captured = []
+      var vm = new Vue({
+        el: document.createElement('div'),
+        template: '<child v-ref:child></child>',
+        errorCaptured: function (err, child, info) {
+          captured.push(info)
+          return false
+        },
+        components: {
+          child: {
+            data: function () {
+              return { a: 0 }
+            },
+            watch: {
+              a: function () {
+                this.a++
+              }
+            }
+          }
+        }
+      })
+      vm.$refs.child.a = 1
+      await nextTick()
+      expect(captured).toEqual(['infinite update loop'])
+      expect(console.error).not.toHaveBeenCalled()
+    })
+
+    it('warns without an error handler', async function () {
+      Vue.config.errorHandler = null
+      var vm = new Vue({
+        data: { a: 0 },
+        watch: {
+          a: function () {
+            this.a++
+          }
+        }
+      })
+      vm.a = 1
+      await nextTick()
+      expect(hasWarned('You may have an infinite update loop for watcher "a"')).toBe(true)
+    })
+  })
+
+  describe('flush phases', function () {
+    it('run pre watchers before and post watchers after the DOM update', async function () {
+      var calls = []
+      var vm = mount({
+        template: '<p>{{ a }}</p>',
+        data: { a: 1 },
+        watch: {
+          a: {
+            flush: 'pre',
+            handler: function (val) {
+              calls.push('pre:' + val + ':' + this.$el.textContent)
+            }
+          }
+        }
+      })
+      vm.$watch('a', function (val) {
+        calls.push('post:' + val + ':' + this.$el.textContent)
+      })
+      vm.$watch('a', function (val) {
+        calls.push('explicit post:' + val + ':' + this.$el.textContent)
+      }, { flush: 'post' })
+      vm.a = 2
+      expect(calls).toEqual([])
+      await nextTick()
+      expect(calls).toEqual([
+        'pre:2:1',
+        'post:2:2',
+        'explicit post:2:2'
+      ])
+    })
+
+    it('run sync watchers on every change', function () {
+      var calls = []
+      var vm = new Vue({ data: { a: 1 } })
+      vm.$watch('a', function (val, old) {
+        calls.push(old + '->' + val)
+      }, { flush: 'sync' })
+      vm.a = 2
+      vm.a = 3
+      expect(calls).toEqual(['1->2', '2->3'])
+    })
+
+    it('run each queue in watcher id order', async function () {
+      var calls = []
+      var vm = new Vue({ data: { a: 1, b: 1 } })
+      vm.$watch('a', function () {
+        calls.push('a')
+      })
+      vm.$watch('b', function () {
+        calls.push('b')
+      })
+      vm.b = 2
+      vm.a = 2
+      await nextTick()
+      expect(calls).toEqual(['a', 'b'])
+    })
+
+    it('update parent components before their children', async function () {
+      var calls = []
+      var vm = mount({
+        template: '<div><child v-if="show" :msg="msg"></child></div>',
+        data: { show: true, msg: 'a' },
+        components: {
+          child: {
+            props: ['msg'],
+            template: '<p>{{ msg }}{{ track(own) }}</p>',
+            data: function () {
+              return { own: 1 }
+            },
+            methods: {
+              track: function (own) {
+                calls.push(this.msg + own)
+              }
+            }
+          }
+        }
+      })
+      var child = vm.$children[0]
+      child.own = 2
+      vm.msg = 'b'
+      await nextTick()
+      // the prop is passed down before the child renders
+      expect(calls).toEqual(['a1', 'b2'])
+      // a child destroyed by its parent does not render
+      child.own = 3
+      vm.show = false
+      await nextTick()
+      expect(calls).toEqual(['a1', 'b2'])
+    })
+
+    it('run the watchers of parents before the ones of their children', async function () {
+      var calls = []
+      var logger = {
+        methods: {
+          log: function (name, val) {
+            calls.push(name + ':' + val)
+            return val
+          }
+        }
+      }
+      // the children are compiled before the text that
+      // follows them, so their watchers are older
+      var vm = mount({
+        mixins: [logger],
+        template: '<div><child v-ref:child :msg="msg"></child>{{ log("parent", msg) }}</div>',
+        data: { msg: 'a' },
+        components: {
+          child: {
+            mixins: [logger],
+            props: ['msg'],
+            template: '<p><grandchild v-ref:grandchild :msg="msg"></grandchild>{{ log("child", msg) }}</p>',
+            components: {
+              grandchild: {
+                mixins: [logger],
+                props: ['msg'],
+                template: '<i>{{ log("grandchild", msg) }}</i>'
+              }
+            }
+          }
+        }
+      })
+      vm.$refs.child.$refs.grandchild.$watch('msg', function (val) {
+        calls.push('user grandchild:' + val)
+      })
+      vm.$watch('msg', function (val) {
+        calls.push('user parent:' + val)
+      })
+      calls = []
+      vm.msg = 'b'
+      await nextTick()
+      expect(calls).toEqual([
+        'parent:b',
+        'child:b',
+        'grandchild:b',
+        'user parent:b',
+        'user grandchild:b'
+      ])
+    })
+
+    it('run earlier phases triggered in the middle of a flush first', async function () {
+      var calls = []
+      var vm = mount({
+        template: '<p>{{ b }}</p>',
+        data: { a: 1, b: 1, c: 1 }
+      })
+      vm.$watch('a', function () {
+        calls.push('post a:' + this.$el.textContent)
+        this.b = 2
+      })
+      vm.$watch('c', function () {
+        calls.push('post c:' + this.$el.textContent)
+      })
+      vm.$watch('b', function () {
+        calls.push('pre b:' + this.$el.textContent)
+      }, { flush: 'pre' })
+      vm.a = 2
+      vm.c = 2
+      await nextTick()
+      expect(calls).toEqual([
+        'post a:1',
+        'pre b:1',
+        'post c:2'
+      ])
+    })
+  })
+
+  describe('afterFlush', function () {
+    it('is called once the DOM has been updated', async function () {
+      var vm = new Vue({
+        el: document.createElement('div'),
+        template: '<p>{{ a }}</p>',
+        data: { a: 1 }
+      })
+      var calls = []
+      vm.a = 2
+      Vue.afterFlush(function () {
+        calls.push('global:' + vm.$el.textContent)
+      })
+      vm.$afterFlush(function () {
+        calls.push('instance:' + this.$el.textContent)
+      })
+      vm.$watch('a', function () {
+        calls.push('watcher')
+      })
+      vm.a = 3
+      await nextTick()
+      expect(calls).toEqual(['watcher', 'global:3', 'instance:3'])
+    })
+
+    it('waits for the next flush when nothing is queued', async function () {
+      var spy = jasmine.createSpy('afterFlush')
+      Vue.afterFlush(spy)
+      expect(spy).not.toHaveBeenCalled()
+      await nextTick()
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('flushes changes made in the callback separately', async function () {
+      var vm = new Vue({
+        el: document.createElement('div'),
+        template: '<p>{{ a }}</p>',
+        data: { a: 1 }
+      })
+      var text
+      vm.a = 2
+      vm.$afterFlush(function () {
+        this.a = 3
+        text = this.$el.textContent
+      })
+      await nextTick()
+      expect(text).toBe('2')
+      await nextTick()
+      expect(vm.$el.textContent).toBe('3')
+    })
+  })
+
+  describe('performance mode', function () {
+    var reports
+
+    beforeEach(function () {
+      reports = []
+      performance.clearMeasures()
+    })
+
+    afterEach(function () {
+      Vue.config.performance = false
+    })
+
+    function measures () {
+      return performance.getEntriesByType('measure').map(function (entry) {
+        return entry.name
+      })
+    }
+
+    it('reports the time spent in each flush and watcher', async function () {
+      Vue.config.performance = function (report) {
+        reports.push(report)
+      }
+      var vm = new Vue({
+        name: 'profiled',
+        el: document.createElement('div'),
+        template: '<p>{{ a }}</p>',
+        data: { a: 1 }
+      })
+      vm.$watch('a', function () {})
+      vm.a = 2
+      await nextTick()
+      expect(reports.length).toBe(1)
+      var report = reports[0]
+      expect(report.duration).toEqual(jasmine.any(Number))
+      expect(report.reruns).toBe(0)
+      expect(report.watchers.length).toBe(2)
+      report.watchers.forEach(function (entry) {
+        expect(entry.expression).toBe('a')
+        expect(entry.vm).toBe(vm)
+        expect(entry.runs).toBe(1)
+        expect(entry.reruns).toBe(0)
+        expect(entry.time).toEqual(jasmine.any(Number))
+      })
+      expect(report.watchers[0].time >= report.watchers[1].time).toBe(true)
+      var names = measures()
+      expect(names.length).toBe(3)
+      expect(names[0]).toMatch(/^vue flush #\d+$/)
+      expect(names[1]).toBe('vue watcher "a" <profiled>')
+      expect(performance.getEntriesByType('mark').length).toBe(0)
+    })
+
+    it('counts the watchers running again in the same flush', async function () {
+      Vue.config.performance = function (report) {
+        reports.push(report)
+      }
+      var vm = new Vue({ data: { a: 0 } })
+      vm.$watch('a', function (val) {
+        if (val < 3) this.a++
+      })
+      vm.a = 1
+      await nextTick()
+      expect(vm.a).toBe(3)
+      expect(reports[0].reruns).toBe(2)
+      expect(reports[0].watchers[0].runs).toBe(3)
+      expect(reports[0].watchers[0].reruns).toBe(2)
+    })
+
+    it('only adds timeline entries when set to true', async function () {
+      Vue.config.performance = true
+      var vm = new Vue({ data: { a: 0 } })
+      vm.$watch(function () {
+        return this.a
+      }, function () {})
+      vm.a = 1
+      await nextTick()
+      var names = measures()
+      expect(names.length).toBe(2)
+      expect(names[0]).toMatch(/^vue flush #\d+$/)
+      expect(names[1]).toBe('vue watcher "anonymous function"')
+    })
+
+    it('is off by default', async function () {
+      var vm = new Vue({ data: { a: 0 } })
+      vm.$watch('a', function () {})
+      vm.a = 1
+      await nextTick()
+      expect(measures()).toEqual([])
+    })
+  })
+})
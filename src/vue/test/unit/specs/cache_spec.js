@@ -0,0 +1,36 @@
+var Cache = require('../../../src/cache').default
+
+describe('Cache', function () {
+  it('evicts the least recently used entry', function () {
+    var cache = new Cache(2)
+    expect(cache.put('a', 1)).toBeUndefined()
+    cache.put('b', 2)
+    cache.get('a')
+    var removed = cache.put('c', 3)
+    expect(removed.key).toBe('b')
+    expect(removed.value).toBe(2)
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.size).toBe(2)
+  })
+
+  it('peeks without registering a use', function () {
+    var cache = new Cache(2)
+    cache.put('a', 1)
+    cache.put('b', 2)
+    expect(cache.peek('a')).toBe(1)
+    expect(cache.peek('c')).toBeUndefined()
+    expect(cache.put('c', 3).key).toBe('a')
+  })
+
+  it('is empty after shifting the last entry', function () {
+    var cache = new Cache(1)
+    cache.put('a', 1)
+    expect(cache.shift().value).toBe(1)
+    expect(cache.head).toBeUndefined()
+    expect(cache.tail).toBeUndefined()
+    expect(cache.shift()).toBeUndefined()
+    cache.put('b', 2)
+    expect(cache.head).toBe(cache.tail)
+    expect(cache.get('b')).toBe(2)
+  })
+})
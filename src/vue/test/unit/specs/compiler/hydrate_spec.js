@@ -0,0 +1,276 @@
+var Vue = require('../../../../src/index').default
+var renderToString = require('../../../../src/server/index').renderToString
+
+describe('hydration', function () {
+  var container
+
+  beforeEach(function () {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+
+  afterEach(function () {
+    document.body.removeChild(container)
+  })
+
+  // render the options on the server, then mount a new
+  // instance created with the same options on the markup.
+  function hydrate (options, html) {
+    container.innerHTML = html || renderToString(new Vue(options()))
+    var vm = new Vue(options())
+    vm.$mount(container.firstChild, { hydrate: true })
+    return vm
+  }
+
+  it('links the server-rendered root in place', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<div :class="{ on: on }"><span>{{ msg }}</span></div>',
+        data: { on: true, msg: 'hi' }
+      }
+    })
+    var root = container.firstChild
+    var span = root.firstChild
+    expect(vm.$el).toBe(root)
+    expect(root.hasAttribute('server-rendered')).toBe(false)
+    expect(root.innerHTML).toBe('<span>hi</span>')
+    vm.msg = 'ho'
+    vm.on = false
+    await nextTick()
+    expect(root.firstChild).toBe(span)
+    expect(root.className).toBe('')
+    expect(root.innerHTML).toBe('<span>ho</span>')
+    expect(vm._isCompiled).toBe(true)
+  })
+
+  it('falls back to client rendering when the markup does not match', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<div><span>{{ msg }}</span></div>',
+        data: { msg: 'hi' }
+      }
+    }, '<div server-rendered="true"><p>stale</p></div>')
+    expect(hasWarned('does not match the compiled template')).toBe(true)
+    expect(container.innerHTML).toBe('<div><span>hi</span></div>')
+    expect(vm.$el).toBe(container.firstChild)
+    expect(vm._isCompiled).toBe(true)
+    vm.msg = 'ho'
+    await nextTick()
+    expect(container.innerHTML).toBe('<div><span>ho</span></div>')
+    vm.$destroy(true)
+    expect(container.innerHTML).toBe('')
+  })
+
+  it('reuses the nodes rendered by v-if and its branches', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<div><p v-if="ok">{{ msg }}</p><i v-else>no</i></div>',
+        data: { ok: true, msg: 'yes' }
+      }
+    })
+    var p = container.querySelector('p')
+    expect(container.firstChild.innerHTML).toBe('<p>yes</p>')
+    vm.msg = 'still'
+    await nextTick()
+    expect(container.querySelector('p')).toBe(p)
+    expect(p.textContent).toBe('still')
+    vm.ok = false
+    await nextTick()
+    expect(container.firstChild.innerHTML).toBe('<i>no</i>')
+    vm.ok = true
+    await nextTick()
+    expect(container.firstChild.innerHTML).toBe('<p>still</p>')
+  })
+
+  it('removes the nodes of a branch that is not rendered on the client', function () {
+    var html = '<div server-rendered="true"><!--[--><p>yes</p><!--]--></div>'
+    hydrate(function () {
+      return {
+        template: '<div><p v-if="ok">yes</p></div>',
+        data: { ok: false }
+      }
+    }, html)
+    expect(container.firstChild.innerHTML).toBe('')
+  })
+
+  it('reuses the items rendered by v-for', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<ul><li v-for="item in items">{{ item }}</li></ul>',
+        data: { items: ['a', 'b'] }
+      }
+    })
+    var items = container.querySelectorAll('li')
+    expect(container.firstChild.innerHTML).toBe('<li>a</li><li>b</li>')
+    vm.items.push('c')
+    await nextTick()
+    var updated = container.querySelectorAll('li')
+    expect(updated[0]).toBe(items[0])
+    expect(updated[1]).toBe(items[1])
+    expect(container.firstChild.innerHTML).toBe('<li>a</li><li>b</li><li>c</li>')
+    vm.items.shift()
+    await nextTick()
+    expect(container.firstChild.innerHTML).toBe('<li>b</li><li>c</li>')
+  })
+
+  it('renders the v-for items the server did not render', function () {
+    var html = '<ul server-rendered="true"><!--[--><li>a</li><!--]--></ul>'
+    hydrate(function () {
+      return {
+        template: '<ul><li v-for="item in items">{{ item }}</li></ul>',
+        data: { items: ['a', 'b'] }
+      }
+    }, html)
+    expect(container.firstChild.innerHTML).toBe('<li>a</li><li>b</li>')
+  })
+
+  it('drops the v-for items the server rendered in excess', function () {
+    var html = '<ul server-rendered="true"><!--[--><li>a</li><li>b</li><!--]--></ul>'
+    hydrate(function () {
+      return {
+        template: '<ul><li v-for="item in items">{{ item }}</li></ul>',
+        data: { items: ['a'] }
+      }
+    }, html)
+    expect(container.firstChild.innerHTML).toBe('<li>a</li>')
+  })
+
+  it('reuses multi-node v-for fragments and the v-for else block', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<dl><template v-for="item in items"><dt>{{ item.k }}</dt>' +
+          '<dd>{{ item.v }}</dd></template><p v-else>empty</p></dl>',
+        data: { items: [{ k: 'a', v: 1 }, { k: 'b', v: 2 }] }
+      }
+    })
+    var dd = container.querySelectorAll('dd')[1]
+    expect(container.firstChild.innerHTML)
+      .toBe('<dt>a</dt><dd>1</dd><dt>b</dt><dd>2</dd>')
+    vm.items[1].v = 3
+    await nextTick()
+    expect(container.querySelectorAll('dd')[1]).toBe(dd)
+    expect(dd.textContent).toBe('3')
+    vm.items = []
+    await nextTick()
+    expect(container.firstChild.innerHTML).toBe('<p>empty</p>')
+
+    vm = hydrate(function () {
+      return {
+        template: '<ul><li v-for="item in items">{{ item }}</li><p v-else>empty</p></ul>',
+        data: { items: [] }
+      }
+    })
+    var p = container.querySelector('p')
+    expect(container.firstChild.innerHTML).toBe('<p>empty</p>')
+    vm.items.push('a')
+    await nextTick()
+    expect(container.firstChild.innerHTML).toBe('<li>a</li>')
+    expect(p.parentNode).toBe(null)
+  })
+
+  it('hydrates child components and their slot content', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<div><child :msg="msg"><b>{{ slot }}</b></child></div>',
+        data: { msg: 'a', slot: 's' },
+        components: {
+          child: {
+            props: ['msg'],
+            template: '<section>{{ msg }} <slot></slot></section>'
+          }
+        }
+      }
+    })
+    var section = container.querySelector('section')
+    var b = container.querySelector('b')
+    var child = vm.$children[0]
+    expect(child.$el).toBe(section)
+    expect(section.outerHTML).toBe('<section>a <b>s</b></section>')
+    vm.msg = 'b'
+    vm.slot = 't'
+    await nextTick()
+    expect(container.querySelector('section')).toBe(section)
+    expect(container.querySelector('b')).toBe(b)
+    expect(section.outerHTML).toBe('<section>b <b>t</b></section>')
+  })
+
+  it('keeps the state of the reused nodes', function () {
+    var options = function () {
+      return {
+        template: '<div><div v-if="ok"><child></child></div></div>',
+        data: { ok: true },
+        components: {
+          child: { template: '<form><input></form>' }
+        }
+      }
+    }
+    container.innerHTML = renderToString(new Vue(options()))
+    // the user starts typing before the client code is loaded
+    var input = container.querySelector('input')
+    input.focus()
+    input.value = 'typed'
+    new Vue(options()).$mount(container.firstChild, { hydrate: true })
+    expect(container.querySelector('input')).toBe(input)
+    expect(document.activeElement).toBe(input)
+    expect(input.value).toBe('typed')
+  })
+
+  it('hydrates slot fallback content, partials and functional components', async function () {
+    var vm = hydrate(function () {
+      return {
+        template: '<div><child></child><partial name="p"></partial><fn :n="n"></fn></div>',
+        data: { n: 1 },
+        partials: { p: '<i>{{ n }}</i>' },
+        components: {
+          child: { template: '<p><slot><b>fallback</b></slot></p>' },
+          fn: { functional: true, props: ['n'], template: '<em>{{ n }}</em>' }
+        }
+      }
+    })
+    var b = container.querySelector('b')
+    var i = container.querySelector('i')
+    var em = container.querySelector('em')
+    expect(container.firstChild.innerHTML)
+      .toBe('<p><b>fallback</b></p><i>1</i><em>1</em>')
+    vm.n = 2
+    await nextTick()
+    expect(container.querySelector('b')).toBe(b)
+    expect(container.querySelector('i')).toBe(i)
+    expect(container.querySelector('em')).toBe(em)
+    expect(container.firstChild.innerHTML)
+      .toBe('<p><b>fallback</b></p><i>2</i><em>2</em>')
+  })
+
+  it('renders a child component again if its markup does not match', function () {
+    var html = '<div server-rendered="true"><!--[--><p>stale</p><!--]--></div>'
+    var vm = hydrate(function () {
+      return {
+        template: '<div><child></child></div>',
+        components: {
+          child: { template: '<section>fresh</section>' }
+        }
+      }
+    }, html)
+    expect(hasWarned('does not match the compiled template')).toBe(true)
+    expect(container.firstChild.innerHTML).toBe('<section>fresh</section>')
+    expect(vm.$children[0].$el).toBe(container.querySelector('section'))
+  })
+
+  it('renders raw html interpolations again', function () {
+    hydrate(function () {
+      return {
+        template: '<div>{{{ html }}}</div>',
+        data: { html: '<b>x</b>' }
+      }
+    })
+    expect(container.firstChild.innerHTML).toBe('<b>x</b>')
+  })
+
+  it('refuses elements that were not server-rendered', function () {
+    container.innerHTML = '<div><span>hi</span></div>'
+    var vm = new Vue({ template: '<div><span>{{ msg }}</span></div>', data: { msg: 'ho' } })
+    vm.$mount(container.firstChild, { hydrate: true })
+    expect(hasWarned('Cannot hydrate an element that was not server-rendered')).toBe(true)
+    expect(container.innerHTML).toBe('<div><span>ho</span></div>')
+  })
+})
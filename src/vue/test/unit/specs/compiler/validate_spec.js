@@ -0,0 +1,131 @@
+var Vue = require('../../../../src/index').default
+
+describe('template validation', function () {
+  var validate = Vue.compiler.validate
+
+  function codes (diagnostics) {
+    return diagnostics.map(function (d) {
+      return d.code
+    })
+  }
+
+  afterEach(function () {
+    Vue.config.strict = false
+  })
+
+  it('returns nothing for a valid template', function () {
+    var diagnostics = validate(
+      '<div :class="{ a: ok }" @click="n++"><item v-for="i in list | orderBy \'n\'" :n="i">' +
+      '{{ i.n | uppercase }}</item><p v-if="ok" v-pre>{{ raw stuff }}</p></div>',
+      { components: { item: { props: ['n'] } } }
+    )
+    expect(diagnostics).toEqual([])
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('collects every problem with its location', function () {
+    var template = '<div>\n' +
+      '  <widget></widget>\n' +
+      '  <p v-foo="a" v-if="ok" v-for="i in list">{{ a + }}</p>\n' +
+      '  <span :title="b | nope">{{ c | nada }}</span>\n' +
+      '  <i v-for="list"></i>\n' +
+      '</div>'
+    var diagnostics = validate(template)
+    expect(codes(diagnostics)).toEqual([
+      'unknown-component',
+      'if-with-for',
+      'unknown-directive',
+      'invalid-expression',
+      'unknown-filter',
+      'unknown-filter',
+      'invalid-v-for'
+    ])
+    expect(diagnostics[0].message).toBe('Unknown custom element: <widget>')
+    expect(diagnostics[0].loc).toEqual({ start: 8, end: 15, line: 2, column: 3 })
+    expect(diagnostics[0].frame).toContain('2 |    <widget></widget>\n  |    ^^^^^^^')
+    expect(diagnostics[2].message).toBe('Unknown directive: v-foo')
+    expect(diagnostics[2].loc.line).toBe(3)
+    expect(diagnostics[2].loc.column).toBe(6)
+    expect(diagnostics[3].message).toContain('Invalid expression "a +"')
+    expect(diagnostics[4].message).toBe('Unknown filter: nope')
+    expect(diagnostics[4].loc.column).toBe(9)
+    expect(diagnostics[5].message).toBe('Unknown filter: nada')
+    expect(diagnostics[6].message).toContain('Invalid v-for expression "list"')
+    // nothing is logged
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('resolves assets from the options or a constructor', function () {
+    var Ctor = Vue.extend({
+      components: { widget: {} },
+      directives: { foo: {} },
+      filters: { nope: function (v) { return v } }
+    })
+    var template = '<div><widget v-foo="a">{{ a | nope }}</widget><b is="missing"></b></div>'
+    expect(codes(validate(template, Ctor))).toEqual(['unknown-component'])
+    expect(validate(template, Ctor)[0].message).toBe('Unknown component: missing')
+    expect(codes(validate(template, { filters: { nope: function () {} } })))
+      .toEqual(['unknown-component', 'unknown-directive', 'unknown-component'])
+  })
+
+  it('reports fragment instances and invalid templates', function () {
+    var diagnostics = validate('<p>a</p><p>b</p>', { replace: true })
+    expect(codes(diagnostics)).toEqual(['fragment-instance'])
+    expect(diagnostics[0].loc.start).toBe(0)
+    expect(codes(validate('<p>a</p><p>b</p>', { replace: false }))).toEqual([])
+    expect(codes(validate('#no-such-template'))).toEqual(['invalid-template'])
+  })
+
+  it('reports the other compiler warnings', function () {
+    var diagnostics = validate('<div><p class="a {{ b }}" :class="c"></p></div>')
+    expect(codes(diagnostics)).toEqual(['compile-warning'])
+    expect(diagnostics[0].message).toContain('Do not mix mustache interpolation')
+    expect(diagnostics[0].loc.column).toBe(9)
+  })
+
+  describe('strict mode', function () {
+    it('throws a template error instead of rendering', function () {
+      Vue.config.strict = true
+      var vm = new Vue({
+        template: '<div><strict-unknown></strict-unknown>{{ a | strictNope }}</div>'
+      })
+      var error
+      try {
+        vm.$mount()
+      } catch (e) {
+        error = e
+      }
+      expect(error.name).toBe('TemplateError')
+      expect(error.message).toContain('Found 2 problems in template:\n\n' +
+        'Unknown custom element: <strict-unknown>\n1 |  ')
+      expect(codes(error.diagnostics)).toEqual(['unknown-component', 'unknown-filter'])
+    })
+
+    it('validates each template once per constructor', function () {
+      Vue.config.strict = true
+      var Ctor = Vue.extend({
+        template: '<p>{{ n | once }}</p>',
+        filters: {
+          once: function (v) {
+            return v + '!'
+          }
+        }
+      })
+      var vm = new Ctor({ data: { n: 1 } })
+      vm.$mount()
+      expect(vm.$el.textContent).toBe('1!')
+      // would not pass validation anymore
+      delete Ctor.options.filters.once
+      vm = new Ctor({ data: { n: 2 } })
+      vm.$mount()
+      expect(vm.$el.textContent).toBe('2')
+      expect(hasWarned('Failed to resolve filter: once')).toBe(true)
+    })
+
+    it('is off by default', function () {
+      var vm = new Vue({ template: '<div>{{ a | laxNope }}</div>' })
+      vm.$mount()
+      expect(hasWarned('Failed to resolve filter: laxNope')).toBe(true)
+    })
+  })
+})
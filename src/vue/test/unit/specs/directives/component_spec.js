@@ -0,0 +1,466 @@
+var Vue = require('../../../../src/index').default
+
+describe('component', function () {
+  describe('functional', function () {
+    var badge = {
+      functional: true,
+      props: ['count', 'label'],
+      template: '<span class="badge" :title="label">{{ count | plus }}{{ secret }}</span>',
+      filters: {
+        plus: function (n) {
+          return n > 9 ? '9+' : n
+        }
+      }
+    }
+
+    it('renders props without creating an instance', async function () {
+      var init = spyOn(Vue.prototype, '_init').and.callThrough()
+      var vm = mount({
+        template: '<div><badge v-for="n in counts" :count="n" label="new"></badge></div>',
+        data: { counts: [1, 12], secret: 'hidden' },
+        components: { badge: badge }
+      })
+      expect(init.calls.count()).toBe(1)
+      expect(vm.$children.length).toBe(0)
+      // the template only sees the props
+      expect(vm.$el.innerHTML).toBe(
+        '<span class="badge" title="new">1</span><span class="badge" title="new">9+</span>'
+      )
+      vm.counts.$set(0, 5)
+      await nextTick()
+      expect(vm.$el.textContent).toBe('59+')
+      var first = vm.$el.querySelector('span')
+      vm.counts.push(3)
+      await nextTick()
+      expect(vm.$el.textContent).toBe('59+3')
+      expect(vm.$el.querySelector('span')).toBe(first)
+      expect(init.calls.count()).toBe(1)
+    })
+
+    it('updates when props change and stops when removed', async function () {
+      var vm = mount({
+        template: '<div><badge v-if="show" :count="n"></badge></div>',
+        data: { show: true, n: 1 },
+        components: { badge: badge }
+      })
+      var watchers = vm._watchers.length
+      vm.n = 2
+      await nextTick()
+      expect(vm.$el.textContent).toBe('2')
+      vm.show = false
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('')
+      expect(vm._watchers.filter(function (w) {
+        return w.active
+      }).length).toBeLessThan(watchers)
+    })
+
+    it('can be switched with dynamic components', async function () {
+      var vm = mount({
+        template: '<div><component :is="view" :count="3"></component></div>',
+        data: { view: 'badge' },
+        components: {
+          badge: badge,
+          plain: { props: ['count'], template: '<p>{{ count }}</p>' }
+        }
+      })
+      expect(vm.$el.innerHTML).toBe('<span class="badge">3</span>')
+      vm.view = 'plain'
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<p>3</p>')
+      expect(vm.$children.length).toBe(1)
+      vm.view = 'badge'
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<span class="badge">3</span>')
+      expect(vm.$children.length).toBe(0)
+    })
+
+    it('warns about an invalid template', function () {
+      var vm = mount({
+        template: '<div><broken></broken></div>',
+        components: {
+          broken: { functional: true, template: '#no-such-template' }
+        }
+      })
+      expect(hasWarned('Invalid template option for functional component: #no-such-template')).toBe(true)
+      expect(vm.$el.innerHTML).toBe('')
+    })
+  })
+
+  describe('async', function () {
+    var loading = { template: '<i>loading</i>' }
+    var error = {
+      template: '<b>{{ error }}</b>',
+      created: function () {
+        errorVM = this
+      }
+    }
+    var errorVM
+
+    // a promise with its settle functions
+    function deferred () {
+      var d = {}
+      d.promise = new Promise(function (resolve, reject) {
+        d.resolve = resolve
+        d.reject = reject
+      })
+      return d
+    }
+
+    function mountAsync (factory, data) {
+      return mount({
+        template: '<div><async v-if="show"></async></div>',
+        data: data || { show: true },
+        components: { async: factory }
+      })
+    }
+
+    beforeEach(function () {
+      errorVM = null
+    })
+
+    it('renders the component a returned promise resolves to', async function () {
+      var d = deferred()
+      var vm = mountAsync(function () {
+        return d.promise
+      })
+      expect(vm.$el.innerHTML).toBe('')
+      d.resolve({ template: '<p>done</p>' })
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<p>done</p>')
+    })
+
+    it('shows the loading component after the delay', async function () {
+      var d = deferred()
+      var vm = mountAsync(function () {
+        return { component: d.promise, loading: loading, delay: 20 }
+      })
+      expect(vm.$el.innerHTML).toBe('')
+      await wait(30)
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      d.resolve({ template: '<p>done</p>' })
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<p>done</p>')
+      expect(vm.$children.length).toBe(1)
+    })
+
+    it('shows the loading component right away without a delay', async function () {
+      var vm = mountAsync(function () {
+        return { component: deferred().promise, loading: loading, delay: 0 }
+      })
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      // the loading timer is cleared with the directive
+      vm.show = false
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('')
+      expect(vm.$children.length).toBe(0)
+    })
+
+    it('shows the error component with a retry method', async function () {
+      var attempts = []
+      var vm = mountAsync(function () {
+        var d = deferred()
+        attempts.push(d)
+        return { component: d.promise, loading: loading, error: error, delay: 0 }
+      })
+      attempts[0].reject('offline')
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<b>offline</b>')
+      expect(hasWarned('Failed to resolve async component: async. \nReason: offline')).toBe(true)
+      errorVM.retry()
+      expect(attempts.length).toBe(2)
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      attempts[1].resolve({ template: '<p>done</p>' })
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<p>done</p>')
+    })
+
+    it('fails requests that time out, and ignores their late result', async function () {
+      var d = deferred()
+      var vm = mountAsync(function () {
+        return { component: d.promise, error: error, timeout: 10 }
+      })
+      await wait(20)
+      expect(vm.$el.innerHTML).toBe('<b>timeout (10ms)</b>')
+      d.resolve({ template: '<p>late</p>' })
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<b>timeout (10ms)</b>')
+    })
+
+    it('calls the factory again before failing', async function () {
+      var calls = 0
+      var vm = mountAsync(function () {
+        calls++
+        return {
+          component: calls < 3 ? Promise.reject('flaky') : Promise.resolve({ template: '<p>ok</p>' }),
+          error: error,
+          retry: 2
+        }
+      })
+      await wait(0)
+      expect(calls).toBe(3)
+      expect(vm.$el.innerHTML).toBe('<p>ok</p>')
+      expect(console.error).not.toHaveBeenCalled()
+    })
+
+    it('still supports resolve and reject callbacks', async function () {
+      var factory = function (resolve) {
+        setTimeout(function () {
+          resolve({ template: '<p>cb</p>' })
+        }, 0)
+      }
+      var vm = mountAsync(factory)
+      await wait(5)
+      expect(vm.$el.innerHTML).toBe('<p>cb</p>')
+      // the resolved component is cached
+      var other = mountAsync(factory)
+      expect(other.$el.innerHTML).toBe('<p>cb</p>')
+
+      vm = mountAsync(function (resolve, reject) {
+        reject('nope')
+      })
+      expect(hasWarned('Reason: nope')).toBe(true)
+      expect(vm.$el.innerHTML).toBe('')
+    })
+
+    it('drops a pending request when the component is switched', async function () {
+      var d = deferred()
+      var vm = mount({
+        template: '<div><component :is="view"></component></div>',
+        data: { view: 'slow' },
+        components: {
+          slow: function () {
+            return { component: d.promise, loading: loading, delay: 0 }
+          },
+          fast: { template: '<p>fast</p>' }
+        }
+      })
+      expect(vm.$el.innerHTML).toBe('<i>loading</i>')
+      vm.view = 'fast'
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<p>fast</p>')
+      d.resolve({ template: '<p>slow</p>' })
+      await wait(0)
+      expect(vm.$el.innerHTML).toBe('<p>fast</p>')
+    })
+  })
+
+  describe('keep-alive', function () {
+    var log
+
+    // a component recording its lifecycle, with some state
+    function view (name) {
+      return {
+        template: '<p>' + name + '{{ n }}</p>',
+        data: function () {
+          return { n: 0 }
+        },
+        created: function () {
+          log.push('created:' + name)
+        },
+        deactivated: function () {
+          log.push('deactivated:' + name)
+        },
+        destroyed: function () {
+          log.push('destroyed:' + name)
+        }
+      }
+    }
+
+    function mountViews (params, data) {
+      data = data || {}
+      data.view = 'one'
+      return mount({
+        template: '<div><component v-ref:view :is="view" keep-alive ' + params + '></component></div>',
+        data: data,
+        components: { one: view('a'), two: view('b'), three: view('c') }
+      })
+    }
+
+    async function show (vm, name) {
+      vm.view = name
+      await nextTick()
+    }
+
+    beforeEach(function () {
+      log = []
+    })
+
+    it('keeps the state of the included components only', async function () {
+      var vm = mountViews('keep-alive-include="one, two"')
+      var a = vm.$refs.view
+      a.n = 1
+      await show(vm, 'three')
+      await show(vm, 'two')
+      expect(log).toEqual(['created:a', 'created:c', 'deactivated:a', 'created:b', 'destroyed:c'])
+      await show(vm, 'one')
+      expect(vm.$refs.view).toBe(a)
+      expect(vm.$el.innerHTML).toBe('<p>a1</p>')
+      await show(vm, 'three')
+      await show(vm, 'one')
+      // c is not cached, so it is created again
+      expect(log.filter(function (entry) {
+        return entry === 'created:c'
+      }).length).toBe(2)
+      expect(a._isDestroyed).toBe(false)
+    })
+
+    it('matches names with regular expressions and arrays', async function () {
+      var vm = mountViews(':keep-alive-include="include" :keep-alive-exclude="exclude"', {
+        include: ['one', /^t/],
+        exclude: /ee$/
+      })
+      var a = vm.$refs.view
+      await show(vm, 'two')
+      var b = vm.$refs.view
+      await show(vm, 'three')
+      var c = vm.$refs.view
+      await show(vm, 'one')
+      await show(vm, 'two')
+      expect(vm.$refs.view).toBe(b)
+      expect(a._isDestroyed).toBe(false)
+      expect(c._isDestroyed).toBe(true)
+    })
+
+    it('destroys the least recently used instance beyond the max', async function () {
+      var vm = mountViews('keep-alive-max="2"')
+      var a = vm.$refs.view
+      await show(vm, 'two')
+      var b = vm.$refs.view
+      await show(vm, 'one')
+      log = []
+      await show(vm, 'three')
+      // b was used before a, and was already deactivated
+      expect(log).toEqual(['created:c', 'destroyed:b', 'deactivated:a'])
+      expect(b._isDestroyed).toBe(true)
+      await show(vm, 'one')
+      expect(vm.$refs.view).toBe(a)
+      await show(vm, 'two')
+      expect(vm.$refs.view).not.toBe(b)
+      expect(vm.$el.innerHTML).toBe('<p>b0</p>')
+    })
+
+    it('deactivates the current instance when it is evicted', async function () {
+      var vm = mountViews('keep-alive-max="1"')
+      var a = vm.$refs.view
+      await show(vm, 'two')
+      expect(log).toEqual(['created:a', 'created:b', 'deactivated:a', 'destroyed:a'])
+      expect(a._isDestroyed).toBe(true)
+      expect(vm.$el.innerHTML).toBe('<p>b0</p>')
+    })
+
+    it('destroys the cached instances with the directive', async function () {
+      var vm = mountViews('')
+      var a = vm.$refs.view
+      await show(vm, 'two')
+      vm.$destroy()
+      expect(a._isDestroyed).toBe(true)
+      expect(log.slice(-2).sort()).toEqual(['destroyed:a', 'destroyed:b'])
+    })
+  })
+
+  describe('activated and deactivated hooks', function () {
+    var log
+
+    function hooks (name, options) {
+      options.activated = function () {
+        log.push('activated:' + name)
+      }
+      options.deactivated = function () {
+        log.push('deactivated:' + name)
+      }
+      return options
+    }
+
+    beforeEach(function () {
+      log = []
+    })
+
+    it('are called when a kept-alive component is inserted and removed', async function () {
+      var vm = mount({
+        template: '<div><component :is="view" keep-alive transition-mode="out-in"></component></div>',
+        data: { view: 'first' },
+        components: {
+          first: hooks('first', { template: '<p>first</p>' }),
+          second: hooks('second', { template: '<p>second</p>' })
+        }
+      })
+      expect(log).toEqual(['activated:first'])
+      vm.view = 'second'
+      await nextTick()
+      expect(log).toEqual(['activated:first', 'deactivated:first', 'activated:second'])
+      vm.view = 'first'
+      await nextTick()
+      expect(log.slice(3)).toEqual(['deactivated:second', 'activated:first'])
+      expect(vm.$el.innerHTML).toBe('<p>first</p>')
+    })
+
+    it('are not called without keep-alive', async function () {
+      var vm = mount({
+        template: '<div><component :is="view"></component></div>',
+        data: { view: 'first' },
+        components: {
+          first: hooks('first', { template: '<p>first</p>' }),
+          second: hooks('second', { template: '<p>second</p>' })
+        }
+      })
+      vm.view = 'second'
+      await nextTick()
+      expect(log).toEqual([])
+    })
+
+    it('are called on the active descendants', async function () {
+      var vm = mount({
+        template: '<div><component :is="view" keep-alive></component></div>',
+        data: { view: 'page' },
+        components: {
+          page: hooks('page', {
+            template: '<div><item></item><component :is="tab" keep-alive></component></div>',
+            data: function () {
+              return { tab: 'x' }
+            },
+            components: {
+              item: hooks('item', { template: '<i></i>' }),
+              x: hooks('x', { template: '<b>x</b>' }),
+              y: hooks('y', { template: '<b>y</b>' })
+            }
+          }),
+          other: { template: '<p>other</p>' }
+        }
+      })
+      var page = vm.$children[0]
+      page.tab = 'y'
+      await nextTick()
+      log = []
+      vm.view = 'other'
+      await nextTick()
+      // x is kept inactive by the keep-alive of the page
+      expect(log).toEqual(['deactivated:page', 'deactivated:item', 'deactivated:y'])
+      log = []
+      vm.view = 'page'
+      await nextTick()
+      expect(log).toEqual(['activated:page', 'activated:item', 'activated:y'])
+      expect(vm.$el.innerHTML).toBe('<div><i></i><b>y</b></div>')
+    })
+
+    it('are merged with the hooks of mixins', async function () {
+      var mixin = hooks('mixin', {})
+      var vm = mount({
+        template: '<div><component :is="view" keep-alive></component></div>',
+        data: { view: 'first' },
+        components: {
+          first: hooks('first', { mixins: [mixin], template: '<p>first</p>' }),
+          second: { template: '<p>second</p>' }
+        }
+      })
+      vm.view = 'second'
+      await nextTick()
+      expect(log).toEqual([
+        'activated:mixin',
+        'activated:first',
+        'deactivated:mixin',
+        'deactivated:first'
+      ])
+    })
+  })
+})
@@ -0,0 +1,90 @@
+describe('v-for else block', function () {
+  it('is rendered while the list is empty', async function () {
+    var vm = mount({
+      template: '<ul><li v-for="item in items">{{ item }}</li><li v-else>empty</li><li>end</li></ul>',
+      data: { items: [] }
+    })
+    expect(vm.$el.textContent).toBe('emptyend')
+    vm.items.push('a', 'b')
+    await nextTick()
+    expect(vm.$el.textContent).toBe('abend')
+    vm.items = []
+    await nextTick()
+    expect(vm.$el.textContent).toBe('emptyend')
+    var li = vm.$el.firstChild
+    vm.items = []
+    await nextTick()
+    expect(vm.$el.firstChild).toBe(li)
+  })
+
+  it('uses the filtered list without evaluating the expression again', async function () {
+    var calls = 0
+    var vm = mount({
+      template: '<div><p v-for="item in list() | filterBy query in \'name\'">{{ item.name }}</p>' +
+        '<p v-else>no match for {{ query }}</p></div>',
+      data: { items: [{ name: 'apple' }, { name: 'pear' }], query: '' },
+      methods: {
+        list: function () {
+          calls++
+          return this.items
+        }
+      }
+    })
+    expect(vm.$el.textContent).toBe('applepear')
+    expect(calls).toBe(1)
+    vm.query = 'kiwi'
+    await nextTick()
+    expect(vm.$el.textContent).toBe('no match for kiwi')
+    expect(calls).toBe(2)
+    vm.query = 'pe'
+    await nextTick()
+    expect(vm.$el.textContent).toBe('pear')
+  })
+
+  it('handles objects, ranges and multi-node blocks', async function () {
+    var vm = mount({
+      template: '<div><i v-for="v in obj">{{ v }}</i>' +
+        '<template v-else><b>no</b><b>keys</b></template>' +
+        '<s v-for="n in count">{{ n }}</s><u v-else>zero</u></div>',
+      data: { obj: {}, count: 0 }
+    })
+    expect(vm.$el.textContent).toBe('nokeyszero')
+    vm.obj = { a: 1 }
+    vm.count = 2
+    await nextTick()
+    expect(vm.$el.textContent).toBe('101')
+  })
+
+  it('links components in the else block and destroys them with the list', async function () {
+    var vm = mount({
+      template: '<div><p v-for="item in items">{{ item }}</p><empty v-else :msg="msg"></empty></div>',
+      data: { items: [], msg: 'nothing' },
+      components: {
+        empty: { props: ['msg'], template: '<em>{{ msg }}</em>' }
+      }
+    })
+    var child = vm.$children[0]
+    expect(vm.$el.textContent).toBe('nothing')
+    vm.msg = 'still nothing'
+    await nextTick()
+    expect(vm.$el.textContent).toBe('still nothing')
+    vm.items.push(1)
+    await nextTick()
+    expect(child._isDestroyed).toBe(true)
+    expect(vm.$children.length).toBe(0)
+    vm.items.pop()
+    await nextTick()
+    child = vm.$children[0]
+    vm.$destroy()
+    expect(child._isDestroyed).toBe(true)
+  })
+
+  it('renders as a plain element when it does not follow v-for', function () {
+    var vm = mount({
+      template: '<div><p v-for="i in items">{{ i }}</p><span></span><p v-else>else</p></div>',
+      data: { items: [1] }
+    })
+    expect(vm.$el.textContent).toBe('1else')
+    expect(hasWarned('v-else used on element <p> without a corresponding')).toBe(true)
+  })
+})
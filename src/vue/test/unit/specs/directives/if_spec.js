@@ -0,0 +1,152 @@
+describe('v-else-if', function () {
+  it('renders the first branch whose condition holds', async function () {
+    var vm = mount({
+      template: '<div><p v-if="n === 1">one</p>' +
+        '<p v-else-if="n === 2">two</p>' +
+        '<template v-else-if="n === 3"><b>three</b><i>{{ n }}</i></template>' +
+        '<p v-else>other</p></div>',
+      data: { n: 1 }
+    })
+    expect(vm.$el.textContent).toBe('one')
+    var count = vm.$el.childNodes.length
+    vm.n = 2
+    await nextTick()
+    expect(vm.$el.textContent).toBe('two')
+    vm.n = 3
+    await nextTick()
+    expect(vm.$el.textContent).toBe('three3')
+    vm.n = 4
+    await nextTick()
+    expect(vm.$el.textContent).toBe('other')
+    vm.n = 1
+    await nextTick()
+    expect(vm.$el.textContent).toBe('one')
+    // the branches share a single anchor
+    expect(vm.$el.childNodes.length).toBe(count)
+  })
+
+  it('renders nothing when no branch matches and there is no v-else', async function () {
+    var vm = mount({
+      template: '<div><p v-if="a">a</p><p v-else-if="b">b</p><span>end</span></div>',
+      data: { a: false, b: false }
+    })
+    expect(vm.$el.textContent).toBe('end')
+    vm.b = true
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<p>b</p><span>end</span>')
+  })
+
+  it('only evaluates a condition while the ones before it are falsy', async function () {
+    var calls = 0
+    var vm = mount({
+      template: '<div><p v-if="!user">guest</p>' +
+        '<p v-else-if="check(user.admin)">admin</p><p v-else>user</p></div>',
+      data: { user: null },
+      methods: {
+        check: function (admin) {
+          calls++
+          return admin
+        }
+      }
+    })
+    expect(vm.$el.textContent).toBe('guest')
+    expect(calls).toBe(0)
+    vm.user = { admin: false }
+    await nextTick()
+    expect(vm.$el.textContent).toBe('user')
+    expect(calls).toBe(1)
+    vm.user.admin = true
+    await nextTick()
+    expect(vm.$el.textContent).toBe('admin')
+    expect(calls).toBe(2)
+    // the condition is not watched while an earlier branch is rendered
+    var user = vm.user
+    vm.user = null
+    await nextTick()
+    user.admin = false
+    await nextTick()
+    expect(calls).toBe(2)
+    expect(vm.$el.textContent).toBe('guest')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('links branches in the scope of v-for and with components', async function () {
+    var vm = mount({
+      template: '<ul><li v-for="item in items">' +
+        '<item v-if="item.type === \'a\'" :v="item.v"></item>' +
+        '<b v-else-if="item.type === \'b\' | not" >{{ item.v }}</b>' +
+        '<i v-else>{{ item.v }}</i></li></ul>',
+      data: { items: [{ type: 'a', v: 1 }, { type: 'b', v: 2 }, { type: 'c', v: 3 }] },
+      filters: {
+        not: function (v) {
+          return !v
+        }
+      },
+      components: {
+        item: { props: ['v'], template: '<em>{{ v }}</em>' }
+      }
+    })
+    expect(vm.$el.textContent).toBe('123')
+    expect(vm.$el.querySelectorAll('em').length).toBe(1)
+    vm.items[0].type = 'c'
+    await nextTick()
+    expect(vm.$el.textContent).toBe('123')
+    expect(vm.$el.querySelectorAll('em').length).toBe(0)
+    expect(vm.$children.length).toBe(0)
+  })
+
+  it('runs transitions between branches', async function () {
+    var calls = []
+    var vm = mount({
+      template: '<div><p v-if="ok" transition="t">a</p><p v-else-if="maybe" transition="t">b</p></div>',
+      data: { ok: true, maybe: true },
+      transitions: {
+        t: {
+          css: false,
+          enter: function (el, done) {
+            calls.push('enter ' + el.textContent)
+            done()
+          },
+          leave: function (el, done) {
+            calls.push('leave ' + el.textContent)
+            done()
+          }
+        }
+      }
+    })
+    document.body.appendChild(vm.$el)
+    calls.length = 0
+    vm.ok = false
+    await nextTick()
+    expect(calls).toEqual(['leave a', 'enter b'])
+    expect(vm.$el.textContent).toBe('b')
+    document.body.removeChild(vm.$el)
+  })
+
+  it('stops watching the conditions when destroyed', async function () {
+    var vm = mount({
+      template: '<div><p v-if="a">a</p><p v-else-if="b">b</p></div>',
+      data: { a: false, b: true }
+    })
+    var el = vm.$el
+    vm.$destroy()
+    vm.b = false
+    await nextTick()
+    expect(el.textContent).toBe('b')
+  })
+
+  it('warns about branches that do not follow a v-if', function () {
+    mount({
+      template: '<div><p v-else-if="a">a</p><span></span><p v-else>b</p>' +
+        '<p v-show="a">c</p><p v-else>d</p></div>',
+      data: { a: true }
+    })
+    expect(hasWarned(
+      'v-else-if used on element <p> without a corresponding v-if or v-else-if right before it.'
+    )).toBe(true)
+    expect(hasWarned(
+      'v-else used on element <p> without a corresponding v-if, v-else-if, v-for or v-show right before it.'
+    )).toBe(true)
+    expect(console.error.calls.count()).toBe(2)
+  })
+})
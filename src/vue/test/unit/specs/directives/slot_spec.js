@@ -0,0 +1,153 @@
+describe('slots', function () {
+  describe('scoped', function () {
+    var dataTable = {
+      props: ['rows'],
+      template: '<table><tr v-for="row in rows">' +
+        '<td><slot name="cell" :item="row" :index="$index" kind="row">{{ row.name }}</slot></td>' +
+        '</tr></table>'
+    }
+
+    it('exposes the slot bindings to the parent template', async function () {
+      var vm = mount({
+        template: '<div><data-table :rows="rows" v-ref:table>' +
+          '<template slot="cell" scope="props">{{ props.index }}:{{ props.item.name }}' +
+          '{{ suffix }} ({{ props.kind }})</template></data-table></div>',
+        data: { rows: [{ name: 'a' }, { name: 'b' }], suffix: '!' },
+        components: { dataTable: dataTable }
+      })
+      expect(vm.$el.textContent).toBe('0:a! (row)1:b! (row)')
+      // bindings are kept up to date
+      vm.rows[1].name = 'c'
+      vm.suffix = '?'
+      await nextTick()
+      expect(vm.$el.textContent).toBe('0:a? (row)1:c? (row)')
+      vm.rows.unshift({ name: 'z' })
+      await nextTick()
+      expect(vm.$el.textContent).toBe('0:z? (row)1:a? (row)2:c? (row)')
+      // the content is compiled in the parent's scope
+      expect(vm.$refs.table.suffix).toBeUndefined()
+    })
+
+    it('renders the fallback content in the child scope', function () {
+      var vm = mount({
+        template: '<div><data-table :rows="rows"></data-table></div>',
+        data: { rows: [{ name: 'a' }] },
+        components: { dataTable: dataTable }
+      })
+      expect(vm.$el.textContent).toBe('a')
+    })
+
+    it('works for the default slot and inside parent v-for', async function () {
+      var vm = mount({
+        template: '<div><item v-for="group in groups" :n="group.n">' +
+          '<template scope="p">{{ group.label }}={{ p.double }}</template></item></div>',
+        data: { groups: [{ label: 'x', n: 1 }, { label: 'y', n: 2 }] },
+        components: {
+          item: {
+            props: ['n'],
+            template: '<p><slot :double="n * 2"></slot></p>'
+          }
+        }
+      })
+      expect(vm.$el.textContent).toBe('x=2y=4')
+      vm.groups[0].n = 5
+      await nextTick()
+      await nextTick()
+      expect(vm.$el.textContent).toBe('x=10y=4')
+    })
+
+    it('stops watching the bindings when destroyed', async function () {
+      var vm = mount({
+        template: '<div><item v-ref:item><template scope="p">{{ p.value }}</template></item></div>',
+        components: {
+          item: {
+            data: function () {
+              return { value: 1 }
+            },
+            template: '<p><slot :value="value"></slot></p>'
+          }
+        }
+      })
+      var item = vm.$refs.item
+      var watchers = item._watchers.slice()
+      expect(vm.$el.textContent).toBe('1')
+      vm.$destroy()
+      expect(watchers.length).toBeGreaterThan(0)
+      watchers.forEach(function (watcher) {
+        expect(watcher.active).toBe(false)
+      })
+    })
+  })
+
+  describe('dynamic names', function () {
+    var panel = {
+      props: ['active'],
+      template: '<div><header v-if="$slots.header"><slot name="header"></slot></header>' +
+        '<slot :name="active">none</slot></div>'
+    }
+
+    it('render the slot named by a bound name', async function () {
+      var vm = mount({
+        template: '<div><panel :active="tab">' +
+          '<p slot="a">A</p><p slot="b">B{{ n }}</p></panel></div>',
+        data: { tab: 'a', n: 1 },
+        components: { panel: panel }
+      })
+      expect(vm.$el.textContent).toBe('A')
+      vm.tab = 'b'
+      await nextTick()
+      await nextTick()
+      expect(vm.$el.textContent).toBe('B1')
+      vm.n = 2
+      await nextTick()
+      expect(vm.$el.textContent).toBe('B2')
+      vm.tab = 'c'
+      await nextTick()
+      await nextTick()
+      expect(vm.$el.textContent).toBe('none')
+    })
+
+    it('distribute content with a bound slot attribute again when it changes', async function () {
+      var vm = mount({
+        template: '<div><panel active="main" v-ref:panel>' +
+          '<h1 :slot="place">{{ title }}</h1><p slot="main">body</p></panel></div>',
+        data: { place: 'main', title: 'T' },
+        components: { panel: panel }
+      })
+      var child = vm.$refs.panel
+      expect(vm.$el.innerHTML).toBe('<div><h1>T</h1><p slot="main">body</p></div>')
+      expect(child.$slots.header).toBeUndefined()
+      vm.place = 'header'
+      await nextTick()
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<div><header><h1>T</h1></header><p slot="main">body</p></div>')
+      expect(child.$slots.header.childNodes.length).toBe(1)
+      vm.title = 'U'
+      await nextTick()
+      expect(vm.$el.querySelector('h1').textContent).toBe('U')
+      vm.place = 'nowhere'
+      await nextTick()
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<div><p slot="main">body</p></div>')
+    })
+  })
+
+  describe('$slots', function () {
+    it('holds the resolved content of each slot', function () {
+      var vm = mount({
+        template: '<div><box v-ref:box>\n  <b slot="title">t</b>\n  text <i>x</i>\n</box>' +
+          '<box v-ref:empty>  </box></div>',
+        components: {
+          box: { template: '<div><slot name="title"></slot><slot></slot></div>' }
+        }
+      })
+      var slots = vm.$refs.box.$slots
+      expect(Object.keys(slots).sort()).toEqual(['default', 'title'])
+      expect(slots.title.textContent).toBe('t')
+      expect(slots.default.textContent.trim()).toBe('text x')
+      // whitespace is not content
+      expect(Object.keys(vm.$refs.empty.$slots)).toEqual([])
+      expect(vm.$slots).toEqual({})
+    })
+  })
+})
@@ -0,0 +1,169 @@
+var Vue = require('../../../../src/index').default
+
+describe('error handling', function () {
+  var handled
+
+  beforeEach(function () {
+    handled = []
+    Vue.config.errorHandler = function (err, vm, info) {
+      handled.push({ err: err, vm: vm, info: info })
+    }
+  })
+
+  afterEach(function () {
+    Vue.config.errorHandler = null
+  })
+
+  function fail (msg) {
+    return function () {
+      throw new Error(msg)
+    }
+  }
+
+  it('passes errors in hooks, getters and filters to the error handler', function () {
+    var vm = mount({
+      template: '<p>{{ broken() }}{{ "x" | bad }}</p>',
+      created: fail('hook'),
+      methods: { broken: fail('getter') },
+      filters: { bad: fail('filter') }
+    })
+    expect(handled.map(function (h) {
+      return h.err.message + ':' + h.info
+    })).toEqual([
+      'hook:created hook',
+      'getter:getter for watcher "broken()"',
+      'filter:filter "bad"'
+    ])
+    handled.forEach(function (h) {
+      expect(h.vm).toBe(vm)
+    })
+    // the throwing filter is skipped
+    expect(vm.$el.textContent).toBe('x')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('passes errors in event handlers to the error handler', function () {
+    var vm = mount({
+      template: '<button @click="boom">x</button>',
+      methods: { boom: fail('click') },
+      events: { ping: fail('ping') }
+    })
+    vm.$el.click()
+    vm.$emit('ping')
+    expect(handled[0].err.message).toBe('click')
+    expect(handled[0].info).toBe('v-on handler "boom"')
+    expect(handled[1].err.message).toBe('ping')
+    expect(handled[1].info).toBe('event handler for "ping"')
+  })
+
+  it('keeps flushing after a watcher callback throws', async function () {
+    var vm = new Vue({ data: { a: 1 } })
+    var spy = jasmine.createSpy('watcher')
+    vm.$watch('a', fail('callback'))
+    vm.$watch('a', spy)
+    vm.a = 2
+    await nextTick()
+    expect(handled[0].info).toBe('callback for watcher "a"')
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+
+  it('propagates errors to the errorCaptured hooks of ancestors', async function () {
+    var calls = []
+    var vm = mount({
+      template: '<middle></middle>',
+      errorCaptured: function (err, child, info) {
+        calls.push('root:' + err.message + ':' + child.$options.name + ':' + info)
+      },
+      components: {
+        middle: {
+          template: '<leaf v-ref:leaf></leaf>',
+          errorCaptured: [
+            function () {
+              calls.push('middle 1')
+            },
+            function () {
+              calls.push('middle 2')
+              throw new Error('in hook')
+            }
+          ],
+          components: {
+            leaf: {
+              template: '<p>{{ a }}</p>',
+              data: function () {
+                return { a: 1 }
+              },
+              errorCaptured: function () {
+                calls.push('leaf')
+              }
+            }
+          }
+        }
+      }
+    })
+    var leaf = vm.$children[0].$refs.leaf
+    leaf.$watch('a', fail('oops'))
+    leaf.a = 2
+    await nextTick()
+    // the instance's own hook is skipped, a throwing hook
+    // is logged and the error keeps propagating
+    expect(calls).toEqual([
+      'middle 1',
+      'middle 2',
+      'root:oops:leaf:callback for watcher "a"'
+    ])
+    expect(hasWarned('Error in errorCaptured hook: "Error: in hook"')).toBe(true)
+    expect(handled.length).toBe(1)
+  })
+
+  it('lets a parent render a fallback for a broken child', async function () {
+    var vm = mount({
+      template: '<div><p v-if="failed">fallback</p><widget v-else :n="n"></widget></div>',
+      data: { failed: false, n: 1 },
+      errorCaptured: function () {
+        this.failed = true
+        return false
+      },
+      components: {
+        widget: {
+          props: ['n'],
+          template: '<span>{{ check(n) }}</span>',
+          methods: {
+            check: function (n) {
+              if (n > 1) throw new Error('too big')
+              return n
+            }
+          }
+        }
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<span>1</span>')
+    vm.n = 2
+    await nextTick()
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<p>fallback</p>')
+    expect(handled.length).toBe(0)
+  })
+
+  it('logs errors that are not handled', async function () {
+    Vue.config.errorHandler = null
+    var vm = new Vue({
+      data: { a: 1 },
+      created: fail('hook')
+    })
+    expect(hasWarned('Error in created hook: "Error: hook"')).toBe(true)
+    expect(console.error.calls.allArgs().some(function (args) {
+      return args[0] instanceof Error && args[0].message === 'hook'
+    })).toBe(true)
+    vm.$watch(function () {
+      return this.missing.prop
+    }, function () {})
+    expect(hasWarned('Error when evaluating expression')).toBe(true)
+  })
+
+  it('logs errors thrown by the error handler', function () {
+    Vue.config.errorHandler = fail('handler')
+    var vm = new Vue({ created: fail('hook') })
+    expect(vm._isDestroyed).toBe(false)
+    expect(hasWarned('Error in config.errorHandler: "Error: handler"')).toBe(true)
+  })
+})
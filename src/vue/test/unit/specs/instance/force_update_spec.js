@@ -0,0 +1,105 @@
+var Vue = require('../../../../src/index').default
+
+describe('$forceUpdate', function () {
+  afterEach(function () {
+    Vue.config.async = true
+  })
+
+  // a model the observer cannot see
+  function frozen (value) {
+    return Object.freeze({ model: { value: value } })
+  }
+
+  it('updates the directives in the next flush', async function () {
+    var vm = mount({
+      template: '<p :title="state.model.value">{{ state.model.value }}</p>',
+      data: { state: frozen('a') }
+    })
+    vm.state.model.value = 'b'
+    vm.$forceUpdate()
+    expect(vm.$el.textContent).toBe('a')
+    await nextTick()
+    expect(vm.$el.textContent).toBe('b')
+    expect(vm.$el.title).toBe('b')
+  })
+
+  it('updates synchronously when async is off', function () {
+    Vue.config.async = false
+    var vm = mount({
+      template: '<p>{{ state.model.value }}</p>',
+      data: { state: frozen('a') }
+    })
+    vm.state.model.value = 'b'
+    vm.$forceUpdate()
+    expect(vm.$el.textContent).toBe('b')
+  })
+
+  it('only updates the other watchers when asked to', async function () {
+    var spy = jasmine.createSpy('watcher')
+    var vm = mount({
+      template: '<p>{{ state.model.value }} {{ upper }}</p>',
+      data: { state: frozen('a') },
+      computed: {
+        upper: function () {
+          return this.state.model.value.toUpperCase()
+        }
+      }
+    })
+    vm.$watch('state.model', spy)
+    vm.state.model.value = 'b'
+    vm.$forceUpdate()
+    await nextTick()
+    // the computed property is still cached
+    expect(vm.$el.textContent).toBe('b A')
+    expect(spy).not.toHaveBeenCalled()
+    vm.$forceUpdate({ watchers: true })
+    await nextTick()
+    expect(vm.$el.textContent).toBe('b B')
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('only updates the children when asked to', async function () {
+    var vm = mount({
+      template: '<div><child v-ref:child></child></div>',
+      components: {
+        child: {
+          template: '<p>{{ state.model.value }}<grandchild v-ref:grandchild></grandchild></p>',
+          data: function () {
+            return { state: frozen('a') }
+          },
+          components: {
+            grandchild: {
+              template: '<i>{{ state.model.value }}</i>',
+              data: function () {
+                return { state: frozen('x') }
+              }
+            }
+          }
+        }
+      }
+    })
+    var child = vm.$refs.child
+    var grandchild = child.$refs.grandchild
+    child.state.model.value = 'b'
+    grandchild.state.model.value = 'y'
+    vm.$forceUpdate()
+    await nextTick()
+    expect(vm.$el.textContent).toBe('ax')
+    vm.$forceUpdate({ children: true })
+    await nextTick()
+    expect(vm.$el.textContent).toBe('by')
+  })
+
+  it('does nothing once the instance is destroyed', async function () {
+    var vm = mount({
+      template: '<p>{{ state.model.value }}</p>',
+      data: { state: frozen('a') }
+    })
+    var el = vm.$el
+    vm.$destroy()
+    vm.$forceUpdate({ watchers: true, children: true })
+    await nextTick()
+    expect(el.textContent).toBe('a')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,177 @@
+var Vue = require('../../../../src/index').default
+
+describe('beforeUpdate and updated hooks', function () {
+  var calls
+
+  beforeEach(function () {
+    calls = []
+  })
+
+  afterEach(function () {
+    Vue.config.async = true
+  })
+
+  // record the hooks of an instance, with its text content
+  // at the time they are called.
+  function track (name) {
+    return {
+      beforeUpdate: function () {
+        calls.push(name + ':beforeUpdate:' + this.$el.textContent)
+      },
+      updated: function () {
+        calls.push(name + ':updated:' + this.$el.textContent)
+      }
+    }
+  }
+
+  it('are called once per flush, around the DOM updates', async function () {
+    var hooks = track('root')
+    var vm = mount({
+      template: '<p>{{ a }}{{ b }}</p>',
+      data: { a: 1, b: 2 },
+      beforeUpdate: hooks.beforeUpdate,
+      updated: hooks.updated
+    })
+    vm.a = 3
+    vm.b = 4
+    await nextTick()
+    expect(calls).toEqual(['root:beforeUpdate:12', 'root:updated:34'])
+  })
+
+  it('are not called when the DOM does not depend on the change', async function () {
+    var hooks = track('root')
+    var vm = mount({
+      template: '<p>{{ a }}</p>',
+      data: { a: 1, b: 2 },
+      watch: {
+        b: function () {}
+      },
+      beforeUpdate: hooks.beforeUpdate,
+      updated: hooks.updated
+    })
+    vm.b = 3
+    await nextTick()
+    expect(calls).toEqual([])
+  })
+
+  it('are not called when only listeners or props change', async function () {
+    var vm = mount({
+      template: '<div @click="handlers[mode]"><child :msg="msg"></child></div>',
+      data: { mode: 'a', msg: 'a' },
+      methods: { a: function () {}, b: function () {} },
+      beforeUpdate: track('parent').beforeUpdate,
+      updated: track('parent').updated,
+      computed: {
+        handlers: function () {
+          return { a: this.a, b: this.b }
+        }
+      },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<p>static</p>',
+          beforeUpdate: track('child').beforeUpdate,
+          updated: track('child').updated
+        }
+      }
+    })
+    vm.mode = 'b'
+    vm.msg = 'b'
+    await nextTick()
+    expect(vm.$children[0].msg).toBe('b')
+    expect(calls).toEqual([])
+  })
+
+  it('call beforeUpdate on parents first and updated on children first', async function () {
+    var vm = mount({
+      template: '<div>{{ a }}<child v-ref:child></child></div>',
+      data: { a: 1 },
+      beforeUpdate: track('parent').beforeUpdate,
+      updated: track('parent').updated,
+      components: {
+        child: {
+          template: '<p>{{ b }}</p>',
+          data: function () {
+            return { b: 1 }
+          },
+          beforeUpdate: track('child').beforeUpdate,
+          updated: track('child').updated
+        }
+      }
+    })
+    vm.a = 2
+    vm.$refs.child.b = 2
+    await nextTick()
+    expect(calls).toEqual([
+      'parent:beforeUpdate:11',
+      'child:beforeUpdate:1',
+      'child:updated:2',
+      'parent:updated:22'
+    ])
+  })
+
+  it('are only called on the child when a prop changes', async function () {
+    var vm = mount({
+      template: '<div><child :msg="msg"></child></div>',
+      data: { msg: 'a' },
+      beforeUpdate: track('parent').beforeUpdate,
+      updated: track('parent').updated,
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p>',
+          beforeUpdate: track('child').beforeUpdate,
+          updated: track('child').updated
+        }
+      }
+    })
+    vm.msg = 'b'
+    await nextTick()
+    expect(calls).toEqual(['child:beforeUpdate:a', 'child:updated:b'])
+  })
+
+  it('are called around synchronous updates', function () {
+    Vue.config.async = false
+    var hooks = track('root')
+    var vm = mount({
+      template: '<p>{{ a }}<child :b="a"></child></p>',
+      data: { a: 1 },
+      beforeUpdate: hooks.beforeUpdate,
+      updated: hooks.updated,
+      components: {
+        child: {
+          props: ['b'],
+          template: '<i>{{ b }}</i>',
+          beforeUpdate: track('child').beforeUpdate,
+          updated: track('child').updated
+        }
+      }
+    })
+    vm.a = 2
+    // the prop is updated first, as its watcher is older
+    expect(calls).toEqual([
+      'child:beforeUpdate:1',
+      'child:updated:2',
+      'root:beforeUpdate:12',
+      'root:updated:22'
+    ])
+  })
+
+  it('are not called on instances destroyed during the flush', async function () {
+    var vm = mount({
+      template: '<div><child v-if="ok" :msg="msg"></child></div>',
+      data: { ok: true, msg: 'a' },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p>',
+          updated: track('child').updated
+        }
+      }
+    })
+    vm.msg = 'b'
+    vm.ok = false
+    await nextTick()
+    expect(calls).toEqual([])
+  })
+})
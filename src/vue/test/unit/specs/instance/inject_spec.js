@@ -0,0 +1,131 @@
+var Vue = require('../../../../src/index').default
+
+describe('provide and inject', function () {
+  // a component rendering its injections, nested in a
+  // component that does not know about them
+  function tree (leaf, root) {
+    root.template = '<div><middle></middle></div>'
+    root.components = {
+      middle: {
+        template: '<section><leaf v-ref:leaf></leaf></section>',
+        components: { leaf: leaf }
+      }
+    }
+    var vm = mount(root)
+    return { vm: vm, leaf: vm.$children[0].$refs.leaf }
+  }
+
+  it('passes values down to any descendant', function () {
+    var t = tree({
+      inject: ['theme', 'size'],
+      data: function () {
+        return { label: this.theme + '-' + this.size }
+      },
+      template: '<p>{{ label }}</p>'
+    }, {
+      provide: { theme: 'dark', size: 2 }
+    })
+    expect(t.leaf.theme).toBe('dark')
+    expect(t.vm.$el.textContent).toBe('dark-2')
+  })
+
+  it('supports aliases and default values', function () {
+    var t = tree({
+      inject: {
+        color: 'theme',
+        size: { default: 1 },
+        list: { default: function () { return [this.$options.name] } },
+        font: { from: 'typeface', default: 'serif' }
+      },
+      name: 'leaf',
+      template: '<p>{{ color }} {{ size }} {{ list[0] }} {{ font }}</p>'
+    }, {
+      provide: { theme: 'light' }
+    })
+    expect(t.vm.$el.textContent).toBe('light 1 leaf serif')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('resolves from the closest provider', function () {
+    var vm = mount({
+      template: '<div><middle></middle></div>',
+      provide: { theme: 'outer', size: 'outer' },
+      components: {
+        middle: {
+          provide: function () {
+            return { theme: 'inner ' + this.n }
+          },
+          data: function () {
+            return { n: 1 }
+          },
+          template: '<leaf></leaf>',
+          components: {
+            leaf: {
+              inject: ['theme', 'size'],
+              template: '<p>{{ theme }}/{{ size }}</p>'
+            }
+          }
+        }
+      }
+    })
+    expect(vm.$el.textContent).toBe('inner 1/outer')
+  })
+
+  it('is reactive when the provided value is observed data', async function () {
+    var t = tree({
+      inject: ['form', 'label'],
+      template: '<p>{{ form.valid }} {{ label }}</p>'
+    }, {
+      data: { form: { valid: false }, label: 'a' },
+      provide: function () {
+        return { form: this.form, label: this.label }
+      }
+    })
+    expect(t.vm.$el.textContent).toBe('false a')
+    t.vm.form.valid = true
+    t.vm.label = 'b'
+    await nextTick()
+    // primitives are provided by value
+    expect(t.vm.$el.textContent).toBe('true a')
+  })
+
+  it('does not observe injected values', function () {
+    var config = { a: 1 }
+    var t = tree({
+      inject: ['config'],
+      template: '<p>{{ config.a }}</p>'
+    }, {
+      provide: { config: config }
+    })
+    expect(t.leaf.config).toBe(config)
+    expect(config.__ob__).toBeUndefined()
+  })
+
+  it('warns about injections that cannot be resolved', function () {
+    var t = tree({
+      inject: ['missing'],
+      template: '<p>{{ missing }}</p>'
+    }, {})
+    expect(t.leaf.missing).toBeUndefined()
+    expect(hasWarned('Injection "missing" not found: no parent component provides it.')).toBe(true)
+  })
+
+  it('merges the options of mixins and extended constructors', function () {
+    var Base = Vue.extend({
+      provide: { a: 'base' },
+      inject: ['x']
+    })
+    var Child = Base.extend({
+      mixins: [{ provide: function () { return { b: 'mixin' } } }],
+      provide: { a: 'child' },
+      inject: { y: 'x' }
+    })
+    var parent = new Vue({ provide: { x: 'from parent' } })
+    var vm = new Child({ parent: parent })
+    var grandchild = new Vue({ parent: vm, inject: ['a', 'b'] })
+    expect(grandchild.a).toBe('child')
+    expect(grandchild.b).toBe('mixin')
+    expect(vm.x).toBe('from parent')
+    expect(vm.y).toBe('from parent')
+  })
+})
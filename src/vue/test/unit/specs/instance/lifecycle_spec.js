@@ -0,0 +1,25 @@
+describe('_compile', function () {
+  it('finishes compiling after linking', function () {
+    var compiled = jasmine.createSpy('compiled')
+    var vm = mount({
+      template: '<p>{{ msg }}</p>',
+      replace: true,
+      data: { msg: 'a' },
+      compiled: compiled
+    })
+    expect(vm.$el.tagName).toBe('P')
+    expect(vm._isCompiled).toBe(true)
+    expect(compiled).toHaveBeenCalled()
+  })
+
+  it('tears down the directives on $destroy', function () {
+    var vm = mount({
+      template: '<p>{{ msg }}</p>',
+      data: { msg: 'a' }
+    })
+    var dirs = vm._directives.slice()
+    expect(dirs.length).toBe(1)
+    vm.$destroy()
+    expect(dirs[0]._bound).toBe(false)
+  })
+})
@@ -0,0 +1,126 @@
+var Vue = require('../../../../src/index').default
+
+describe('Map and Set observation', function () {
+  it('notifies watchers of Map mutations that change it', async function () {
+    var vm = new Vue({
+      data: { map: new Map([['a', 1]]) },
+      computed: {
+        total: function () {
+          var sum = 0
+          this.map.forEach(function (v) {
+            sum += v
+          })
+          return sum
+        }
+      }
+    })
+    var spy = jasmine.createSpy('watcher')
+    vm.$watch('map', spy)
+    expect(vm.total).toBe(1)
+    vm.map.set('b', 2)
+    expect(vm.total).toBe(3)
+    vm.map.set('a', 5)
+    expect(vm.total).toBe(7)
+    vm.map.delete('a')
+    expect(vm.total).toBe(2)
+    await nextTick()
+    expect(spy.calls.count()).toBe(1)
+    // no-op mutations do not trigger the watchers
+    vm.map.set('b', 2)
+    vm.map.delete('missing')
+    await nextTick()
+    expect(spy.calls.count()).toBe(1)
+    vm.map.clear()
+    expect(vm.total).toBe(0)
+    await nextTick()
+    expect(spy.calls.count()).toBe(2)
+    vm.map.clear()
+    await nextTick()
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('notifies watchers of Set mutations that change it', async function () {
+    var vm = new Vue({
+      data: { set: new Set([1]) }
+    })
+    var spy = jasmine.createSpy('watcher')
+    vm.$watch('set.has(2)', spy)
+    vm.set.add(2)
+    await nextTick()
+    expect(spy).toHaveBeenCalledWith(true, false)
+    vm.set.add(2)
+    vm.set.delete(3)
+    await nextTick()
+    expect(spy.calls.count()).toBe(1)
+    vm.set.delete(2)
+    await nextTick()
+    expect(spy.calls.count()).toBe(2)
+    expect(vm.set instanceof Set).toBe(true)
+  })
+
+  it('observes the values stored in collections', async function () {
+    var item = { n: 1 }
+    var vm = new Vue({
+      data: { map: new Map([['a', item]]), set: new Set() }
+    })
+    var added = { n: 1 }
+    vm.set.add(added)
+    expect(item.__ob__).toBeTruthy()
+    expect(added.__ob__).toBeTruthy()
+    var spy = jasmine.createSpy('deep')
+    vm.$watch('map', spy, { deep: true })
+    vm.$watch('set', spy, { deep: true })
+    item.n = 2
+    await nextTick()
+    expect(spy.calls.count()).toBe(1)
+    added.n = 2
+    await nextTick()
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('iterates Map entries with v-for', async function () {
+    var vm = mount({
+      template: '<ul><li v-for="(key, val) in map">{{ key }}={{ val }}</li></ul>',
+      data: { map: new Map([['a', 1], ['b', 2]]) }
+    })
+    expect(vm.$el.innerHTML).toBe('<li>a=1</li><li>b=2</li>')
+    var first = vm.$el.firstChild
+    vm.map.set('c', 3)
+    vm.map.delete('b')
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>a=1</li><li>c=3</li>')
+    expect(vm.$el.firstChild).toBe(first)
+    vm.map.clear()
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('')
+  })
+
+  it('iterates Set values with v-for', async function () {
+    var vm = mount({
+      template: '<ul><li v-for="v in set">{{ $index }}:{{ v }}</li></ul>',
+      data: { set: new Set(['x', 'y']) }
+    })
+    expect(vm.$el.innerHTML).toBe('<li>0:x</li><li>1:y</li>')
+    vm.set.delete('x')
+    vm.set.add('z')
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>0:y</li><li>1:z</li>')
+  })
+
+  it('writes two-way bound aliases back to Maps, but not Sets', async function () {
+    var vm = mount({
+      template: '<div><input v-for="val in map" v-model="val">' +
+        '<input v-for="v in set" v-model="v"></div>',
+      data: { map: new Map([['a', 'x']]), set: new Set(['y']) }
+    })
+    var inputs = vm.$el.querySelectorAll('input')
+    inputs[0].value = 'changed'
+    inputs[0].dispatchEvent(new window.Event('input'))
+    expect(vm.map.get('a')).toBe('changed')
+    inputs[1].value = 'changed'
+    inputs[1].dispatchEvent(new window.Event('input'))
+    expect(hasWarned('over a Set. Set values cannot be replaced in place')).toBe(true)
+    expect(vm.set.has('y')).toBe(true)
+    expect(vm.set.size).toBe(1)
+  })
+})
@@ -0,0 +1,112 @@
+var Vue = require('../../../../src/index').default
+
+describe('proxy observer', function () {
+  beforeEach(function () {
+    Vue.config.proxyObserver = true
+  })
+
+  afterEach(function () {
+    Vue.config.proxyObserver = false
+  })
+
+  it('tracks added and deleted properties', async function () {
+    var vm = mount({
+      template: '<p>{{ obj.a }}-{{ obj.b }}-{{ obj.c }}</p>',
+      data: { obj: { a: 1 } }
+    })
+    expect(vm.$el.textContent).toBe('1--')
+    vm.obj.b = 2
+    vm.obj.c = 3
+    await nextTick()
+    expect(vm.$el.textContent).toBe('1-2-3')
+    // added keys are reactive themselves
+    vm.obj.b = 4
+    await nextTick()
+    expect(vm.$el.textContent).toBe('1-4-3')
+    delete vm.obj.a
+    delete vm.obj.c
+    await nextTick()
+    expect(vm.$el.textContent).toBe('-4-')
+  })
+
+  it('tracks array index and length assignments', async function () {
+    var vm = mount({
+      template: '<ul><li v-for="item in list">{{ item.n }}</li></ul>',
+      data: { list: [{ n: 1 }, { n: 2 }] }
+    })
+    vm.list[1] = { n: 3 }
+    vm.list[2] = { n: 4 }
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>1</li><li>3</li><li>4</li>')
+    // assigned items are observed
+    vm.list[2].n = 5
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>1</li><li>3</li><li>5</li>')
+    vm.list.length = 1
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>1</li>')
+    vm.list.push({ n: 6 })
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<li>1</li><li>6</li>')
+  })
+
+  it('does not notify for assignments that change nothing', async function () {
+    var vm = new Vue({
+      data: { list: [1, 2] }
+    })
+    var spy = jasmine.createSpy('watcher')
+    vm.$watch('list', spy)
+    vm.list[0] = 1
+    vm.list.length = 2
+    await nextTick()
+    expect(spy).not.toHaveBeenCalled()
+    delete vm.list[5]
+    await nextTick()
+    expect(spy).not.toHaveBeenCalled()
+    delete vm.list[1]
+    await nextTick()
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('keeps the data raw and adds root keys to the instance', async function () {
+    var raw = { obj: { a: 1 } }
+    var vm = mount({
+      template: '<p>{{ obj.a }}{{ added }}</p>',
+      data: raw
+    })
+    expect(vm.$data).not.toBe(raw)
+    expect(vm.$data.obj.__ob__.value).toBe(raw.obj)
+    // storing a proxy stores the raw value
+    vm.$data.copy = vm.obj
+    expect(raw.copy).toBe(raw.obj)
+    vm.$data.added = '!'
+    expect(vm.added).toBe('!')
+    await nextTick()
+    expect(vm.$el.textContent).toBe('1!')
+  })
+
+  it('uses the proxy of new data set on $data', async function () {
+    var vm = mount({
+      template: '<p>{{ obj.a }}</p>',
+      data: { obj: { a: 1 } }
+    })
+    vm.$data = { obj: {} }
+    await nextTick()
+    expect(vm.$el.textContent).toBe('')
+    vm.obj.a = 2
+    await nextTick()
+    expect(vm.$el.textContent).toBe('2')
+  })
+
+  it('is off by default', async function () {
+    Vue.config.proxyObserver = false
+    var vm = mount({
+      template: '<p>{{ obj.b }}</p>',
+      data: { obj: {} }
+    })
+    vm.obj.b = 1
+    await nextTick()
+    expect(vm.$el.textContent).toBe('')
+    expect(vm.obj.__ob__.proxy).toBe(null)
+  })
+})
@@ -0,0 +1,165 @@
+var Vue = require('../../../../src/index').default
+var interpreter = require('../../../../src/parsers/interpreter')
+var parseExpression = require('../../../../src/parsers/expression').parseExpression
+var config = require('../../../../src/config').default
+
+var parseAST = interpreter.parseAST
+
+// run a function while code generation is forbidden, like
+// under a Content Security Policy without unsafe-eval.
+function withoutEval (fn) {
+  var NativeFunction = global.Function
+  global.Function = function () {
+    throw new EvalError('Refused to evaluate a string as JavaScript')
+  }
+  try {
+    return fn()
+  } finally {
+    global.Function = NativeFunction
+  }
+}
+
+function run (exp, scope, thisArg) {
+  return interpreter.evaluate(parseAST(exp), scope || {}, thisArg)
+}
+
+describe('expression interpreter', function () {
+  it('evaluates literals, operators and ternaries', function () {
+    expect(run('1 + 2 * 3 - 4 / 2')).toBe(5)
+    expect(run('(1 + 2) * 3 % 4')).toBe(1)
+    expect(run('"a\\tb" + \'c\'')).toBe('a\tbc')
+    expect(run('0x10 + 1e2 + .5')).toBe(116.5)
+    expect(run('[1, "2", null, undefined, true]')).toEqual([1, '2', null, undefined, true])
+    expect(run('{ a: 1, "b-c": 2, 3: x }', { x: 4 })).toEqual({ a: 1, 'b-c': 2, 3: 4 })
+    expect(run('!a && b || c', { a: false, b: 0, c: 'c' })).toBe('c')
+    expect(run('a ? b ? 1 : 2 : 3', { a: true, b: false })).toBe(2)
+    expect(run('typeof a === "undefined" && ~b < -c', { b: 1, c: 1 })).toBe(true)
+    expect(run('1 << 2 | 1 ^ 3 & 2 >>> 0')).toBe(7)
+    expect(run('"a" in o && o instanceof O', { o: { a: 1 }, O: Object })).toBe(true)
+    expect(run('void 0')).toBe(undefined)
+  })
+
+  it('looks up identifiers on the scope, except for allowed globals', function () {
+    var scope = { a: { b: [1, { c: 'x' }] }, key: 'c', Math: null, window: {} }
+    expect(run('a.b[1][key]', scope)).toBe('x')
+    expect(run('a.b.length', scope)).toBe(2)
+    expect(run('o.new + o.in', { o: { new: 1, in: 2 } })).toBe(3)
+    expect(run('Math.max(1, 2)', scope)).toBe(2)
+    expect(run('parseInt("12px")', scope)).toBe(12)
+    expect(run('document', scope)).toBe(undefined)
+    expect(run('window', scope)).toBe(scope.window)
+  })
+
+  it('calls functions with their receiver and supports new and this', function () {
+    var scope = {
+      n: 2,
+      double: function (x) { return this.n * x },
+      obj: { n: 3, triple: function (x) { return this.n * x } }
+    }
+    expect(run('double(3)', scope)).toBe(6)
+    expect(run('obj.triple(double(1))', scope)).toBe(6)
+    expect(run('obj["triple"](1)', scope)).toBe(3)
+    expect(run('new Date(0).getTime()', scope)).toBe(0)
+    var self = {}
+    expect(run('this', scope, self)).toBe(self)
+  })
+
+  it('performs assignments, updates and statement sequences', function () {
+    var scope = { a: 1, o: { list: [1, 2] } }
+    expect(run('a += 2; o.list[0] = a; o.b = a++', scope)).toBe(3)
+    expect(scope.a).toBe(4)
+    expect(scope.o.list[0]).toBe(3)
+    expect(scope.o.b).toBe(3)
+    expect(run('--a', scope)).toBe(3)
+    expect(run('a = b = 5', scope)).toBe(5)
+    expect(scope.b).toBe(5)
+  })
+
+  it('throws syntax errors for what it does not support', function () {
+    var errors = {
+      '`a`': 'template literals are not supported',
+      '"abc': 'unterminated string at 0',
+      'a # b': 'unexpected character "#" at 2',
+      'a.': 'expected a property name after "."',
+      'a.)': 'expected a property name after "."',
+      'a.+b': 'expected a property name after "."',
+      '{ [a]: 1 }': 'invalid object key',
+      '1 = a': 'invalid assignment target',
+      'a +': 'unexpected end of expression',
+      'a b': 'expected ";" but found "b"',
+      '(a': 'expected ")" but found end of expression',
+      ')': 'unexpected token ")"'
+    }
+    Object.keys(errors).forEach(function (exp) {
+      expect(function () {
+        parseAST(exp)
+      }).toThrowError(SyntaxError, errors[exp])
+    })
+  })
+
+  it('throws a type error when calling what is not a function', function () {
+    expect(function () {
+      run('a.b.c()', { a: { b: {} } })
+    }).toThrowError(TypeError, 'a.b.c is not a function')
+    expect(function () {
+      run('a[0]()', { a: [] })
+    }).toThrowError(TypeError, 'expression is not a function')
+  })
+
+  describe('in CSP mode', function () {
+    beforeEach(function () {
+      config.csp = true
+    })
+
+    afterEach(function () {
+      config.csp = false
+    })
+
+    it('builds getters and setters without generating code', function () {
+      withoutEval(function () {
+        var res = parseExpression('csp.a + csp.b * 2', true)
+        expect(res.get({ csp: { a: 1, b: 2 } })).toBe(5)
+        var scope = { csp: { a: 1 } }
+        res = parseExpression('csp.a', true)
+        res.set(scope, 3)
+        expect(scope.csp.a).toBe(3)
+      })
+    })
+
+    it('warns about invalid expressions', function () {
+      var res = parseExpression('csp + `x`')
+      expect(res.get({ csp: 1 })).toBeUndefined()
+      expect(hasWarned('Invalid expression: csp + `x` (template literals are not supported)')).toBe(true)
+    })
+
+    it('drives the directives and handlers of an instance', async function () {
+      var Child = withoutEval(function () {
+        return Vue.extend({
+          name: 'csp-child',
+          props: ['n'],
+          template: '<i>{{ n * 10 }}</i>'
+        })
+      })
+      var vm = new Vue({
+        template: '<div><b v-if="count > 1">{{ label.toUpperCase() }}</b>' +
+          '<button @click="count++; last = $event.type">{{ count }}</button>' +
+          '<csp-child :n="count + 1"></csp-child></div>',
+        data: { count: 1, label: 'many', last: '' },
+        components: { 'csp-child': Child }
+      })
+      withoutEval(function () {
+        vm.$mount()
+      })
+      expect(vm.$el.innerHTML).toBe('<button>1</button><i>20</i>')
+      var button = vm.$el.querySelector('button')
+      withoutEval(function () {
+        button.click()
+      })
+      expect(vm.count).toBe(2)
+      expect(vm.last).toBe('click')
+      await nextTick()
+      expect(vm.$el.innerHTML).toBe('<b>MANY</b><button>2</button><i>30</i>')
+      expect(console.error).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,148 @@
+var templateParser = require('../../../../src/parsers/template')
+
+var parseTemplate = templateParser.parseTemplate
+var getLocation = templateParser.getLocation
+
+describe('template source locations', function () {
+  function warning (msg) {
+    var found = console.error.calls.allArgs().filter(function (args) {
+      return String(args[0]).indexOf(msg) > -1
+    })
+    expect(found.length).toBe(1)
+    return found[0] && found[0][0]
+  }
+
+  it('are recorded for elements and attributes', function () {
+    var source = '<div id="a">\n  <p :title="t" v-if=\'ok\'>x</p>\n</div>'
+    var frag = parseTemplate(source)
+    var p = frag.firstChild.querySelector('p')
+    var loc = getLocation(p)
+    expect(source.slice(loc.start, loc.end)).toBe('<p')
+    loc = getLocation(p, ':title')
+    expect(source.slice(loc.start, loc.end)).toBe(':title="t"')
+    loc = getLocation(p, 'v-if')
+    expect(source.slice(loc.start, loc.end)).toBe('v-if=\'ok\'')
+    expect(getLocation(p, 'missing')).toBe(null)
+    // cloned templates keep them
+    var clone = templateParser.cloneNode(frag)
+    expect(getLocation(clone.firstChild)).toEqual(getLocation(frag.firstChild))
+  })
+
+  it('skip elements inserted by the HTML parser', function () {
+    var source = '<table><tr v-for="r in rows"><td>{{ r }}</td></tr></table>'
+    var table = parseTemplate(source).firstChild
+    var tbody = table.firstChild
+    expect(tbody.tagName).toBe('TBODY')
+    expect(getLocation(tbody)).toBe(null)
+    var loc = getLocation(tbody.firstChild, 'v-for')
+    expect(source.slice(loc.start, loc.end)).toBe('v-for="r in rows"')
+    loc = getLocation(table.querySelector('td'))
+    expect(source.slice(loc.start, loc.end)).toBe('<td')
+  })
+
+  it('point expression warnings at the directive attribute', function () {
+    mount({
+      template: '<ul>\n  <li v-for="item in items"\n      @click="select(item">{{ item }}</li>\n</ul>',
+      data: { items: [1] },
+      methods: { select: function () {} }
+    })
+    expect(warning('Invalid expression')).toContain(
+      '\n\n1 |  <ul>\n' +
+      '2 |    <li v-for="item in items"\n' +
+      '3 |        @click="select(item">{{ item }}</li>\n' +
+      '  |        ^^^^^^^^^^^^^^^^^^^^\n' +
+      '4 |  </ul>'
+    )
+  })
+
+  it('point text interpolation warnings at their element', function () {
+    mount({
+      template: '<div><b>{{ a + }}</b></div>'
+    })
+    expect(warning('Invalid expression')).toContain(
+      '1 |  <div><b>{{ a + }}</b></div>\n' +
+      '  |       ^^'
+    )
+  })
+
+  it('point prop warnings at the prop attribute or the element', function () {
+    mount({
+      template: '<div>\n<child :n="\'one\'"></child>\n<child :n="1"></child></div>',
+      components: {
+        child: {
+          props: {
+            n: Number,
+            m: { required: true }
+          }
+        }
+      }
+    })
+    expect(warning('type check failed for prop "n"')).toContain(
+      '2 |  <child :n="\'one\'"></child>\n' +
+      '  |         ^^^^^^^^^'
+    )
+    var missing = console.error.calls.allArgs().filter(function (args) {
+      return String(args[0]).indexOf('Missing required prop: m') > -1
+    })
+    expect(missing.length).toBe(2)
+    expect(missing[1][0]).toContain(
+      '3 |  <child :n="1"></child></div>\n' +
+      '  |  ^^^^^^'
+    )
+  })
+
+  it('point attribute warnings at the attribute', function () {
+    var template = '<div><p class="a {{ b }}" :class="c"></p>' +
+      '<frag v-show="ok"></frag></div>'
+    mount({
+      template: template,
+      data: { b: 'b', c: 'c', ok: true },
+      components: {
+        frag: { template: '<i></i><i></i>' }
+      }
+    })
+    expect(warning('Do not mix mustache interpolation')).toContain(
+      '1 |  <div><p class="a {{ b }}" :class="c"></p><frag v-show="ok"></frag></div>\n' +
+      '  |          ^^^^^^^^^^^^^^^'
+    )
+    var caret = new Array(template.indexOf('v-show') + 1).join(' ') + '^^^^^^^^^^^'
+    expect(warning('because the component is a fragment instance')).toContain(
+      '\n  |  ' + caret + '\n'
+    )
+  })
+
+  it('point unknown directives at their attribute', function () {
+    mount({
+      template: '<div>\n  <p v-foo:bar="x">x</p>\n</div>',
+      data: { x: 1 }
+    })
+    expect(warning('Failed to resolve directive: foo')).toContain(
+      '2 |    <p v-foo:bar="x">x</p>\n' +
+      '  |       ^^^^^^^^^^^^^'
+    )
+  })
+
+  it('point invalid prop definitions at the component element', function () {
+    mount({
+      template: '<div>\n<child></child></div>',
+      components: {
+        child: {
+          props: ['$data', 'a b']
+        }
+      }
+    })
+    var frame = '2 |  <child></child></div>\n' +
+      '  |  ^^^^^^'
+    expect(warning('Do not use $data as prop')).toContain(frame)
+    expect(warning('Invalid prop key: "a b"')).toContain(frame)
+  })
+
+  it('are left out of warnings without a template string', function () {
+    var el = document.createElement('div')
+    // a different expression, as warnings are only issued
+    // when an expression is parsed for the first time
+    el.innerHTML = '<b>{{ b + }}</b>'
+    mount({ el: el })
+    expect(warning('Invalid expression')).not.toContain(' |  ')
+  })
+})
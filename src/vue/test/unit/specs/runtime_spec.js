@@ -0,0 +1,134 @@
+var fs = require('fs')
+var path = require('path')
+var Module = require('module')
+var precompile = require('../../../src/server/index').precompile
+
+var srcDir = path.resolve(__dirname, '../../../src')
+
+// Load a fresh copy of the runtime-only build, swapping
+// modules for their `.runtime.js` version the way
+// build/webpack.runtime.conf.js does. The modules already
+// loaded by other specs are put back afterwards.
+function loadRuntime () {
+  var cache = require.cache
+  var saved = {}
+  Object.keys(cache).forEach(function (file) {
+    if (file.indexOf(srcDir) === 0) {
+      saved[file] = cache[file]
+      delete cache[file]
+    }
+  })
+  var resolve = Module._resolveFilename
+  Module._resolveFilename = function () {
+    var file = resolve.apply(this, arguments)
+    var runtime = file.replace(/\.js$/, '.runtime.js')
+    return file.indexOf(srcDir) === 0 && fs.existsSync(runtime)
+      ? runtime
+      : file
+  }
+  var Vue
+  try {
+    Vue = require(srcDir + '/runtime').default
+  } finally {
+    Module._resolveFilename = resolve
+  }
+  var modules = Object.keys(cache).filter(function (file) {
+    return file.indexOf(srcDir) === 0
+  })
+  modules.forEach(function (file) {
+    delete cache[file]
+  })
+  Object.keys(saved).forEach(function (file) {
+    cache[file] = saved[file]
+  })
+  return {
+    Vue: Vue,
+    modules: modules.map(function (file) {
+      return path.relative(srcDir, file)
+    })
+  }
+}
+
+// evaluate the module generated by precompile()
+function load (source) {
+  var module = {}
+  /* eslint-disable no-new-func */
+  new Function('module', source)(module)
+  /* eslint-enable no-new-func */
+  return module.exports
+}
+
+describe('runtime-only build', function () {
+  var runtime, Vue
+
+  beforeAll(function () {
+    runtime = loadRuntime()
+    Vue = runtime.Vue
+  })
+
+  function mountPrecompiled (template, options) {
+    options = options || {}
+    options.template = load(precompile(template))
+    var vm = new Vue(options)
+    vm.$mount()
+    return vm
+  }
+
+  function tick () {
+    return new Promise(function (resolve) {
+      Vue.nextTick(resolve)
+    })
+  }
+
+  it('leaves out the template string parser and the code generator', function () {
+    var modules = runtime.modules
+    expect(modules).toContain('parsers/template-string.runtime.js')
+    expect(modules).toContain('parsers/codegen.runtime.js')
+    expect(modules).not.toContain('parsers/template-string.js')
+    expect(modules).not.toContain('parsers/codegen.js')
+    expect(modules.filter(function (file) {
+      return file.indexOf('server') === 0
+    })).toEqual([])
+  })
+
+  it('links precompiled templates', async function () {
+    var vm = mountPrecompiled(
+      '<div><p>{{ a + b }} {{ c.d }}</p>' +
+      '<item v-for="i in list" :n="i * 2"></item></div>', {
+        data: { a: 1, b: 2, c: { d: 4 }, list: [1, 2] },
+        components: {
+          item: { props: ['n'], template: load(precompile('<b>{{ n }}</b>')) }
+        }
+      }
+    )
+    expect(vm.$el.innerHTML).toBe('<p>3 4</p><b>2</b><b>4</b>')
+    vm.a = 2
+    vm.list.push(3)
+    await tick()
+    expect(vm.$el.innerHTML).toBe('<p>4 4</p><b>2</b><b>4</b><b>6</b>')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('renders raw html', function () {
+    var vm = mountPrecompiled('<p>a{{{ html }}}</p>', {
+      data: { html: '<b>x</b>' }
+    })
+    expect(vm.$el.innerHTML).toBe('a<b>x</b>')
+  })
+
+  it('does not generate named constructors', function () {
+    expect(Vue.extend({ name: 'foo' }).name).toBe('VueComponent')
+  })
+
+  it('refuses template strings', function () {
+    expect(Vue.parsers.template.parseTemplate('<p>hi</p>')).toBeUndefined()
+    expect(hasWarned('Template strings are not supported by the runtime-only build')).toBe(true)
+  })
+
+  it('only evaluates simple paths that were not precompiled', function () {
+    var vm = new Vue({ data: { a: { b: 1 } } })
+    expect(vm.$eval('a.b')).toBe(1)
+    expect(vm.$eval('a.b * 2')).toBeUndefined()
+    expect(hasWarned('cannot be evaluated by the runtime-only build')).toBe(true)
+  })
+})
@@ -0,0 +1,66 @@
+var serverDOM = require('../../../../src/server/dom')
+var Document = serverDOM.Document
+var withDocument = serverDOM.withDocument
+
+describe('server DOM', function () {
+  var doc
+  beforeEach(function () {
+    doc = new Document()
+  })
+
+  it('parses and serializes markup', function () {
+    var el = doc.createElement('div')
+    el.innerHTML = '<!doctype html><p class="a" hidden>x &amp; &#60;y&#x3e;</p>' +
+      '<!-- note --><br><img src="a.png"><textarea><b></textarea>'
+    expect(el.childNodes.length).toBe(5)
+    expect(el.firstChild.textContent).toBe('x & <y>')
+    expect(el.firstChild.hasAttribute('hidden')).toBe(true)
+    expect(el.childNodes[1].nodeType).toBe(8)
+    expect(el.childNodes[4].textContent).toBe('<b>')
+    expect(el.innerHTML).toBe(
+      '<p class="a" hidden>x &amp; &lt;y&gt;</p><!-- note -->' +
+      '<br><img src="a.png"><textarea>&lt;b&gt;</textarea>'
+    )
+  })
+
+  it('keeps the tree consistent when moving nodes', function () {
+    var a = doc.createElement('a')
+    var b = doc.createElement('b')
+    var frag = doc.createDocumentFragment()
+    frag.appendChild(doc.createTextNode('1'))
+    frag.appendChild(doc.createTextNode('2'))
+    a.appendChild(b)
+    a.insertBefore(frag, b)
+    expect(frag.childNodes.length).toBe(0)
+    expect(a.textContent).toBe('12')
+    expect(b.previousSibling.data).toBe('2')
+    var c = doc.createElement('c')
+    c.appendChild(b)
+    expect(a.childNodes.length).toBe(2)
+    expect(b.parentNode).toBe(c)
+    expect(a.contains(b)).toBe(false)
+  })
+
+  it('clones nodes with their attributes and style', function () {
+    var el = doc.createElement('div')
+    el.innerHTML = '<p id="x"><span>s</span></p>'
+    el.style.color = 'red'
+    var clone = el.cloneNode(true)
+    expect(clone.outerHTML).toBe('<div style="color: red;"><p id="x"><span>s</span></p></div>')
+    expect(clone.querySelector('#x')).not.toBe(el.querySelector('#x'))
+    expect(el.cloneNode(false).childNodes.length).toBe(0)
+  })
+
+  it('installs a document for the duration of a call', function () {
+    var prev = global.document
+    var inner = withDocument(function () {
+      return global.document
+    })
+    expect(inner instanceof Document).toBe(true)
+    expect(global.document).toBe(prev)
+    expect(function () {
+      withDocument(function () { throw new Error('x') })
+    }).toThrow()
+    expect(global.document).toBe(prev)
+  })
+})
@@ -0,0 +1,79 @@
+var Vue = require('../../../../src/index').default
+var precompile = require('../../../../src/server/index').precompile
+
+// evaluate the module generated by precompile()
+function load (source) {
+  var module = {}
+  /* eslint-disable no-new-func */
+  new Function('module', source)(module)
+  /* eslint-enable no-new-func */
+  return module.exports
+}
+
+function mount (template, options) {
+  options = options || {}
+  options.template = load(precompile(template))
+  var vm = new Vue(options)
+  vm.$mount()
+  document.body.appendChild(vm.$el)
+  return vm
+}
+
+describe('precompile', function () {
+  it('generates a module with the tree, the linker and the getters', function () {
+    var mod = load(precompile('<p :title="a.b">{{ a.b + 1 }}</p>'))
+    expect(mod.tree).toEqual([{
+      tag: 'p',
+      attrs: [[':title', 'a.b']],
+      children: ['{{ a.b + 1 }}']
+    }])
+    expect(mod.linker.children.length).toBe(2)
+    expect(mod.expressions['a.b']({ a: { b: 1 } })).toBe(1)
+    expect(mod.expressions['a.b + 1']({ a: { b: 1 } })).toBe(2)
+  })
+
+  it('collects the expressions of v-for, directives and textareas', function () {
+    var mod = load(precompile(
+      '<div><p v-for="(k, v) in obj | limitBy n">{{ v }}</p>' +
+      '<i v-show="a && b" v-ref:x></i><textarea>{{ c }}!</textarea></div>'
+    ))
+    expect(Object.keys(mod.expressions).sort()).toEqual(
+      ['(c)+"!"', 'a && b', 'c', 'n', 'obj', 'v']
+    )
+  })
+
+  it('rewrites @ event shorthands to v-on', async function () {
+    var template = '<div><button @click.stop="n++">{{ n }}</button>' +
+      '<i v-if="n" @click="n = 0">reset</i></div>'
+    expect(precompile(template)).not.toContain('"@click')
+    var vm = mount(template, { data: { n: 0 } })
+    var button = vm.$el.querySelector('button')
+    expect(button.hasAttribute('v-on:click.stop')).toBe(false)
+    button.click()
+    await nextTick()
+    expect(vm.n).toBe(1)
+    expect(vm.$el.textContent).toBe('1reset')
+    vm.$el.querySelector('i').click()
+    await nextTick()
+    expect(vm.$el.textContent).toBe('0')
+    document.body.removeChild(vm.$el)
+  })
+
+  it('links blocks, else branches and components', async function () {
+    var vm = mount(
+      '<div><p v-if="ok">yes</p><p v-else-if="maybe">maybe</p><p v-else>no</p>' +
+      '<item v-for="i in list" :n="i"></item></div>', {
+        data: { ok: false, maybe: true, list: [1, 2] },
+        components: {
+          item: { props: ['n'], template: '<b>{{ n }}</b>' }
+        }
+      }
+    )
+    expect(vm.$el.innerHTML).toBe('<p>maybe</p><b>1</b><b>2</b>')
+    vm.maybe = false
+    vm.list.push(3)
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<p>no</p><b>1</b><b>2</b><b>3</b>')
+    document.body.removeChild(vm.$el)
+  })
+})
@@ -0,0 +1,95 @@
+var Vue = require('../../../../src/index').default
+var renderToString = require('../../../../src/server/index').renderToString
+var config = require('../../../../src/config').default
+
+describe('renderToString', function () {
+  it('renders data bindings and marks the root and the blocks', function () {
+    var vm = new Vue({
+      template: '<div :id="id" :class="{ on: on }" :style="{ color: color }">' +
+        '{{ msg }}<p v-if="on">yes</p><p v-else>no</p>' +
+        '<i v-for="n in list">{{ n }}</i></div>',
+      data: { id: 'app', on: true, color: 'red', msg: 'hi', list: [1, 2] }
+    })
+    expect(renderToString(vm)).toBe(
+      '<div class="on" id="app" server-rendered="true" style="color: red;">' +
+      'hi<!--[--><p>yes</p><!--]--><!--[--><i>1</i><i>2</i><!--]--></div>'
+    )
+  })
+
+  it('renders child components and slot content', function () {
+    var vm = new Vue({
+      template: '<div><child :msg="msg">content</child></div>',
+      data: { msg: 'a' },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<section>{{ msg }} <slot></slot></section>'
+        }
+      }
+    })
+    expect(renderToString(vm)).toBe(
+      '<div server-rendered="true"><!--[--><section>a <!--[-->content<!--]-->' +
+      '</section><!--]--></div>'
+    )
+  })
+
+  it('escapes text and attributes but not v-html', function () {
+    var vm = new Vue({
+      template: '<div :title="t">{{ t }}<span v-html="t"></span></div>',
+      data: { t: '<b>"&"</b>' }
+    })
+    expect(renderToString(vm)).toBe(
+      '<div title="<b>&quot;&amp;&quot;</b>" server-rendered="true">' +
+      '&lt;b&gt;"&amp;"&lt;/b&gt;<span><b>"&amp;"</b></span></div>'
+    )
+  })
+
+  it('serializes void elements, form state and raw text', function () {
+    var vm = new Vue({
+      template: '<form><input v-model="text"><br>' +
+        '<input type="checkbox" v-model="checked">' +
+        '<textarea v-model="text"></textarea>' +
+        '<script>if (a < b) {}</script></form>',
+      data: { text: 'x<y', checked: true }
+    })
+    var html = renderToString(vm)
+    expect(html).toContain('<input value="x<y"><br>')
+    expect(html).toContain('<input type="checkbox" checked>')
+    expect(html).toContain('<textarea>x&lt;y</textarea>')
+    expect(html).toContain('<script>if (a < b) {}</script>')
+  })
+
+  it('renders fragment instances without the root mark', function () {
+    var vm = new Vue({
+      template: '<p>{{ a }}</p><p>{{ b }}</p>',
+      data: { a: 1, b: 2 }
+    })
+    expect(renderToString(vm)).toBe('<p>1</p><p>2</p>')
+  })
+
+  it('does not call attached and ready hooks', function () {
+    var spy = jasmine.createSpy()
+    var vm = new Vue({ template: '<div></div>', ready: spy, attached: spy })
+    renderToString(vm)
+    expect(spy).not.toHaveBeenCalled()
+  })
+
+  it('restores the global document and server flag', function () {
+    var doc = document
+    var vm = new Vue({
+      template: '<div>{{ a.b }}</div>',
+      computed: { a: function () { throw new Error('render error') } }
+    })
+    try {
+      renderToString(vm)
+    } catch (e) {}
+    expect(document).toBe(doc)
+    expect(config._isServer).toBe(false)
+  })
+
+  it('warns for instances that are already mounted', function () {
+    var vm = new Vue({ el: document.createElement('div'), template: '<div></div>' })
+    expect(renderToString(vm)).toBe('<div></div>')
+    expect(hasWarned('renderToString() expects an instance that has not been mounted')).toBe(true)
+  })
+})
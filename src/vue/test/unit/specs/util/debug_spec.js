@@ -0,0 +1,121 @@
+var Vue = require('../../../../src/index').default
+var warn = require('../../../../src/util/debug').warn
+
+describe('warnings', function () {
+  function lastMessage () {
+    return console.error.calls.mostRecent().args[0]
+  }
+
+  afterEach(function () {
+    Vue.config.warnHandler = null
+    Vue.config.silent = false
+  })
+
+  it('trace the component hierarchy with file names', function () {
+    var vm = new Vue({
+      el: document.createElement('div'),
+      template: '<todo-list v-ref:list></todo-list>',
+      components: {
+        todoList: {
+          __file: 'src/TodoList.vue',
+          template: '<todo-item v-ref:item></todo-item>',
+          components: {
+            todoItem: {
+              template: '<p>item</p>'
+            }
+          }
+        }
+      }
+    })
+    warn('something is off', vm.$refs.list.$refs.item)
+    expect(lastMessage()).toBe(
+      '[Vue warn]: something is off\n\nfound in\n' +
+      '  <root>\n' +
+      '    <todo-list> at src/TodoList.vue\n' +
+      '      <todo-item>'
+    )
+    warn('no instance')
+    expect(lastMessage()).toBe('[Vue warn]: no instance')
+  })
+
+  it('collapse recursive components', function () {
+    var vm = new Vue({
+      el: document.createElement('div'),
+      template: '<tree :depth="3"></tree>',
+      components: {
+        tree: {
+          name: 'tree',
+          props: ['depth'],
+          template: '<tree v-if="depth > 1" :depth="depth - 1"></tree>'
+        }
+      }
+    })
+    var leaf = vm
+    while (leaf.$children.length) {
+      leaf = leaf.$children[0]
+    }
+    warn('deep', leaf)
+    expect(lastMessage()).toBe(
+      '[Vue warn]: deep\n\nfound in\n' +
+      '  <root>\n' +
+      '    <tree> (2 recursive calls)'
+    )
+  })
+
+  it('trace compiler warnings back to the instance being compiled', function () {
+    var vm = new Vue({
+      el: document.createElement('div'),
+      template: '<child id="x"></child>',
+      components: {
+        child: {
+          template: '<p>a</p><p>b</p>'
+        }
+      }
+    })
+    expect(vm.$children.length).toBe(1)
+    expect(lastMessage()).toContain('because the component is a fragment instance')
+    expect(lastMessage()).toContain('found in\n  <root>\n    <child>')
+  })
+
+  it('trace prop assertion failures', function () {
+    new Vue({
+      el: document.createElement('div'),
+      template: '<child :n="\'str\'"></child>',
+      components: {
+        child: {
+          props: { n: Number }
+        }
+      }
+    })
+    expect(hasWarned('Invalid prop: type check failed for prop "n"')).toBe(true)
+    expect(lastMessage()).toContain('found in\n  <root>\n    <child>')
+  })
+
+  it('trace options that have not created an instance yet', function () {
+    warn('from options', { name: 'MyThing', __file: 'src/MyThing.vue' })
+    expect(lastMessage()).toBe(
+      '[Vue warn]: from options\n\nfound in <my-thing> at src/MyThing.vue'
+    )
+  })
+
+  it('go to the warn handler instead of the console', function () {
+    var warnings = []
+    Vue.config.warnHandler = function (msg, vm, trace) {
+      warnings.push([msg, vm, trace])
+    }
+    var vm = new Vue({ name: 'Handled' })
+    warn('handled', vm)
+    warn('handled options', { name: 'Opts' })
+    expect(console.error).not.toHaveBeenCalled()
+    expect(warnings).toEqual([
+      ['handled', vm, '\n\nfound in\n  <root>'],
+      ['handled options', null, '\n\nfound in <opts>']
+    ])
+  })
+
+  it('are not logged in silent mode', function () {
+    Vue.config.silent = true
+    warn('quiet')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,213 @@
+var Vue = require('../../../../src/index').default
+
+describe('render functions', function () {
+  function texts (el) {
+    return Array.prototype.map.call(el.childNodes, function (node) {
+      return node.textContent
+    })
+  }
+
+  it('render the vnode tree and patch elements in place', async function () {
+    var vm = mount({
+      data: { msg: 'a', title: 't', on: true, color: 'red', value: 'v' },
+      render: function (h) {
+        return h('div', { attrs: { title: this.title } }, [
+          h('span', { class: { on: this.on, fixed: true }, style: { color: this.color } }, this.msg),
+          h('input', { domProps: { value: this.value } }),
+          this.on && h('b', 'on')
+        ])
+      }
+    })
+    var span = vm.$el.firstChild
+    var input = span.nextSibling
+    expect(vm.$el.outerHTML).toBe(
+      '<div title="t"><span class="on fixed" style="color: red;">a</span><input><b>on</b></div>'
+    )
+    expect(input.value).toBe('v')
+    vm.msg = 'b'
+    vm.title = null
+    vm.on = false
+    vm.color = 'blue'
+    vm.value = 'w'
+    await nextTick()
+    expect(vm.$el.firstChild).toBe(span)
+    expect(span.nextSibling).toBe(input)
+    expect(vm.$el.outerHTML).toBe(
+      '<div><span class="fixed" style="color: blue;">b</span><input></div>'
+    )
+    expect(input.value).toBe('w')
+  })
+
+  it('move keyed children instead of re-creating them', async function () {
+    var vm = mount({
+      data: { items: [1, 2, 3, 4] },
+      render: function (h) {
+        return h('ul', this.items.map(function (i) {
+          return h('li', { key: i }, i)
+        }))
+      }
+    })
+    var nodes = Array.prototype.slice.call(vm.$el.childNodes)
+    vm.items = [4, 2, 5, 1]
+    await nextTick()
+    expect(texts(vm.$el)).toEqual(['4', '2', '5', '1'])
+    expect(vm.$el.childNodes[0]).toBe(nodes[3])
+    expect(vm.$el.childNodes[1]).toBe(nodes[1])
+    expect(vm.$el.childNodes[3]).toBe(nodes[0])
+    expect(nodes[2].parentNode).toBe(null)
+    vm.items.reverse()
+    await nextTick()
+    expect(texts(vm.$el)).toEqual(['1', '5', '2', '4'])
+    expect(vm.$el.childNodes[0]).toBe(nodes[0])
+    vm.items = []
+    await nextTick()
+    expect(vm.$el.childNodes.length).toBe(0)
+  })
+
+  it('update event listeners without re-binding the element', async function () {
+    var calls = []
+    var vm = mount({
+      data: { name: 'first' },
+      render: function (h) {
+        var name = this.name
+        return h('button', {
+          on: {
+            click: function (e) {
+              calls.push(name + ':' + e.type)
+            }
+          }
+        })
+      }
+    })
+    vm.$el.click()
+    vm.name = 'second'
+    await nextTick()
+    vm.$el.click()
+    expect(calls).toEqual(['first:click', 'second:click'])
+  })
+
+  it('render child components with props and listeners', async function () {
+    var child
+    var Child = Vue.extend({
+      props: ['n'],
+      created: function () {
+        child = this
+      },
+      template: '<i>{{ n }}</i>'
+    })
+    var vm = mount({
+      data: { n: 1, show: true, got: null },
+      components: { child: Child },
+      render: function (h) {
+        var self = this
+        return h('div', [
+          this.show ? h('child', {
+            props: { n: this.n },
+            on: {
+              ping: function (v) {
+                self.got = v
+              }
+            }
+          }) : null
+        ])
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<i>1</i>')
+    expect(child.$parent).toBe(vm)
+    var i = vm.$el.firstChild
+    vm.n = 2
+    await nextTick()
+    await nextTick()
+    expect(vm.$el.firstChild).toBe(i)
+    expect(vm.$el.innerHTML).toBe('<i>2</i>')
+    child.$emit('ping', 'pong')
+    expect(vm.got).toBe('pong')
+    vm.show = false
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('')
+    expect(child._isDestroyed).toBe(true)
+    var el = vm.$el
+    vm.$destroy()
+    vm.show = true
+    await nextTick()
+    expect(el.innerHTML).toBe('')
+  })
+
+  it('reset the props that are no longer passed to a child', async function () {
+    var vm = mount({
+      data: { props: { label: 'a', n: 1 } },
+      components: {
+        child: {
+          props: {
+            label: { default: 'none' },
+            n: Number
+          },
+          template: '<i>{{ label }} {{ n }}</i>'
+        }
+      },
+      render: function (h) {
+        return h('div', [h('child', { props: this.props })])
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<i>a 1</i>')
+    vm.props = {}
+    await nextTick()
+    await nextTick()
+    expect(vm.$el.innerHTML).toBe('<i>none </i>')
+  })
+
+  it('accept component constructors and svg elements', function () {
+    var vm = mount({
+      render: function (h) {
+        return h('div', [
+          h(Vue.extend({ template: '<p>ctor</p>' })),
+          h('svg', [h('circle', { attrs: { r: 1 } })])
+        ])
+      }
+    })
+    expect(vm.$el.firstChild.outerHTML).toBe('<p>ctor</p>')
+    var circle = vm.$el.querySelector('circle')
+    expect(circle.namespaceURI).toBe('http://www.w3.org/2000/svg')
+    expect(circle.getAttribute('r')).toBe('1')
+  })
+
+  it('replace the root element when its tag changes', async function () {
+    var vm = mount({
+      data: { tag: 'p' },
+      render: function (h) {
+        return h(this.tag, 'root')
+      }
+    })
+    var parent = document.createElement('div')
+    parent.appendChild(vm.$el)
+    var p = vm.$el
+    vm.tag = 'section'
+    await nextTick()
+    expect(vm.$el.tagName).toBe('SECTION')
+    expect(parent.firstChild).toBe(vm.$el)
+    expect(p.__vue__).toBe(null)
+    expect(vm.$el.__vue__).toBe(vm)
+  })
+
+  it('warn about invalid render results', function () {
+    var vm = mount({
+      components: {
+        async: function (resolve) {}
+      },
+      render: function (h) {
+        return h('div', [h(null), h('async')])
+      }
+    })
+    expect(hasWarned('Invalid tag passed to the render function: null')).toBe(true)
+    expect(hasWarned('Async component <async> cannot be used in render functions')).toBe(true)
+    expect(vm.$el.innerHTML).toBe('<!----><!---->')
+
+    vm = mount({
+      render: function (h) {
+        return [h('p'), h('p')]
+      }
+    })
+    expect(hasWarned('Render function should return a single root element')).toBe(true)
+    expect(vm.$el.nodeType).toBe(8)
+  })
+})